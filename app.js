@@ -12,6 +12,11 @@ const hpp = require("hpp");
 const cookieParser = require("cookie-parser");
 const morgan = require("morgan");
 require("dotenv").config();
+const { startAbandonedCartJob } = require("./helper/jobs/abandonedCartJob");
+const { checkNotificationConfig } = require("./helper/notifications");
+
+// Dừng khởi động nếu production chưa cấu hình kênh gửi thông báo
+checkNotificationConfig();
 
 const app = express();
 
@@ -142,6 +147,12 @@ const routes = {
   search: require("./routes/searchRoutes"),
   contact: require("./routes/contactRoutes"),
   logoWeb: require("./routes/logoWebRoutes"),
+  returns: require("./routes/returnRoutes"),
+  payments: require("./routes/paymentRoutes"),
+  shipping: require("./routes/shippingRoutes"),
+  province: require("./routes/provinceRoutes"),
+  district: require("./routes/districtRoutes"),
+  promotions: require("./routes/promotionRoutes"),
 };
 
 for (const [key, route] of Object.entries(routes)) {
@@ -166,6 +177,7 @@ mongoose
   .connect(process.env.CONNECTION_STRING)
   .then(() => {
     console.log("✅ Đã kết nối MongoDB");
+    startAbandonedCartJob();
     app.listen(process.env.PORT, () => {
       console.log(`🚀 Server chạy tại http://localhost:${process.env.PORT}`);
     });
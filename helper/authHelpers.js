@@ -1,6 +1,7 @@
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const validator = require("validator");
+const { SessionModel } = require("../models/SessionModel");
 require("dotenv").config();
 
 // Kiểm tra email hợp lệ
@@ -55,16 +56,21 @@ const checkPassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-// Tạo JWT token
-const generateToken = (user) => {
-  const expirationTime = user.rememberMe
-    ? "7d"
-    : process.env.TOKEN_EXPIRATION || "1h"; // Nếu rememberMe là true thì hết hạn sau 7 ngày, ngược lại dùng giá trị mặc định 1 giờ
+// Bắt buộc xác thực hai lớp với tài khoản quản trị (ADMIN_2FA_REQUIRED=true)
+const isAdminTwoFactorRequired = () => process.env.ADMIN_2FA_REQUIRED === "true";
 
+// Tạo access token JWT ngắn hạn gắn với phiên đăng nhập (xem helper/sessions.js)
+const generateToken = (user, session) => {
   return jwt.sign(
-    { id: user._id, username: user.username, role: user.role },
+    {
+      id: user._id,
+      username: user.username,
+      role: user.role,
+      sid: session._id,
+      mfa: session.twoFactorVerified, // Phiên đã qua xác thực hai lớp
+    },
     process.env.JWT_SECRET,
-    { expiresIn: expirationTime } // Sử dụng expirationTime tùy theo rememberMe
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRATION || "15m" }
   );
 };
 
@@ -94,8 +100,26 @@ const generateToken = (user) => {
 //   }
 // };
 
+// Giải mã token và kiểm tra phiên đăng nhập của token chưa bị thu hồi
+// (đăng xuất, đặt lại mật khẩu...). Ném lỗi nếu token không hợp lệ.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session =
+    decoded.sid &&
+    (await SessionModel.exists({
+      _id: decoded.sid,
+      userId: decoded.id,
+      revokedAt: null,
+    }));
+  if (!session) {
+    throw new Error("Phiên đăng nhập đã bị thu hồi");
+  }
+  return decoded;
+};
+
 // Xác thực JWT token
-const verifyToken = (req, res, next) => {
+const verifyToken = async (req, res, next) => {
   // ✨ BƯỚC 1: Ưu tiên lấy token từ HTTP-only Cookie
   const tokenFromCookie = req.cookies.token; 
   
@@ -117,7 +141,7 @@ const verifyToken = (req, res, next) => {
 
   try {
     // Giải mã token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authenticateToken(token);
     req.user = decoded; // Lưu thông tin người dùng vào req.user
     // console.log(decoded); // Tắt console.log này
     next(); // Tiếp tục
@@ -135,13 +159,18 @@ const verifyToken = (req, res, next) => {
   }
 };
 
+// Người dùng đã xác thực (req.user) có quyền admin hay không.
+// Khi bắt buộc 2FA, quyền admin chỉ có hiệu lực với phiên đã xác thực hai lớp.
+const isAdminUser = (req) =>
+  Boolean(req.user) &&
+  req.user.role === "admin" &&
+  (!isAdminTwoFactorRequired() || Boolean(req.user.mfa));
 
 const checkAdminOrOwner = async (req, res, next) => {
   const { id } = req.params;
   const userIdFromToken = req.user.id; // Lấy ID từ token đã xác thực
-  const userRoleFromToken = req.user.role; // Lấy role từ token
 
-  if (userRoleFromToken === "admin" || userIdFromToken === id) {
+  if (isAdminUser(req) || userIdFromToken === id) {
     return next();
   }
 
@@ -207,30 +236,7 @@ const checkAdminOrOwner = async (req, res, next) => {
 // };
 
 
-const authJwt = () => {
-  const secret = process.env.JWT_SECRET;
-
-  return (req, res, next) => {
-    // ✨ Lấy token từ Cookie hoặc Header
-    const token = req.cookies.token || req.headers["authorization"]?.split(" ")[1];
-
-    if (!token) {
-      return res.status(401).json({ message: "Token không được cung cấp." });
-    }
-
-    // Xác thực và giải mã token
-    jwt.verify(token, secret, { algorithms: ["HS256"] }, (err, decoded) => {
-      if (err) {
-        return res.status(401).json({ message: "Token không hợp lệ hoặc đã hết hạn." });
-      }
-
-      req.user = decoded;
-      next();
-    });
-  };
-};
-
-const isAdmin = (req, res, next) => {
+const isAdmin = async (req, res, next) => {
   try {
     // ✨ Lấy token từ Cookie hoặc Header
     const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
@@ -243,7 +249,7 @@ const isAdmin = (req, res, next) => {
     }
 
     // Giải mã token để lấy thông tin người dùng
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authenticateToken(token);
 
     // Kiểm tra vai trò (role) của người dùng
     if (decoded.role !== "admin") {
@@ -253,6 +259,13 @@ const isAdmin = (req, res, next) => {
       });
     }
 
+    if (isAdminTwoFactorRequired() && !decoded.mfa) {
+      return res.status(403).json({
+        success: false,
+        message: "Vui lòng đăng nhập lại với xác thực hai lớp.",
+      });
+    }
+
     // Gắn thông tin user vào request
     req.user = decoded;
     next();
@@ -270,11 +283,13 @@ module.exports = {
   checkPassword,
   isValidPhone,
   verifyToken,
+  authenticateToken,
   generateToken,
   handleError,
   isValidEmail,
   isValidPassword,
   checkAdminOrOwner,
-  authJwt,
+  isAdminTwoFactorRequired,
+  isAdminUser,
   isAdmin,
 };
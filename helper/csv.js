@@ -0,0 +1,16 @@
+// Chuyển một giá trị thành ô CSV: bọc trong dấu ngoặc kép khi cần và
+// chặn công thức (=, +, -, @) để file mở bằng Excel không tự thực thi
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Chuyển mảng các dòng (mảng giá trị) thành nội dung CSV
+const toCsv = (rows) =>
+  rows.map((row) => row.map(toCsvCell).join(",")).join("\r\n") + "\r\n";
+
+module.exports = {
+  toCsvCell,
+  toCsv,
+};
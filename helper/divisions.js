@@ -0,0 +1,97 @@
+const path = require("path");
+
+// Phiên bản bộ dữ liệu đơn vị hành chính (thư mục data/administrative-divisions),
+// đặt tên theo nguồn dữ liệu: gói hanhchinhvn@1.6.0
+const DATASET_VERSION =
+  process.env.ADMIN_DIVISIONS_VERSION || "hanhchinhvn-1.6.0";
+
+const dataset = require(path.join(
+  __dirname,
+  "..",
+  "data",
+  "administrative-divisions",
+  `${DATASET_VERSION}.json`
+));
+
+// Bỏ dấu tiếng Việt để tìm kiếm không phân biệt dấu
+const removeDiacritics = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/đ/g, "d")
+    .replace(/Đ/g, "D")
+    .toLowerCase()
+    .trim();
+
+// Thêm khóa tìm kiếm không dấu cho từng đơn vị
+const withSearchKey = (unit) => ({
+  ...unit,
+  searchKey: removeDiacritics(`${unit.name} ${unit.nameWithType}`),
+});
+
+const provinces = dataset.provinces.map(withSearchKey);
+const districts = dataset.districts.map(withSearchKey);
+const wards = dataset.wards.map(withSearchKey);
+
+const provinceByCode = new Map(provinces.map((unit) => [unit.code, unit]));
+const districtByCode = new Map(districts.map((unit) => [unit.code, unit]));
+const wardByCode = new Map(wards.map((unit) => [unit.code, unit]));
+
+// Lọc danh sách theo từ khóa (có dấu hoặc không dấu) và bỏ khóa tìm kiếm khi trả về
+const search = (units, query) => {
+  const keyword = query ? removeDiacritics(query) : "";
+  return units
+    .filter((unit) => !keyword || unit.searchKey.includes(keyword))
+    .map(({ searchKey, ...unit }) => unit);
+};
+
+const listProvinces = (query) => search(provinces, query);
+
+const listDistricts = (provinceCode, query) =>
+  search(
+    districts.filter((unit) => unit.provinceCode === provinceCode),
+    query
+  );
+
+const listWards = (districtCode, query) =>
+  search(
+    wards.filter((unit) => unit.districtCode === districtCode),
+    query
+  );
+
+const getProvince = (code) => provinceByCode.get(code) || null;
+const getDistrict = (code) => districtByCode.get(code) || null;
+const getWard = (code) => wardByCode.get(code) || null;
+
+// Kiểm tra mã tỉnh/huyện/xã tồn tại và thuộc đúng cấp cha.
+// Trả về thông báo lỗi, hoặc null nếu địa chỉ hợp lệ.
+const getAddressError = ({ provinceCode, districtCode, wardCode }) => {
+  const province = getProvince(provinceCode);
+  if (!province) return "Tỉnh/thành phố không tồn tại";
+
+  const district = getDistrict(districtCode);
+  if (!district) return "Quận/huyện không tồn tại";
+  if (district.provinceCode !== province.code) {
+    return `${district.nameWithType} không thuộc ${province.nameWithType}`;
+  }
+
+  const ward = getWard(wardCode);
+  if (!ward) return "Phường/xã không tồn tại";
+  if (ward.districtCode !== district.code) {
+    return `${ward.nameWithType} không thuộc ${district.nameWithType}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DATASET_VERSION,
+  removeDiacritics,
+  listProvinces,
+  listDistricts,
+  listWards,
+  getProvince,
+  getDistrict,
+  getWard,
+  getAddressError,
+};
@@ -0,0 +1,53 @@
+const { UserModel } = require("../models/UserModel");
+const { issueUserToken, consumeUserToken } = require("./userTokens");
+const { sendNotification } = require("./notifications");
+
+const EMAIL_VERIFICATION = "email_verification";
+
+const getVerificationTtlMinutes = () =>
+  (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60;
+
+// Email tạm sinh lúc đăng ký (tài khoản cũ) không nhận được thư
+const isDeliverableEmail = (email) =>
+  Boolean(email) && !/^temp_\d+@example\.com$/.test(email);
+
+// Gửi thư chứa liên kết xác thực email hiện tại của người dùng
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken({
+    userId: user._id,
+    purpose: EMAIL_VERIFICATION,
+    email: user.email,
+    ttlMinutes: getVerificationTtlMinutes(),
+  });
+  const baseUrl =
+    process.env.EMAIL_VERIFICATION_URL || "http://localhost:3000/verify-email";
+  const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+
+  await sendNotification({
+    type: EMAIL_VERIFICATION,
+    to: { userId: user._id, email: user.email },
+    subject: "Xác thực địa chỉ email",
+    text: `Chào ${user.fullName || user.username}, vui lòng xác thực email bằng liên kết sau (hết hạn sau ${getVerificationTtlMinutes() / 60} giờ): ${link}`,
+    data: { link }, // Kênh phát triển in liên kết để xác thực khi chạy local
+    sensitive: true, // Có token, không được ghi nội dung ở production
+  });
+};
+
+// Xác thực email theo token. Trả về người dùng đã xác thực hoặc null nếu token không hợp lệ
+// (hoặc email đã đổi sau khi token được phát hành).
+const verifyEmailToken = async (token) => {
+  const userToken = await consumeUserToken(token, EMAIL_VERIFICATION);
+  if (!userToken) return null;
+
+  return UserModel.findOneAndUpdate(
+    { _id: userToken.userId, email: userToken.email },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+    { new: true }
+  ).select("-password");
+};
+
+module.exports = {
+  isDeliverableEmail,
+  sendVerificationEmail,
+  verifyEmailToken,
+};
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// Xác thực Google ID token (Google Identity Services) bằng khóa công khai JWKS của Google.
+// Chế độ thử (GOOGLE_AUTH_TEST_MODE=true, không dùng ở production) dùng cặp khóa sinh cục bộ.
+const GOOGLE_JWKS_URL = "https://www.googleapis.com/oauth2/v3/certs";
+const GOOGLE_ISSUERS = ["accounts.google.com", "https://accounts.google.com"];
+const LINK_AUDIENCE = "google-link";
+const DEFAULT_JWKS_MAX_AGE_SECONDS = 60 * 60;
+
+let jwksCache = { keys: new Map(), expiresAt: 0 };
+let testKeys = null;
+
+const isTestMode = () =>
+  process.env.GOOGLE_AUTH_TEST_MODE === "true" &&
+  process.env.NODE_ENV !== "production";
+
+// Danh sách client ID được chấp nhận (GOOGLE_CLIENT_ID, phân tách bằng dấu phẩy)
+const getClientIds = () =>
+  (process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+// Cặp khóa RSA sinh một lần trong tiến trình cho chế độ thử
+const getTestKeys = () => {
+  if (!testKeys) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    testKeys = { kid: `test-${crypto.randomUUID()}`, publicKey, privateKey };
+  }
+  return testKeys;
+};
+
+// Tải JWKS của Google, giữ trong bộ nhớ theo Cache-Control max-age
+const fetchGoogleKeys = async () => {
+  const response = await fetch(GOOGLE_JWKS_URL);
+  if (!response.ok) {
+    throw new Error(`Không tải được khóa của Google (${response.status})`);
+  }
+  const { keys } = await response.json();
+  const maxAge = Number(
+    /max-age=(\d+)/.exec(response.headers.get("cache-control") || "")?.[1]
+  );
+
+  jwksCache = {
+    keys: new Map(
+      keys.map((jwk) => [
+        jwk.kid,
+        crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      ])
+    ),
+    expiresAt: Date.now() + (maxAge || DEFAULT_JWKS_MAX_AGE_SECONDS) * 1000,
+  };
+};
+
+// Khóa công khai theo kid. Tải lại JWKS khi hết hạn hoặc gặp kid mới (Google xoay khóa)
+const getSigningKey = async (kid) => {
+  if (isTestMode()) {
+    const { kid: testKid, publicKey } = getTestKeys();
+    return kid === testKid ? publicKey : null;
+  }
+
+  if (Date.now() >= jwksCache.expiresAt || !jwksCache.keys.has(kid)) {
+    await fetchGoogleKeys();
+  }
+  return jwksCache.keys.get(kid) || null;
+};
+
+// Kiểm tra chữ ký, audience, issuer và hạn của ID token.
+// Trả về thông tin danh tính, ném lỗi nếu token không hợp lệ.
+const verifyGoogleIdToken = async (idToken) => {
+  const clientIds = getClientIds();
+  if (clientIds.length === 0) {
+    throw new Error("Chưa cấu hình GOOGLE_CLIENT_ID");
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error("ID token không hợp lệ");
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  if (!key) {
+    throw new Error("Không tìm thấy khóa ký của ID token");
+  }
+
+  const payload = jwt.verify(idToken, key, {
+    algorithms: ["RS256"],
+    audience: clientIds,
+    issuer: GOOGLE_ISSUERS,
+  });
+
+  return {
+    subject: payload.sub,
+    email: payload.email?.toLowerCase(),
+    emailVerified: payload.email_verified === true,
+    fullName: payload.name,
+    avatar: payload.picture,
+  };
+};
+
+// Ký ID token giả lập bằng khóa cục bộ (chỉ dùng ở chế độ thử)
+const signTestIdToken = ({
+  sub,
+  email,
+  name,
+  picture,
+  emailVerified = true,
+}) => {
+  if (!isTestMode()) {
+    throw new Error("Chỉ dùng được khi bật GOOGLE_AUTH_TEST_MODE");
+  }
+
+  const { kid, privateKey } = getTestKeys();
+  return jwt.sign(
+    { sub, email, email_verified: emailVerified, name, picture },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: kid,
+      audience: getClientIds()[0],
+      issuer: GOOGLE_ISSUERS[1],
+      expiresIn: "1h",
+    }
+  );
+};
+
+// Token xác nhận liên kết Google với tài khoản có sẵn cùng email (chủ tài khoản nhập mật khẩu)
+const issueLinkToken = (user, identity) =>
+  jwt.sign(
+    {
+      id: user._id,
+      subject: identity.subject,
+      email: identity.email,
+    },
+    process.env.JWT_SECRET,
+    { audience: LINK_AUDIENCE, expiresIn: "10m" }
+  );
+
+// Trả về { id, subject, email } trong token liên kết, hoặc null nếu không hợp lệ
+const readLinkToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      audience: LINK_AUDIENCE,
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Tài khoản do luồng đăng nhập Google cũ tạo ra (trước khi lưu danh tính Google):
+// username "temp_..." và mật khẩu ngẫu nhiên lưu dạng thô, chủ tài khoản không biết mật khẩu
+// nên không thể xác nhận liên kết. Mật khẩu tạo qua đăng ký luôn là hash bcrypt.
+const BCRYPT_HASH_PATTERN = /^\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+const isLegacyGoogleAccount = (user) =>
+  (user.identities || []).length === 0 &&
+  String(user.username || "").startsWith("temp_") &&
+  !BCRYPT_HASH_PATTERN.test(user.password || "");
+
+module.exports = {
+  isTestMode,
+  isLegacyGoogleAccount,
+  verifyGoogleIdToken,
+  issueLinkToken,
+  readLinkToken,
+  signTestIdToken,
+};
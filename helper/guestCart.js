@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const { CartModel } = require("../models/CartModel");
+const { ProductModel } = require("../models/ProductModel");
+const {
+  findVariant,
+  hasVariants,
+  getUnitPrice,
+  getAvailableStock,
+} = require("./productHelpers");
+const { hmac, safeCompare } = require("./payments/signing");
+
+const GUEST_CART_COOKIE = "guestCart";
+
+// Số ngày giữ giỏ hàng của khách kể từ lần cập nhật cuối
+const getGuestCartTtlDays = () => Number(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const getSecret = () => process.env.GUEST_CART_SECRET || process.env.JWT_SECRET;
+
+// Cookie có dạng "<guestId>.<chữ ký>" để client không thể tự đổi sang giỏ hàng của khách khác
+const signGuestToken = (guestId) =>
+  `${guestId}.${hmac("sha256", getSecret(), guestId)}`;
+
+// Đọc guestId từ cookie, trả về null nếu không có hoặc chữ ký không hợp lệ
+const readGuestId = (req) => {
+  const token = req.cookies && req.cookies[GUEST_CART_COOKIE];
+  if (typeof token !== "string") return null;
+
+  const [guestId, signature] = token.split(".");
+  if (!guestId || !signature) return null;
+
+  return safeCompare(signature, hmac("sha256", getSecret(), guestId))
+    ? guestId
+    : null;
+};
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
+});
+
+// Tạo định danh khách mới và gửi cookie đã ký
+const createGuestId = (res) => {
+  const guestId = crypto.randomUUID();
+  res.cookie(GUEST_CART_COOKIE, signGuestToken(guestId), {
+    ...cookieOptions(),
+    maxAge: getGuestCartTtlDays() * 24 * 60 * 60 * 1000,
+  });
+  return guestId;
+};
+
+const clearGuestCookie = (res) =>
+  res.clearCookie(GUEST_CART_COOKIE, cookieOptions());
+
+// Thời điểm hết hạn mới cho giỏ hàng của khách
+const getGuestCartExpiry = () =>
+  new Date(Date.now() + getGuestCartTtlDays() * 24 * 60 * 60 * 1000);
+
+// Gộp giỏ hàng của khách vào giỏ hàng của người dùng khi đăng nhập.
+// Dòng trùng sản phẩm + size + màu được cộng số lượng, không vượt quá tồn kho.
+// Trả về danh sách dòng bị điều chỉnh, hoặc null nếu không có giỏ hàng khách.
+const mergeGuestCart = async (req, res, userId) => {
+  const guestId = readGuestId(req);
+  if (!guestId) return null;
+
+  const guestCart = await CartModel.findOne({ guestId });
+  clearGuestCookie(res);
+  if (!guestCart) return null;
+
+  let cart = await CartModel.findOne({ userId });
+  if (!cart) {
+    cart = new CartModel({ userId, items: [], totalPrice: 0 });
+  }
+
+  const adjustments = [];
+  for (const guestItem of guestCart.items) {
+    const product = await ProductModel.findById(guestItem.productId);
+    const variant = product
+      ? findVariant(product, {
+          variantId: guestItem.variantId,
+          size: guestItem.size,
+          color: guestItem.color,
+        })
+      : null;
+    if (!product || (hasVariants(product) && !variant)) {
+      adjustments.push({
+        productId: guestItem.productId,
+        size: guestItem.size,
+        color: guestItem.color,
+        reason: "unavailable",
+      });
+      continue;
+    }
+
+    const existing = cart.items.find(
+      (item) =>
+        item.productId.toString() === guestItem.productId.toString() &&
+        item.size === guestItem.size &&
+        item.color === guestItem.color
+    );
+    const requested = (existing ? existing.quantity : 0) + guestItem.quantity;
+    const quantity = Math.min(requested, getAvailableStock(product, variant));
+
+    if (quantity < requested) {
+      adjustments.push({
+        productId: guestItem.productId,
+        size: guestItem.size,
+        color: guestItem.color,
+        requested,
+        quantity,
+        reason: "stock",
+      });
+    }
+
+    if (quantity <= 0) {
+      if (existing) cart.items.pull(existing._id);
+      continue;
+    }
+
+    const unitPrice = getUnitPrice(product, variant);
+    if (existing) {
+      existing.quantity = quantity;
+      existing.price = unitPrice * quantity;
+    } else {
+      cart.items.push({
+        productId: guestItem.productId,
+        variantId: variant ? variant._id : null,
+        quantity,
+        price: unitPrice * quantity,
+        size: guestItem.size,
+        color: guestItem.color,
+        images: guestItem.images,
+      });
+    }
+  }
+
+  // Danh sách mua sau của khách được giữ lại nếu tài khoản chưa lưu dòng đó
+  for (const savedItem of guestCart.savedForLater) {
+    const exists = cart.savedForLater.some(
+      (item) =>
+        item.productId.toString() === savedItem.productId.toString() &&
+        item.size === savedItem.size &&
+        item.color === savedItem.color
+    );
+    if (!exists) cart.savedForLater.push(savedItem.toObject());
+  }
+
+  cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
+  await cart.save();
+  await CartModel.deleteOne({ _id: guestCart._id });
+
+  return adjustments;
+};
+
+module.exports = {
+  GUEST_CART_COOKIE,
+  readGuestId,
+  createGuestId,
+  getGuestCartExpiry,
+  mergeGuestCart,
+};
@@ -0,0 +1,166 @@
+const { CartModel } = require("../../models/CartModel");
+const { AbandonedCartModel } = require("../../models/AbandonedCartModel");
+const { UserModel } = require("../../models/UserModel");
+const {
+  sendNotification,
+  getNotificationTransport,
+} = require("../notifications");
+
+// Số giờ không hoạt động để xem giỏ hàng là bị bỏ quên
+const getInactiveHours = () => Number(process.env.ABANDONED_CART_HOURS) || 24;
+// Chỉ quét các giỏ hàng ngừng hoạt động trong khoảng này để không quét lại dữ liệu cũ
+const getLookbackDays = () =>
+  Number(process.env.ABANDONED_CART_LOOKBACK_DAYS) || 7;
+const getIntervalMinutes = () =>
+  Number(process.env.ABANDONED_CART_JOB_INTERVAL_MINUTES) || 60;
+
+const MAX_REMINDER_ATTEMPTS = 3;
+const REMINDER_BATCH_SIZE = 100;
+
+// Ghi nhận sự kiện bỏ quên cho các giỏ hàng còn sản phẩm nhưng không hoạt động.
+// Trả về số sự kiện mới.
+const detectAbandonedCarts = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getInactiveHours() * 60 * 60 * 1000);
+  const since = new Date(
+    cutoff.getTime() - getLookbackDays() * 24 * 60 * 60 * 1000
+  );
+
+  const carts = await CartModel.find({
+    updatedAt: { $lte: cutoff, $gte: since },
+    "items.0": { $exists: true },
+  });
+
+  let created = 0;
+  for (const cart of carts) {
+    // Khóa (cartId, lastActivityAt) đảm bảo mỗi lần ngừng hoạt động chỉ ghi một lần
+    const result = await AbandonedCartModel.updateOne(
+      { cartId: cart._id, lastActivityAt: cart.updatedAt },
+      {
+        $setOnInsert: {
+          userId: cart.userId,
+          guestId: cart.guestId,
+          items: cart.items.map((item) => ({
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: item.quantity,
+            price: item.price,
+            size: item.size,
+            color: item.color,
+          })),
+          cartValue: cart.totalPrice,
+          // Khách chưa đăng nhập không có thông tin liên hệ để nhắc
+          "reminder.status": cart.userId ? "pending" : "skipped",
+        },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) created++;
+  }
+
+  return created;
+};
+
+// Gửi nhắc nhở cho các sự kiện đang chờ (hoặc gửi lỗi chưa quá số lần thử)
+const sendPendingReminders = async () => {
+  const events = await AbandonedCartModel.find({
+    status: "abandoned",
+    $or: [
+      { "reminder.status": "pending" },
+      {
+        "reminder.status": "failed",
+        "reminder.attempts": { $lt: MAX_REMINDER_ATTEMPTS },
+      },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(REMINDER_BATCH_SIZE);
+
+  let sent = 0;
+  for (const event of events) {
+    const user = await UserModel.findById(event.userId).select(
+      "email emailVerified fullName username isActive"
+    );
+
+    // Chỉ gửi tới email đã được xác thực
+    if (!user || !user.isActive || !user.emailVerified) {
+      event.reminder.status = "skipped";
+      await event.save();
+      continue;
+    }
+
+    event.reminder.attempts += 1;
+    try {
+      // Thiếu cấu hình kênh gửi được ghi nhận là gửi lỗi thay vì làm dừng cả job
+      event.reminder.transport = getNotificationTransport().name;
+      await sendNotification({
+        type: "abandoned_cart",
+        to: { userId: user._id, email: user.email },
+        subject: "Bạn còn sản phẩm trong giỏ hàng",
+        text: `Chào ${user.fullName || user.username}, giỏ hàng của bạn còn ${event.items.length} sản phẩm (${event.cartValue}₫) đang chờ thanh toán.`,
+        data: { abandonedCartId: event._id, items: event.items },
+      });
+      event.reminder.status = "sent";
+      event.reminder.sentAt = new Date();
+      event.reminder.error = undefined;
+      sent++;
+    } catch (error) {
+      event.reminder.status = "failed";
+      event.reminder.error = error.message;
+    }
+    await event.save();
+  }
+
+  return sent;
+};
+
+// Đánh dấu sự kiện bỏ quên gần nhất của giỏ hàng vừa được đặt thành đơn là đã khôi phục
+const markCartRecovered = (cartId, order) =>
+  AbandonedCartModel.findOneAndUpdate(
+    { cartId, status: "abandoned" },
+    {
+      $set: {
+        status: "recovered",
+        recoveredAt: new Date(),
+        orderId: order._id,
+        recoveredValue: order.totalPrice,
+      },
+    },
+    { sort: { lastActivityAt: -1 }, new: true }
+  );
+
+// Chạy một lượt: ghi nhận giỏ hàng bị bỏ quên rồi gửi nhắc nhở
+const runAbandonedCartJob = async () => {
+  const detected = await detectAbandonedCarts();
+  const reminded = await sendPendingReminders();
+  return { detected, reminded };
+};
+
+// Chạy định kỳ trong tiến trình server (tắt bằng ABANDONED_CART_JOB_ENABLED=false)
+const startAbandonedCartJob = () => {
+  if (process.env.ABANDONED_CART_JOB_ENABLED === "false") return null;
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Bỏ qua nếu lượt trước chưa xong
+    running = true;
+    try {
+      await runAbandonedCartJob();
+    } catch (error) {
+      console.error("Error running abandoned cart job:", error);
+    } finally {
+      running = false;
+    }
+  }, getIntervalMinutes() * 60 * 1000);
+
+  // Không giữ tiến trình sống chỉ vì job này
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  detectAbandonedCarts,
+  sendPendingReminders,
+  markCartRecovered,
+  runAbandonedCartJob,
+  startAbandonedCartJob,
+};
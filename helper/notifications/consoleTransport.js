@@ -0,0 +1,16 @@
+// In thông báo ra console, chỉ dùng khi phát triển (bị chặn ở production).
+// Chỉ in tiêu đề và liên kết (nếu có) để có thể hoàn tất xác thực / đặt lại mật khẩu ở máy local.
+module.exports = {
+  name: "console",
+  devOnly: true,
+
+  send: async (message) => {
+    console.log(
+      `📨 [${message.type}] -> ${message.to.email || message.to.phone || message.to.userId}: ${message.subject}`
+    );
+    if (message.data && message.data.link) {
+      console.log(`   🔗 ${message.data.link}`);
+    }
+    return { delivered: true };
+  },
+};
@@ -0,0 +1,28 @@
+const fs = require("fs");
+const path = require("path");
+
+// Ghi mỗi thông báo thành một dòng JSON vào file, chỉ dùng khi phát triển / kiểm thử.
+// Nội dung được ghi đầy đủ để lấy được liên kết khi chạy local; ở production (kênh này
+// vốn bị chặn) thông báo chứa token (sensitive) chỉ được ghi phần thông tin chung.
+const getFilePath = () =>
+  process.env.NOTIFICATION_FILE ||
+  path.join(__dirname, "..", "..", "logs", "notifications.log");
+
+module.exports = {
+  name: "file",
+  devOnly: true,
+
+  send: async ({ sensitive, ...message }) => {
+    if (sensitive && process.env.NODE_ENV === "production") {
+      delete message.text;
+      delete message.data;
+    }
+    const filePath = getFilePath();
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(
+      filePath,
+      `${JSON.stringify({ ...message, sentAt: new Date() })}\n`
+    );
+    return { delivered: true };
+  },
+};
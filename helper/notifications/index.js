@@ -0,0 +1,51 @@
+const consoleTransport = require("./consoleTransport");
+const fileTransport = require("./fileTransport");
+const smtpTransport = require("./smtpTransport");
+const smsTransport = require("./smsTransport");
+
+// Danh sách kênh gửi thông báo. Kênh mới chỉ cần cài đặt send(message), trong đó
+// message = { type, channel, to: { userId, email, phone }, subject, text, data }
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtpTransport.name]: smtpTransport,
+  [smsTransport.name]: smsTransport,
+};
+
+// Tên kênh được cấu hình cho từng loại tin nhắn:
+// SMS dùng SMS_TRANSPORT, còn lại dùng NOTIFICATION_TRANSPORT.
+const getTransportName = (channel) =>
+  channel === "sms"
+    ? process.env.SMS_TRANSPORT
+    : process.env.NOTIFICATION_TRANSPORT;
+
+// Kênh gửi thông báo theo cấu hình. Không có kênh mặc định: console/file phải được
+// chọn rõ ràng và bị từ chối ở production, thiếu cấu hình thì báo lỗi ngay.
+const getNotificationTransport = (channel = "email") => {
+  const name = getTransportName(channel);
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Chưa cấu hình kênh gửi thông báo cho ${channel}`);
+  }
+  if (transport.devOnly && process.env.NODE_ENV === "production") {
+    throw new Error(`Kênh gửi thông báo "${name}" không được dùng ở production`);
+  }
+  return transport;
+};
+
+// Kiểm tra cấu hình khi khởi động để production không chạy khi thiếu kênh gửi thông báo
+const checkNotificationConfig = () => {
+  if (process.env.NODE_ENV !== "production") return;
+  getNotificationTransport("email");
+  getNotificationTransport("sms");
+};
+
+// Gửi thông báo qua kênh đang cấu hình
+const sendNotification = (message) =>
+  getNotificationTransport(message.channel).send(message);
+
+module.exports = {
+  checkNotificationConfig,
+  getNotificationTransport,
+  sendNotification,
+};
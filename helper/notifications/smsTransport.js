@@ -0,0 +1,28 @@
+// Gửi tin nhắn SMS qua HTTP gateway (SMS_GATEWAY_URL nhận { to, text })
+module.exports = {
+  name: "sms",
+
+  send: async (message) => {
+    if (!message.to.phone) {
+      throw new Error("Người nhận không có số điện thoại");
+    }
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error("Chưa cấu hình SMS_GATEWAY_URL");
+    }
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.SMS_GATEWAY_TOKEN && {
+          Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}`,
+        }),
+      },
+      body: JSON.stringify({ to: message.to.phone, text: message.text }),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS gateway trả về lỗi ${response.status}`);
+    }
+    return { delivered: true };
+  },
+};
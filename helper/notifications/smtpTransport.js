@@ -0,0 +1,37 @@
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+// Tạo kết nối SMTP một lần theo cấu hình SMTP_*
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+// Gửi thông báo qua email
+module.exports = {
+  name: "smtp",
+
+  send: async (message) => {
+    if (!message.to.email) {
+      throw new Error("Người nhận không có địa chỉ email");
+    }
+
+    const info = await getTransporter().sendMail({
+      from: process.env.MAIL_FROM || process.env.SMTP_USER,
+      to: message.to.email,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { delivered: true, messageId: info.messageId };
+  },
+};
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const { restoreStock } = require("./stockHelpers");
+const { reverseVoucherRedemption } = require("./voucherHelpers");
+const { ORDER_TRANSITIONS } = require("./orderStatus");
+const { OrderModel } = require("../models/OrderModel");
+
+// Mã lý do hủy đơn hàng
+const CANCELLATION_REASONS = [
+  "CHANGED_MIND", // Đổi ý không mua nữa
+  "WRONG_SIZE", // Chọn nhầm size/màu
+  "FOUND_CHEAPER", // Tìm được giá tốt hơn
+  "DELIVERY_TOO_SLOW", // Thời gian giao hàng quá lâu
+  "DUPLICATE_ORDER", // Đặt trùng đơn
+  "OTHER",
+];
+
+// Các trạng thái mà vai trò role được phép hủy đơn hàng
+const getCancellableStatuses = (role) =>
+  Object.keys(ORDER_TRANSITIONS).filter((from) =>
+    (ORDER_TRANSITIONS[from].Cancelled || []).includes(role)
+  );
+
+// Hủy đơn hàng: đổi trạng thái, hoàn tồn kho và trả lượt dùng voucher trong một transaction.
+// Cập nhật có điều kiện theo trạng thái nên hai yêu cầu hủy đồng thời chỉ một yêu cầu được xử lý.
+// Đơn đã thanh toán được chuyển sang chờ hoàn tiền.
+// Trả về đơn hàng sau khi hủy, hoặc null nếu đơn không còn ở trạng thái hủy được.
+const cancelOrder = async (order, { actor, role, reason, note }) => {
+  const now = new Date();
+  const session = await mongoose.startSession();
+  let cancelled = null;
+  try {
+    await session.withTransaction(async () => {
+      const current = await OrderModel.findOne(
+        { _id: order._id, status: { $in: getCancellableStatuses(role) } },
+        null,
+        { session }
+      );
+      // withTransaction có thể chạy lại hàm này khi gặp lỗi tạm thời
+      cancelled = null;
+      if (!current) return;
+
+      cancelled = await OrderModel.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        {
+          $set: {
+            status: "Cancelled",
+            cancellation: {
+              reason,
+              note,
+              cancelledBy: actor,
+              cancelledByRole: role,
+              cancelledAt: now,
+            },
+            ...(current.paymentStatus === "paid" && {
+              paymentStatus: "refund_pending",
+            }),
+          },
+          $push: {
+            statusHistory: {
+              from: current.status,
+              status: "Cancelled",
+              actor,
+              actorRole: role,
+              note,
+              changedAt: now,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!cancelled) return;
+
+      await restoreStock(cancelled.items, session);
+      await reverseVoucherRedemption(cancelled, reason, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  CANCELLATION_REASONS,
+  cancelOrder,
+};
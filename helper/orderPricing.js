@@ -0,0 +1,220 @@
+const { ProductModel } = require("../models/ProductModel");
+const { VoucherModel } = require("../models/VoucherModel");
+const {
+  findVariant,
+  hasVariants,
+  getUnitPrice,
+} = require("./productHelpers");
+const {
+  VOUCHER_REASONS,
+  getVoucherError,
+  calculateDiscount,
+} = require("./voucherHelpers");
+const { evaluatePromotions } = require("./promotionEngine");
+const { quoteShipping } = require("./shippingCalculator");
+
+// Sai lệch tối đa (VNĐ) chấp nhận giữa giá client gửi lên và giá server tính lại
+const PRICE_TOLERANCE = 1;
+
+// Tính giá từng dòng từ dữ liệu trong database, không tin giá từ client
+const priceItems = async (items) => {
+  const errors = [];
+  const pricedItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const product = await ProductModel.findById(item.productId);
+    if (!product) {
+      errors.push({
+        index,
+        productId: item.productId,
+        message: "Sản phẩm không tồn tại",
+      });
+      continue;
+    }
+
+    const variant = findVariant(product, item);
+    if (hasVariants(product) && !variant) {
+      errors.push({
+        index,
+        productId: item.productId,
+        size: item.size,
+        color: item.color,
+        message: "Biến thể sản phẩm không tồn tại",
+      });
+      continue;
+    }
+
+    const quantity = Number(item.quantity);
+    const unitPrice = getUnitPrice(product, variant);
+
+    pricedItems.push({
+      productId: product._id,
+      variantId: variant ? variant._id : null,
+      quantity,
+      unitPrice,
+      price: unitPrice * quantity, // Thành tiền của dòng, giống cách lưu trong giỏ hàng
+      size: variant ? variant.size : item.size,
+      color: variant ? variant.color : item.color,
+      images: product.images.length > 0 ? [product.images[0].url] : [],
+      weight: (product.weight || 0) * quantity, // Tổng khối lượng dòng (gram)
+      // Dùng để xét phạm vi áp dụng của voucher và khuyến mãi
+      category: product.category,
+      subCategory: product.sub_category,
+      brand: product.brand,
+    });
+  }
+
+  return { items: pricedItems, errors };
+};
+
+// Tính lại toàn bộ giá đơn hàng: tiền hàng, khuyến mãi tự động, phí vận chuyển và voucher
+const priceOrder = async ({
+  items,
+  userId,
+  voucherCode,
+  provinceCode,
+  shippingOption,
+}) => {
+  const priced = await priceItems(items);
+  const { errors } = priced;
+  const subtotal = priced.items.reduce((total, item) => total + item.price, 0);
+
+  // Khuyến mãi tự động, quà tặng được thêm vào cuối danh sách với giá 0
+  const promotions = await evaluatePromotions(priced.items);
+  const pricedItems = [...priced.items, ...promotions.gifts];
+  const promotionDiscount = promotions.discount;
+
+  // Phí vận chuyển dùng chung bộ tính với API báo giá vận chuyển
+  const quote = await quoteShipping({
+    items: pricedItems,
+    subtotal,
+    provinceCode,
+  });
+  const selectedShipping = shippingOption
+    ? quote.options.find((option) => option.code === shippingOption)
+    : quote.options[0]; // Mặc định chọn phương thức rẻ nhất
+  const shippingError = selectedShipping
+    ? null
+    : "Phương thức vận chuyển không khả dụng cho địa chỉ này";
+  const shipping = selectedShipping ? selectedShipping.fee : 0;
+
+  // Kiểm tra lại voucher với tổng tiền do server tính
+  let voucher = null;
+  let voucherError = null;
+  let voucherReason = null;
+  let voucherLines = [];
+  let discount = 0;
+  if (voucherCode) {
+    voucher = await VoucherModel.findOne({ code: voucherCode, active: true });
+    let ineligible = await getVoucherError(voucher, {
+      orderTotal: subtotal,
+      userId,
+      items: pricedItems,
+    });
+    if (
+      !ineligible &&
+      promotions.applied.some((entry) => !entry.combinableWithVoucher)
+    ) {
+      ineligible = {
+        reason: "NOT_COMBINABLE",
+        message: VOUCHER_REASONS.NOT_COMBINABLE,
+      };
+    }
+
+    if (ineligible) {
+      voucherError = ineligible.message;
+      voucherReason = ineligible.reason;
+    } else {
+      const result = calculateDiscount(voucher, {
+        items: pricedItems,
+        shippingFee: shipping,
+      });
+      discount = result.discount;
+      voucherLines = result.lines;
+      // Giảm giá trên tiền hàng không vượt quá phần còn lại sau khuyến mãi
+      if (voucher.discountType !== "free_shipping") {
+        discount = Math.min(discount, subtotal - promotionDiscount);
+      }
+    }
+  }
+
+  return {
+    items: pricedItems,
+    errors,
+    voucher,
+    voucherError,
+    voucherReason,
+    voucherLines,
+    promotions: promotions.applied,
+    shipping: selectedShipping
+      ? {
+          zone: quote.zone ? quote.zone.id : null,
+          method: selectedShipping.code,
+          name: selectedShipping.name,
+          fee: selectedShipping.fee,
+        }
+      : null,
+    shippingError,
+    shippingQuote: quote,
+    breakdown: {
+      subtotal,
+      promotionDiscount,
+      discount,
+      shipping,
+      grandTotal: subtotal - promotionDiscount - discount + shipping,
+    },
+  };
+};
+
+// So sánh các giá trị client gửi lên với giá server tính, trả về danh sách sai lệch
+const diffClientTotals = (body, pricing) => {
+  const diff = [];
+  const isDifferent = (clientValue, serverValue) =>
+    Math.abs(Number(clientValue) - serverValue) > PRICE_TOLERANCE;
+
+  body.items.forEach((item, index) => {
+    const serverItem = pricing.items[index];
+    if (
+      serverItem &&
+      item.price !== undefined &&
+      isDifferent(item.price, serverItem.price)
+    ) {
+      diff.push({
+        field: `items[${index}].price`,
+        client: Number(item.price),
+        server: serverItem.price,
+      });
+    }
+  });
+
+  const { voucher } = pricing;
+  if (
+    voucher &&
+    voucher.discountType === "percentage" &&
+    body.discountPercentage !== undefined &&
+    body.discountPercentage !== null &&
+    Number(body.discountPercentage) !== voucher.discountValue
+  ) {
+    diff.push({
+      field: "discountPercentage",
+      client: Number(body.discountPercentage),
+      server: voucher.discountValue,
+    });
+  }
+
+  if (isDifferent(body.totalPrice, pricing.breakdown.grandTotal)) {
+    diff.push({
+      field: "totalPrice",
+      client: Number(body.totalPrice),
+      server: pricing.breakdown.grandTotal,
+    });
+  }
+
+  return diff;
+};
+
+module.exports = {
+  priceItems,
+  priceOrder,
+  diffClientTotals,
+};
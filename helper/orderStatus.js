@@ -0,0 +1,58 @@
+// Các trạng thái đơn hàng
+const ORDER_STATUSES = ["Pending", "Packed", "In Transit", "Completed", "Cancelled"];
+
+// Bảng chuyển trạng thái: trạng thái hiện tại -> trạng thái mới -> các vai trò được phép
+const ORDER_TRANSITIONS = {
+  Pending: {
+    Packed: ["admin"],
+    Cancelled: ["admin", "user"],
+  },
+  Packed: {
+    "In Transit": ["admin"],
+    Cancelled: ["admin", "user"],
+  },
+  "In Transit": {
+    Completed: ["admin"],
+    Cancelled: ["admin"], // Giao hàng thất bại
+  },
+  Completed: {},
+  Cancelled: {},
+};
+
+// Kiểm tra quyền chuyển trạng thái, trả về thông báo lỗi hoặc null nếu hợp lệ
+const getTransitionError = (from, to, role) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    return `Trạng thái không hợp lệ. Giá trị hợp lệ: ${ORDER_STATUSES.join(", ")}`;
+  }
+
+  const allowedRoles = (ORDER_TRANSITIONS[from] || {})[to];
+  if (!allowedRoles) {
+    return `Không thể chuyển đơn hàng từ "${from}" sang "${to}"`;
+  }
+
+  if (!allowedRoles.includes(role)) {
+    return `Bạn không có quyền chuyển đơn hàng từ "${from}" sang "${to}"`;
+  }
+
+  return null;
+};
+
+// Đổi trạng thái đơn hàng và ghi lại lịch sử
+const applyStatusChange = (order, { status, actor, role, note }) => {
+  order.statusHistory.push({
+    from: order.status,
+    status,
+    actor,
+    actorRole: role,
+    note,
+    changedAt: new Date(),
+  });
+  order.status = status;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getTransitionError,
+  applyStatusChange,
+};
@@ -0,0 +1,79 @@
+const { UserModel } = require("../models/UserModel");
+const { issueUserToken, consumeUserToken } = require("./userTokens");
+const { sendNotification } = require("./notifications");
+const { hashPassword } = require("./authHelpers");
+const { revokeUserSessions } = require("./sessions");
+
+const PASSWORD_RESET = "password_reset";
+
+const getResetTtlMinutes = () =>
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Tìm tài khoản theo email, số điện thoại hoặc tên đăng nhập
+const findAccount = (account) => {
+  const value = String(account).trim();
+  if (value.includes("@")) {
+    return UserModel.findOne({ email: value.toLowerCase() });
+  }
+  if (/^[0-9]{10,15}$/.test(value)) {
+    return UserModel.findOne({ phone: value });
+  }
+  return UserModel.findOne({ username: value });
+};
+
+// Gửi liên kết đặt lại mật khẩu. Không báo lỗi khi không tìm thấy tài khoản
+// để không lộ thông tin tài khoản nào tồn tại.
+// channel: "email" | "sms". Email chỉ dùng khi đã được xác thực, nếu không gửi qua SMS.
+const requestPasswordReset = async ({ account, channel = "email" }) => {
+  const user = await findAccount(account);
+  if (!user || !user.isActive) return;
+
+  const useEmail = channel === "email" && user.emailVerified;
+  const token = await issueUserToken({
+    userId: user._id,
+    purpose: PASSWORD_RESET,
+    email: user.email,
+    ttlMinutes: getResetTtlMinutes(),
+  });
+  const baseUrl =
+    process.env.PASSWORD_RESET_URL || "http://localhost:3000/reset-password";
+  const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+
+  await sendNotification({
+    type: PASSWORD_RESET,
+    channel: useEmail ? "email" : "sms",
+    to: useEmail
+      ? { userId: user._id, email: user.email }
+      : { userId: user._id, phone: user.phone },
+    subject: "Đặt lại mật khẩu",
+    text: `Đặt lại mật khẩu tài khoản ${user.username} bằng liên kết sau (hết hạn sau ${getResetTtlMinutes()} phút): ${link}. Bỏ qua tin nhắn này nếu bạn không yêu cầu.`,
+    data: { link }, // Kênh phát triển in liên kết để đặt lại mật khẩu khi chạy local
+    sensitive: true, // Có token, không được ghi nội dung ở production
+  });
+};
+
+// Đặt mật khẩu mới theo token. Các phiên đăng nhập cũ bị vô hiệu.
+// Trả về người dùng hoặc null nếu token không hợp lệ.
+const resetPassword = async (token, newPassword) => {
+  const userToken = await consumeUserToken(token, PASSWORD_RESET);
+  if (!userToken) return null;
+
+  const user = await UserModel.findOneAndUpdate(
+    { _id: userToken.userId, isActive: true },
+    {
+      $set: {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).select("-password");
+
+  if (user) await revokeUserSessions(user._id, "password_reset");
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,21 @@
+const vnpayProvider = require("./vnpayProvider");
+const mockProvider = require("./mockProvider");
+
+// Danh sách cổng thanh toán được hỗ trợ. Cổng mới chỉ cần cài đặt:
+// createPaymentUrl(), verifyCallback() và ipnResponse()
+const providers = {
+  [vnpayProvider.name]: vnpayProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+// Lấy cổng thanh toán theo tên, cổng giả lập chỉ dùng được khi được bật rõ ràng
+const getPaymentProvider = (name) => {
+  if (name === mockProvider.name && !mockProvider.isEnabled()) {
+    return null;
+  }
+  return providers[name] || null;
+};
+
+module.exports = {
+  getPaymentProvider,
+};
@@ -0,0 +1,58 @@
+const { buildSortedQuery, hmac, safeCompare } = require("./signing");
+
+// Cổng thanh toán giả lập để chạy thử toàn bộ luồng thanh toán khi không có mạng.
+// Chỉ bật khi đặt PAYMENT_MOCK_ENABLED=true và có MOCK_PAYMENT_SECRET, luôn tắt ở production.
+const isEnabled = () =>
+  process.env.PAYMENT_MOCK_ENABLED === "true" &&
+  process.env.NODE_ENV !== "production" &&
+  Boolean(process.env.MOCK_PAYMENT_SECRET);
+
+const getSecret = () => {
+  const secret = process.env.MOCK_PAYMENT_SECRET;
+  if (!secret) throw new Error("MOCK_PAYMENT_SECRET chưa được cấu hình");
+  return secret;
+};
+
+// Ký bộ tham số theo cùng cách với cổng thật
+const sign = (params) => hmac("sha256", getSecret(), buildSortedQuery(params));
+
+// Không có secret thì coi mọi chữ ký là không hợp lệ
+const isValidSignature = (signature, params) =>
+  Boolean(process.env.MOCK_PAYMENT_SECRET) && safeCompare(signature, sign(params));
+
+module.exports = {
+  name: "mock",
+  isEnabled,
+
+  // URL trỏ tới trang thanh toán giả lập của chính server
+  createPaymentUrl: ({ transactionRef, amount, returnUrl }) => {
+    const params = { transactionRef, amount, returnUrl };
+    const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT}`;
+    return `${baseUrl}/api/payments/mock/checkout?${buildSortedQuery(params)}&signature=${sign(params)}`;
+  },
+
+  // Tạo dữ liệu IPN đã ký như thể cổng thanh toán gửi về
+  buildIpnPayload: ({ transactionRef, amount, success }) => {
+    const params = {
+      transactionRef,
+      amount,
+      resultCode: success ? "0" : "1",
+      providerTransactionId: `MOCK${Date.now()}`,
+    };
+    return { ...params, signature: sign(params) };
+  },
+
+  // Kiểm tra chữ ký của URL thanh toán giả lập
+  verifyCheckout: ({ signature, ...params }) => isValidSignature(signature, params),
+
+  verifyCallback: ({ signature, ...params }) => ({
+    valid: isValidSignature(signature, params),
+    transactionRef: params.transactionRef,
+    amount: Number(params.amount),
+    success: params.resultCode === "0",
+    providerTransactionId: params.providerTransactionId,
+    responseCode: params.resultCode,
+  }),
+
+  ipnResponse: (outcome) => ({ success: outcome === "ok", outcome }),
+};
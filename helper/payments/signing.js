@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+
+// Chuỗi query đã sắp xếp theo khóa, dùng làm dữ liệu ký
+const buildSortedQuery = (params) =>
+  Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== "")
+    .sort()
+    .map(
+      (key) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(params[key]).replace(/%20/g, "+")}`
+    )
+    .join("&");
+
+// Ký dữ liệu bằng HMAC
+const hmac = (algorithm, secret, data) =>
+  crypto.createHmac(algorithm, secret).update(data, "utf-8").digest("hex");
+
+// So sánh chữ ký với thời gian không đổi để tránh timing attack
+const safeCompare = (a, b) => {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufferA = Buffer.from(a.toLowerCase());
+  const bufferB = Buffer.from(b.toLowerCase());
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+module.exports = {
+  buildSortedQuery,
+  hmac,
+  safeCompare,
+};
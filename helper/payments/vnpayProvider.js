@@ -0,0 +1,66 @@
+const { buildSortedQuery, hmac, safeCompare } = require("./signing");
+
+// Định dạng thời gian yyyyMMddHHmmss theo giờ Việt Nam
+const formatDate = (date) => {
+  const vnDate = new Date(date.getTime() + 7 * 60 * 60 * 1000);
+  return vnDate.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+};
+
+// Mã phản hồi IPN theo đặc tả VNPay
+const IPN_RESPONSE_CODES = {
+  ok: { RspCode: "00", Message: "Confirm Success" },
+  not_found: { RspCode: "01", Message: "Order not found" },
+  already_confirmed: { RspCode: "02", Message: "Order already confirmed" },
+  invalid_amount: { RspCode: "04", Message: "Invalid amount" },
+  invalid_signature: { RspCode: "97", Message: "Invalid signature" },
+  error: { RspCode: "99", Message: "Unknown error" },
+};
+
+module.exports = {
+  name: "vnpay",
+
+  // Tạo URL chuyển hướng sang cổng thanh toán
+  createPaymentUrl: ({ transactionRef, amount, orderInfo, ipAddr, returnUrl }) => {
+    const params = {
+      vnp_Version: "2.1.0",
+      vnp_Command: "pay",
+      vnp_TmnCode: process.env.VNPAY_TMN_CODE,
+      vnp_Locale: "vn",
+      vnp_CurrCode: "VND",
+      vnp_TxnRef: transactionRef,
+      vnp_OrderInfo: orderInfo,
+      vnp_OrderType: "other",
+      vnp_Amount: Math.round(amount * 100), // VNPay tính theo đơn vị x100
+      vnp_ReturnUrl: returnUrl,
+      vnp_IpAddr: ipAddr,
+      vnp_CreateDate: formatDate(new Date()),
+    };
+
+    const signData = buildSortedQuery(params);
+    const secureHash = hmac("sha512", process.env.VNPAY_HASH_SECRET, signData);
+
+    return `${process.env.VNPAY_URL}?${signData}&vnp_SecureHash=${secureHash}`;
+  },
+
+  // Xác thực chữ ký và chuẩn hóa dữ liệu callback
+  verifyCallback: (params) => {
+    const { vnp_SecureHash, vnp_SecureHashType, ...data } = params;
+    const expectedHash = hmac(
+      "sha512",
+      process.env.VNPAY_HASH_SECRET,
+      buildSortedQuery(data)
+    );
+
+    return {
+      valid: safeCompare(vnp_SecureHash, expectedHash),
+      transactionRef: data.vnp_TxnRef,
+      amount: Number(data.vnp_Amount) / 100,
+      success: data.vnp_ResponseCode === "00" && data.vnp_TransactionStatus === "00",
+      providerTransactionId: data.vnp_TransactionNo,
+      responseCode: data.vnp_ResponseCode,
+    };
+  },
+
+  // Nội dung phản hồi cho cổng thanh toán sau khi xử lý IPN
+  ipnResponse: (outcome) => IPN_RESPONSE_CODES[outcome] || IPN_RESPONSE_CODES.error,
+};
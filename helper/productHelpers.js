@@ -0,0 +1,68 @@
+// Tìm biến thể của sản phẩm theo variantId hoặc theo cặp size + màu
+const findVariant = (product, { variantId, size, color } = {}) => {
+  if (!product.variants || product.variants.length === 0) return null;
+
+  if (variantId) {
+    return (
+      product.variants.find(
+        (variant) => variant._id.toString() === variantId.toString()
+      ) || null
+    );
+  }
+
+  return (
+    product.variants.find(
+      (variant) => variant.size === size && variant.color === color
+    ) || null
+  );
+};
+
+// Sản phẩm có được quản lý tồn kho theo biến thể hay không
+const hasVariants = (product) =>
+  Array.isArray(product.variants) && product.variants.length > 0;
+
+// Giá một đơn vị sau khi áp dụng giảm giá (ưu tiên giá của biến thể).
+// Làm tròn tới đồng vì VNĐ không có phần lẻ, tránh sai lệch khi đối chiếu với cổng thanh toán.
+const getUnitPrice = (product, variant) => {
+  const basePrice =
+    variant && variant.price !== null && variant.price !== undefined
+      ? variant.price
+      : product.price;
+
+  return Math.round(
+    product.discount > 0
+      ? basePrice - (basePrice * product.discount) / 100
+      : basePrice
+  );
+};
+
+// Số lượng còn trong kho của biến thể (hoặc của sản phẩm nếu không có biến thể)
+const getAvailableStock = (product, variant) =>
+  variant ? variant.stock : product.productInStock;
+
+// Dòng sản phẩm có thuộc phạm vi { products, categories, subCategories, brands } không.
+// Phạm vi để trống toàn bộ được xem là áp dụng cho mọi sản phẩm.
+// item: { productId, category, subCategory, brand }
+const matchesScope = ({ products, categories, subCategories, brands }, item) => {
+  const lists = [products, categories, subCategories, brands];
+  if (lists.every((list) => !list || list.length === 0)) return true;
+
+  const hasId = (list, id) =>
+    id && (list || []).some((entry) => entry.toString() === id.toString());
+  const normalize = (brand) => (brand || "").trim().toLowerCase();
+
+  return (
+    hasId(products, item.productId) ||
+    hasId(categories, item.category) ||
+    hasId(subCategories, item.subCategory) ||
+    (brands || []).some((brand) => normalize(brand) === normalize(item.brand))
+  );
+};
+
+module.exports = {
+  matchesScope,
+  findVariant,
+  hasVariants,
+  getUnitPrice,
+  getAvailableStock,
+};
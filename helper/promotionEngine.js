@@ -0,0 +1,152 @@
+const { PromotionModel } = require("../models/PromotionModel");
+const { ProductModel } = require("../models/ProductModel");
+const {
+  matchesScope,
+  findVariant,
+  hasVariants,
+  getAvailableStock,
+} = require("./productHelpers");
+
+// Các khuyến mãi đang chạy, sắp xếp theo độ ưu tiên giảm dần
+const getRunningPromotions = (now = new Date()) =>
+  PromotionModel.find({
+    active: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: now } }] },
+    ],
+  }).sort({ priority: -1, createdAt: 1 });
+
+// Tạo dòng quà tặng (giá 0) nếu sản phẩm tặng còn đủ hàng, ngược lại trả về null
+const buildGiftLine = async (promotion) => {
+  const { freeProductId, freeVariantId, freeQuantity } = promotion.action;
+  const quantity = freeQuantity || 1;
+
+  const product = await ProductModel.findById(freeProductId);
+  if (!product) return null;
+
+  let variant = null;
+  if (hasVariants(product)) {
+    variant = freeVariantId
+      ? findVariant(product, { variantId: freeVariantId })
+      : product.variants.find((entry) => entry.stock >= quantity);
+    if (!variant) return null;
+  }
+
+  if (getAvailableStock(product, variant) < quantity) return null;
+
+  return {
+    productId: product._id,
+    variantId: variant ? variant._id : null,
+    quantity,
+    unitPrice: 0,
+    price: 0,
+    // Sản phẩm không có biến thể: không tự chọn size/màu thay khách hàng
+    size: variant ? variant.size : undefined,
+    color: variant ? variant.color : undefined,
+    images: product.images.length > 0 ? [product.images[0].url] : [],
+    weight: (product.weight || 0) * quantity,
+    category: product.category,
+    subCategory: product.sub_category,
+    brand: product.brand,
+    isGift: true,
+    promotionId: promotion._id,
+  };
+};
+
+// Giảm giá theo nhóm: mỗi nhóm bundleQuantity sản phẩm có giá cố định value.
+// Ưu tiên ghép nhóm từ các sản phẩm đắt nhất để khách hàng được lợi nhất.
+const calculateBundleDiscount = ({ value, bundleQuantity }, lines) => {
+  if (!bundleQuantity || bundleQuantity < 1) return 0;
+
+  const unitPrices = lines
+    .flatMap(({ item }) => Array(item.quantity).fill(item.unitPrice))
+    .sort((a, b) => b - a);
+  const bundles = Math.floor(unitPrices.length / bundleQuantity);
+  const bundledTotal = unitPrices
+    .slice(0, bundles * bundleQuantity)
+    .reduce((total, price) => total + price, 0);
+
+  return Math.max(0, bundledTotal - bundles * value);
+};
+
+// Xét một khuyến mãi trên giỏ hàng. Trả về kết quả áp dụng hoặc null nếu không thỏa điều kiện.
+const applyPromotion = async (promotion, items) => {
+  const { conditions = {}, action } = promotion;
+
+  const lines = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => !item.isGift && matchesScope(conditions, item));
+  const quantity = lines.reduce((total, { item }) => total + item.quantity, 0);
+  const subtotal = lines.reduce((total, { item }) => total + item.price, 0);
+
+  if (lines.length === 0) return null;
+  if (quantity < (conditions.minQuantity || 0)) return null;
+  if (subtotal < (conditions.minSubtotal || 0)) return null;
+
+  let discount = 0;
+  const gifts = [];
+  if (action.type === "percentage") {
+    discount = (subtotal * action.value) / 100;
+    if (action.maxDiscount) discount = Math.min(discount, action.maxDiscount);
+  } else if (action.type === "fixed") {
+    discount = Math.min(action.value, subtotal);
+  } else if (action.type === "bundle_price") {
+    discount = calculateBundleDiscount(action, lines);
+  } else if (action.type === "free_item") {
+    const gift = await buildGiftLine(promotion);
+    if (!gift) return null; // Hết quà tặng thì bỏ qua khuyến mãi
+    gifts.push(gift);
+  }
+
+  if (discount <= 0 && gifts.length === 0) return null;
+
+  return {
+    promotionId: promotion._id,
+    name: promotion.name,
+    type: action.type,
+    discount: Math.round(discount),
+    lines: lines.map(({ index }) => index),
+    gifts,
+    stackable: promotion.stackable,
+    combinableWithVoucher: promotion.combinableWithVoucher,
+  };
+};
+
+// Xét toàn bộ khuyến mãi đang chạy trên các dòng đã tính giá (xem priceOrder).
+// Khuyến mãi được xét theo độ ưu tiên; khuyến mãi không cộng dồn chỉ áp dụng khi
+// chưa có khuyến mãi nào khác, và chặn các khuyến mãi xét sau nó.
+const evaluatePromotions = async (items) => {
+  const promotions = await getRunningPromotions();
+  const applied = [];
+
+  for (const promotion of promotions) {
+    if (
+      applied.length > 0 &&
+      (!promotion.stackable || applied.some((entry) => !entry.stackable))
+    ) {
+      continue;
+    }
+
+    const result = await applyPromotion(promotion, items);
+    if (result) applied.push(result);
+  }
+
+  // Tổng giảm không vượt quá tiền hàng
+  const subtotal = items.reduce((total, item) => total + item.price, 0);
+  const discount = Math.min(
+    subtotal,
+    applied.reduce((total, entry) => total + entry.discount, 0)
+  );
+
+  return {
+    discount,
+    gifts: applied.flatMap((entry) => entry.gifts),
+    applied,
+  };
+};
+
+module.exports = {
+  getRunningPromotions,
+  evaluatePromotions,
+};
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { SessionModel } = require("../models/SessionModel");
+const { UserModel } = require("../models/UserModel");
+const { generateToken } = require("./authHelpers");
+
+const REFRESH_TOKEN_COOKIE = "refreshToken";
+// Số refresh token cũ giữ lại để phát hiện dùng lại
+const MAX_PREVIOUS_TOKENS = 20;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Thời gian (giây) refresh token vừa xoay vòng vẫn được chấp nhận, để các yêu cầu
+// làm mới gửi đồng thời (nhiều tab) không bị coi là dùng lại token
+const getRefreshGraceMs = () =>
+  (Number(process.env.REFRESH_TOKEN_GRACE_SECONDS) || 30) * 1000;
+
+// Thời hạn phiên đăng nhập (ngày), dài hơn khi chọn "ghi nhớ đăng nhập"
+const getSessionTtlDays = (rememberMe) =>
+  rememberMe
+    ? Number(process.env.REMEMBER_ME_TTL_DAYS) || 30
+    : Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const hashToken = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
+});
+
+// Refresh token chỉ gửi kèm các API của người dùng (làm mới, đăng xuất)
+const refreshCookieOptions = () => ({ ...cookieOptions(), path: "/api/user" });
+
+// Mô tả ngắn thiết bị từ user-agent, vd: "Chrome trên Windows"
+const describeDevice = (userAgent = "") => {
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Không rõ";
+  const os =
+    [
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad|iPod/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(userAgent))?.[0] || "Không rõ";
+  return `${browser} trên ${os}`;
+};
+
+// Tách refresh token "<sessionId>.<giá trị>"
+const parseRefreshToken = (token) => {
+  const [sessionId, value] = String(token || "").split(".");
+  if (!mongoose.isValidObjectId(sessionId) || !value) return null;
+  return { sessionId, value };
+};
+
+// Gửi access token và refresh token qua cookie HTTP-only
+const setAuthCookies = (res, { accessToken, refreshToken, expiresAt }) => {
+  const maxAge = expiresAt.getTime() - Date.now();
+  res.cookie("token", accessToken, { ...cookieOptions(), maxAge });
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions());
+  res.clearCookie(REFRESH_TOKEN_COOKIE, refreshCookieOptions());
+};
+
+// Tạo phiên đăng nhập mới cho người dùng, gửi cookie và trả về access token.
+// twoFactorVerified: người dùng vừa qua bước xác thực hai lớp.
+const startSession = async (
+  req,
+  res,
+  user,
+  { twoFactorVerified = false } = {}
+) => {
+  const value = crypto.randomBytes(32).toString("hex");
+  const userAgent = req.get("user-agent") || "";
+  const expiresAt = new Date(
+    Date.now() + getSessionTtlDays(user.rememberMe) * DAY
+  );
+
+  const session = await SessionModel.create({
+    userId: user._id,
+    tokenHash: hashToken(value),
+    twoFactorVerified,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt,
+  });
+
+  const accessToken = generateToken(user, session);
+  setAuthCookies(res, {
+    accessToken,
+    refreshToken: `${session._id}.${value}`,
+    expiresAt,
+  });
+  return accessToken;
+};
+
+// Token được gửi là token vừa bị xoay vòng trong thời gian cho phép
+const isWithinGracePeriod = (session, presentedHash) =>
+  session.rotatedFromHash === presentedHash &&
+  Boolean(session.rotatedAt) &&
+  Date.now() - session.rotatedAt.getTime() <= getRefreshGraceMs();
+
+// Yêu cầu làm mới đồng thời: chỉ cấp access token mới, giữ nguyên refresh token
+// mà yêu cầu xoay vòng trước đã gửi về
+const issueGraceAccessToken = async (res, session) => {
+  const user = await UserModel.findById(session.userId);
+  if (!user || !user.isActive) return { error: "invalid" };
+
+  const accessToken = generateToken(user, session);
+  res.cookie("token", accessToken, {
+    ...cookieOptions(),
+    maxAge: session.expiresAt.getTime() - Date.now(),
+  });
+  return { accessToken };
+};
+
+// Làm mới phiên bằng refresh token trong cookie, refresh token được xoay vòng.
+// Trả về { accessToken } hoặc { error: "invalid" | "reuse_detected" }.
+// Refresh token đã xoay vòng bị dùng lại sau thời gian cho phép => có thể đã bị đánh cắp,
+// thu hồi cả phiên.
+const refreshSession = async (req, res) => {
+  const parsed = parseRefreshToken(req.cookies[REFRESH_TOKEN_COOKIE]);
+  if (!parsed) return { error: "invalid" };
+
+  const session = await SessionModel.findById(parsed.sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { error: "invalid" };
+  }
+
+  const presentedHash = hashToken(parsed.value);
+  if (presentedHash !== session.tokenHash) {
+    if (isWithinGracePeriod(session, presentedHash)) {
+      return issueGraceAccessToken(res, session);
+    }
+    if (!session.previousTokenHashes.includes(presentedHash)) {
+      return { error: "invalid" };
+    }
+    await SessionModel.updateOne(
+      { _id: session._id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse_detected" } }
+    );
+    return { error: "reuse_detected" };
+  }
+
+  const user = await UserModel.findById(session.userId);
+  if (!user || !user.isActive) return { error: "invalid" };
+
+  // Chỉ xoay vòng nếu token chưa bị yêu cầu khác xoay trước
+  const nextValue = crypto.randomBytes(32).toString("hex");
+  const rotated = await SessionModel.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(nextValue),
+        rotatedFromHash: presentedHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [presentedHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    // Yêu cầu khác vừa xoay vòng cùng token này
+    const current = await SessionModel.findById(session._id);
+    if (
+      current &&
+      !current.revokedAt &&
+      isWithinGracePeriod(current, presentedHash)
+    ) {
+      return issueGraceAccessToken(res, current);
+    }
+    return { error: "invalid" };
+  }
+
+  const accessToken = generateToken(user, rotated);
+  setAuthCookies(res, {
+    accessToken,
+    refreshToken: `${session._id}.${nextValue}`,
+    expiresAt: session.expiresAt,
+  });
+  return { accessToken };
+};
+
+// Đăng xuất phiên hiện tại (theo refresh token trong cookie) và xóa cookie
+const endSession = async (req, res) => {
+  const parsed = parseRefreshToken(req.cookies[REFRESH_TOKEN_COOKIE]);
+  if (parsed) {
+    await SessionModel.updateOne(
+      {
+        _id: parsed.sessionId,
+        tokenHash: hashToken(parsed.value),
+        revokedAt: null,
+      },
+      { $set: { revokedAt: new Date(), revokedReason: "signout" } }
+    );
+  }
+  clearAuthCookies(res);
+};
+
+// Thu hồi một phiên của người dùng. Trả về false nếu không tìm thấy phiên đang hoạt động
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+  const result = await SessionModel.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Thu hồi mọi phiên đang hoạt động của người dùng. Trả về số phiên đã thu hồi
+const revokeUserSessions = async (userId, reason) => {
+  const result = await SessionModel.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Các phiên đang hoạt động của người dùng, mới dùng gần nhất trước
+const listActiveSessions = (userId) =>
+  SessionModel.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+module.exports = {
+  startSession,
+  refreshSession,
+  endSession,
+  clearAuthCookies,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,74 @@
+const { ShippingZoneModel } = require("../models/ShippingZoneModel");
+
+// Phí vận chuyển cố định khi chưa cấu hình vùng giao hàng nào
+const getFlatShippingFee = () => Number(process.env.SHIPPING_FEE) || 0;
+
+// Tìm vùng giao hàng của tỉnh/thành, không có thì dùng vùng mặc định
+const findZone = async (provinceCode) => {
+  if (provinceCode) {
+    const zone = await ShippingZoneModel.findOne({
+      provinceCodes: provinceCode,
+      active: true,
+    });
+    if (zone) return zone;
+  }
+  return ShippingZoneModel.findOne({ isDefault: true, active: true });
+};
+
+// Tìm bậc phí phù hợp với giá trị (số lượng hoặc khối lượng)
+const findTier = (tiers, value) =>
+  [...tiers]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find((tier) => tier.upTo === null || tier.upTo === undefined || value <= tier.upTo);
+
+// Báo giá các phương thức giao hàng cho danh sách sản phẩm đã tính giá.
+// items: [{ quantity, price, weight }], weight là tổng khối lượng của dòng (gram)
+const quoteShipping = async ({ items, subtotal, provinceCode }) => {
+  const zone = await findZone(provinceCode);
+
+  if (!zone) {
+    return {
+      zone: null,
+      options: [
+        {
+          code: "standard",
+          name: "Giao hàng tiêu chuẩn",
+          fee: getFlatShippingFee(),
+          freeShipping: false,
+        },
+      ],
+    };
+  }
+
+  const totalQuantity = items.reduce((total, item) => total + item.quantity, 0);
+  const totalWeight = items.reduce((total, item) => total + (item.weight || 0), 0);
+
+  const options = [];
+  for (const option of zone.options) {
+    const value = option.basis === "weight" ? totalWeight : totalQuantity;
+    const tier = findTier(option.tiers, value);
+    if (!tier) continue; // Vượt quá bậc cao nhất, phương thức không khả dụng
+
+    const freeShipping =
+      option.freeShippingThreshold !== null &&
+      option.freeShippingThreshold !== undefined &&
+      subtotal >= option.freeShippingThreshold;
+
+    options.push({
+      code: option.code,
+      name: option.name,
+      estimatedDays: option.estimatedDays,
+      fee: freeShipping ? 0 : tier.fee,
+      freeShipping,
+    });
+  }
+
+  return {
+    zone: { id: zone._id, name: zone.name },
+    options: options.sort((a, b) => a.fee - b.fee),
+  };
+};
+
+module.exports = {
+  quoteShipping,
+};
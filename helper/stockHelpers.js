@@ -0,0 +1,102 @@
+const { ProductModel } = require("../models/ProductModel");
+const { findVariant, hasVariants } = require("./productHelpers");
+
+// Trừ tồn kho cho từng dòng đơn hàng trong session (transaction) hiện tại.
+// Trả về danh sách dòng đã gắn variantId và danh sách lỗi theo từng dòng.
+const reserveStock = async (items, session) => {
+  const errors = [];
+  const reservedItems = [];
+
+  for (const [index, item] of items.entries()) {
+    const quantity = Number(item.quantity);
+    const product = await ProductModel.findById(item.productId).session(session);
+
+    if (!product) {
+      errors.push({
+        index,
+        productId: item.productId,
+        message: "Sản phẩm không tồn tại",
+      });
+      continue;
+    }
+
+    const variant = findVariant(product, item);
+    if (hasVariants(product) && !variant) {
+      errors.push({
+        index,
+        productId: item.productId,
+        size: item.size,
+        color: item.color,
+        message: "Biến thể sản phẩm không tồn tại",
+      });
+      continue;
+    }
+
+    // Cập nhật có điều kiện để không bao giờ trừ quá số lượng còn lại
+    const result = variant
+      ? await ProductModel.updateOne(
+          {
+            _id: product._id,
+            variants: {
+              $elemMatch: { _id: variant._id, stock: { $gte: quantity } },
+            },
+          },
+          { $inc: { "variants.$.stock": -quantity, productInStock: -quantity } },
+          { session }
+        )
+      : await ProductModel.updateOne(
+          { _id: product._id, productInStock: { $gte: quantity } },
+          { $inc: { productInStock: -quantity } },
+          { session }
+        );
+
+    if (result.modifiedCount === 0) {
+      errors.push({
+        index,
+        productId: item.productId,
+        variantId: variant ? variant._id : null,
+        size: variant ? variant.size : item.size,
+        color: variant ? variant.color : item.color,
+        requested: quantity,
+        available: variant ? variant.stock : product.productInStock,
+        message: `Sản phẩm "${product.name}" không đủ số lượng trong kho`,
+      });
+      continue;
+    }
+
+    reservedItems.push({
+      ...item,
+      variantId: variant ? variant._id : null,
+      size: variant ? variant.size : item.size,
+      color: variant ? variant.color : item.color,
+    });
+  }
+
+  return { items: reservedItems, errors };
+};
+
+// Hoàn lại tồn kho cho các dòng đơn hàng (khi hủy đơn, trả hàng...)
+const restoreStock = async (items, session) => {
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+
+    if (item.variantId) {
+      await ProductModel.updateOne(
+        { _id: item.productId, "variants._id": item.variantId },
+        { $inc: { "variants.$.stock": quantity, productInStock: quantity } },
+        { session }
+      );
+    } else {
+      await ProductModel.updateOne(
+        { _id: item.productId },
+        { $inc: { productInStock: quantity } },
+        { session }
+      );
+    }
+  }
+};
+
+module.exports = {
+  reserveStock,
+  restoreStock,
+};
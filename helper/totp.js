@@ -0,0 +1,86 @@
+const crypto = require("crypto");
+
+// TOTP (RFC 6238): mã 6 chữ số, bước 30 giây, HMAC-SHA1 — tương thích Google Authenticator
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    const chunk = bits.slice(i, i + 5).padEnd(5, "0");
+    output += BASE32_ALPHABET[parseInt(chunk, 2)];
+  }
+  return output;
+};
+
+const base32Decode = (value) => {
+  let bits = "";
+  for (const char of value.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Khóa base32 không hợp lệ");
+    bits += index.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Khóa bí mật mới (160 bit, base32)
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Mã TOTP tại bước thời gian step
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const getCurrentStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / STEP_SECONDS);
+
+// Kiểm tra mã, chấp nhận lệch window bước để bù sai lệch đồng hồ.
+// Trả về bước thời gian khớp (dùng để chống dùng lại mã) hoặc null.
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) return null;
+
+  const current = getCurrentStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// URI otpauth:// để ứng dụng xác thực quét qua mã QR
+const getTotpUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotp,
+  getCurrentStep,
+  verifyTotp,
+  getTotpUri,
+};
@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { UserModel } = require("../models/UserModel");
+const { generateTotpSecret, verifyTotp, getTotpUri } = require("./totp");
+const { isAdminTwoFactorRequired } = require("./authHelpers");
+
+const SECRET_FIELDS = [
+  "+twoFactor.secret",
+  "+twoFactor.pendingSecret",
+  "+twoFactor.recoveryCodes",
+  "+twoFactor.lastUsedStep",
+].join(" ");
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CHALLENGE_AUDIENCE = "2fa";
+
+// Tài khoản bắt buộc phải bật 2FA
+const isTwoFactorEnforced = (user) =>
+  isAdminTwoFactorRequired() && user.role === "admin";
+
+// Khóa TOTP được mã hóa AES-256-GCM trước khi lưu
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(secret, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decryptSecret = (value) => {
+  const [iv, authTag, encrypted] = value
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Mã khôi phục dạng XXXX-XXXX, chỉ lưu hash
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toUpperCase())
+    .digest("hex");
+
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    let code = "";
+    for (let i = 0; i < 8; i++) {
+      const index = crypto.randomInt(RECOVERY_CODE_ALPHABET.length);
+      code += RECOVERY_CODE_ALPHABET[index];
+    }
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+
+const findUserWithSecrets = (userId) =>
+  UserModel.findById(userId).select(SECRET_FIELDS);
+
+// Bắt đầu bật 2FA: tạo khóa chờ xác nhận, trả về khóa và URI để tạo mã QR.
+// Trả về null nếu 2FA đã được bật.
+const beginEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  const result = await UserModel.updateOne(
+    { _id: user._id, "twoFactor.enabled": { $ne: true } },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+  );
+  if (result.matchedCount === 0) return null;
+
+  return {
+    secret,
+    otpauthUrl: getTotpUri({
+      secret,
+      accountName: user.email || user.username,
+      issuer: process.env.TWO_FACTOR_ISSUER || "E-commerce",
+    }),
+  };
+};
+
+// Xác nhận bật 2FA bằng mã từ ứng dụng xác thực.
+// outcome: "enabled" (kèm mã khôi phục, chỉ hiển thị một lần) | "already_enabled" | "invalid_code"
+const completeEnrollment = async (userId, code) => {
+  const user = await findUserWithSecrets(userId);
+  if (user && user.twoFactor.enabled) return { outcome: "already_enabled" };
+  if (!user || !user.twoFactor.pendingSecret) {
+    return { outcome: "invalid_code" };
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) return { outcome: "invalid_code" };
+
+  // Điều kiện enabled tránh ghi đè khóa và mã khôi phục khi hai yêu cầu bật cùng lúc
+  const recoveryCodes = generateRecoveryCodes();
+  const result = await UserModel.updateOne(
+    { _id: user._id, "twoFactor.enabled": { $ne: true } },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": user.twoFactor.pendingSecret,
+        "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode),
+        "twoFactor.lastUsedStep": step,
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    }
+  );
+  if (result.modifiedCount === 0) return { outcome: "already_enabled" };
+  return { outcome: "enabled", recoveryCodes };
+};
+
+// Kiểm tra bước thứ hai: mã TOTP hoặc mã khôi phục (mỗi mã chỉ dùng được một lần)
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await findUserWithSecrets(userId);
+  if (!user || !user.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await UserModel.updateOne(
+      { _id: user._id, "twoFactor.recoveryCodes": hash },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  // Chỉ chấp nhận mã ở bước thời gian mới hơn mã đã dùng trước đó
+  const result = await UserModel.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Tạo lại mã khôi phục, các mã cũ hết hiệu lực
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await UserModel.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) },
+    }
+  );
+  return recoveryCodes;
+};
+
+const disableTwoFactor = (userId) =>
+  UserModel.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false, "twoFactor.enabledAt": null },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+      },
+    }
+  );
+
+// Token ngắn hạn cho bước thứ hai khi đăng nhập.
+// purpose: "verify" (nhập mã) | "setup" (bắt buộc bật 2FA trước khi đăng nhập)
+const issueChallengeToken = (user, purpose) =>
+  jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_TTL || "5m",
+  });
+
+// Trả về id người dùng trong challenge token, hoặc null nếu không hợp lệ
+const readChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      audience: CHALLENGE_AUDIENCE,
+    });
+    return decoded.purpose === purpose ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Bước thứ hai sau khi đúng mật khẩu, null nếu không cần 2FA
+const getSignInChallenge = (user) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(user, "verify"),
+    };
+  }
+  if (isTwoFactorEnforced(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: issueChallengeToken(user, "setup"),
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  isTwoFactorEnforced,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  readChallengeToken,
+  getSignInChallenge,
+};
@@ -0,0 +1,56 @@
+const crypto = require("crypto");
+const { UserTokenModel } = require("../models/UserTokenModel");
+const { hmac, safeCompare } = require("./payments/signing");
+
+const getTokenSecret = () =>
+  process.env.USER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const hashToken = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const signToken = (purpose, value) =>
+  hmac("sha256", getTokenSecret(), `${purpose}.${value}`);
+
+// Phát hành token dùng một lần, các token chưa dùng cùng mục đích của người dùng bị hủy.
+// Trả về chuỗi "<giá trị>.<chữ ký>" để gửi cho người dùng.
+const issueUserToken = async ({ userId, purpose, email, ttlMinutes }) => {
+  await UserTokenModel.deleteMany({ userId, purpose, usedAt: null });
+
+  const value = crypto.randomBytes(32).toString("hex");
+  await UserTokenModel.create({
+    userId,
+    purpose,
+    email,
+    tokenHash: hashToken(value),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return `${value}.${signToken(purpose, value)}`;
+};
+
+// Dùng token: trả về bản ghi token, hoặc null nếu sai chữ ký, hết hạn hay đã được dùng
+const consumeUserToken = async (token, purpose) => {
+  if (typeof token !== "string") return null;
+
+  const [value, signature] = token.split(".");
+  if (!value || !safeCompare(signature, signToken(purpose, value))) {
+    return null;
+  }
+
+  // Đánh dấu đã dùng ngay trong câu truy vấn để token không thể dùng hai lần
+  return UserTokenModel.findOneAndUpdate(
+    {
+      tokenHash: hashToken(value),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+};
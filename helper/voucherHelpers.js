@@ -0,0 +1,491 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { VoucherModel } = require("../models/VoucherModel");
+const {
+  VoucherRedemptionModel,
+} = require("../models/VoucherRedemptionModel");
+const { VoucherUsageModel } = require("../models/VoucherUsageModel");
+
+const { OrderModel } = require("../models/OrderModel");
+const { UserModel } = require("../models/UserModel");
+const { matchesScope } = require("./productHelpers");
+
+// Mã lý do voucher không áp dụng được, trả về cho client
+const VOUCHER_REASONS = {
+  NOT_FOUND: "Voucher không tồn tại hoặc đã hết hiệu lực",
+  NOT_STARTED: "Voucher chưa đến thời gian áp dụng",
+  EXPIRED: "Voucher đã hết hạn",
+  MIN_ORDER_VALUE: "Đơn hàng chưa đạt giá trị tối thiểu",
+  NO_ELIGIBLE_ITEMS: "Giỏ hàng không có sản phẩm áp dụng voucher này",
+  USAGE_LIMIT_REACHED: "Voucher đã đạt đến giới hạn sử dụng",
+  PER_USER_LIMIT_REACHED: "Bạn đã sử dụng hết số lần cho phép của voucher này",
+  USER_NOT_ALLOWED: "Voucher không áp dụng cho tài khoản của bạn",
+  USER_DENIED: "Tài khoản của bạn không được sử dụng voucher này",
+  FIRST_ORDER_ONLY: "Voucher chỉ áp dụng cho đơn hàng đầu tiên",
+  NEW_CUSTOMER_ONLY: "Voucher chỉ áp dụng cho khách hàng mới",
+  NOT_COMBINABLE: "Voucher không dùng chung được với khuyến mãi đang áp dụng",
+  EMAIL_NOT_VERIFIED: "Vui lòng xác thực email trước khi sử dụng voucher",
+};
+
+const ineligible = (reason, message = VOUCHER_REASONS[reason]) => ({
+  reason,
+  message,
+});
+
+// Các trường quy tắc của voucher (dùng chung cho tạo, tạo hàng loạt và cập nhật)
+const VOUCHER_RULE_FIELDS = [
+  "discountType",
+  "discountValue",
+  "minOrderValue",
+  "maxDiscountValue",
+  "expirationDate",
+  "usageLimit",
+  "startDate",
+  "perUserLimit",
+  "firstOrderOnly",
+  "newCustomerOnly",
+  "newCustomerDays",
+  "allowedUsers",
+  "deniedUsers",
+  "applicableProducts",
+  "applicableCategories",
+  "applicableSubCategories",
+  "applicableBrands",
+];
+
+// Lấy các trường quy tắc có trong dữ liệu gửi lên
+const pickVoucherRules = (body) =>
+  Object.fromEntries(
+    VOUCHER_RULE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  );
+
+// Kiểm tra các quy tắc của voucher. Trả về thông báo lỗi, hoặc null nếu hợp lệ.
+const getVoucherRulesError = (rules) => {
+  const {
+    discountType,
+    discountValue,
+    minOrderValue,
+    maxDiscountValue,
+    expirationDate,
+    usageLimit,
+    startDate,
+    perUserLimit,
+    newCustomerDays,
+    allowedUsers,
+    deniedUsers,
+    applicableProducts,
+    applicableCategories,
+    applicableSubCategories,
+    applicableBrands,
+  } = rules;
+
+  const requiredFields = [
+    {
+      field: discountType,
+      message: "Loại giảm giá không được để trống",
+      allowedValues: VoucherModel.schema.path("discountType").enumValues,
+    },
+    {
+      field: discountValue,
+      message: "Giá trị giảm không được để trống",
+      type: "number",
+      min: 0,
+      optional: discountType === "free_shipping", // Miễn phí vận chuyển không cần giá trị giảm
+    },
+    {
+      field: minOrderValue,
+      message: "Giá trị đơn hàng tối thiểu không được để trống",
+      type: "number",
+      min: 0,
+    },
+    {
+      field: maxDiscountValue,
+      message: "Giá trị giảm tối đa phải là số và không nhỏ hơn 0",
+      type: "number",
+      min: 0,
+      optional: true, // Cho phép bỏ trống
+    },
+    {
+      field: expirationDate,
+      message: "Ngày hết hạn không được để trống",
+    },
+    {
+      field: usageLimit,
+      message: "Số lượng sử dụng không được để trống",
+      type: "number",
+      min: 1,
+    },
+    {
+      field: perUserLimit,
+      message: "Số lần sử dụng mỗi người dùng phải là số",
+      type: "number",
+      min: 0,
+      optional: true,
+    },
+    {
+      field: newCustomerDays,
+      message: "Số ngày khách hàng mới phải là số",
+      type: "number",
+      min: 1,
+      optional: true,
+    },
+  ];
+
+  // Duyệt qua danh sách và kiểm tra từng trường
+  for (const {
+    field,
+    message,
+    type,
+    min,
+    max,
+    allowedValues,
+    optional,
+  } of requiredFields) {
+    if (!field && field !== 0) {
+      if (optional) continue; // Bỏ qua trường tùy chọn
+      return message;
+    }
+
+    // Kiểm tra kiểu dữ liệu
+    if (
+      type === "number" &&
+      (isNaN(field) || field < min || (max !== undefined && field > max))
+    ) {
+      return `${message} và phải là số thực từ ${min}`;
+    }
+
+    // Kiểm tra giá trị hợp lệ
+    if (allowedValues && !allowedValues.includes(field)) {
+      return `${message}. Giá trị hợp lệ: ${allowedValues.join(", ")}`;
+    }
+  }
+
+  if (isNaN(new Date(expirationDate).getTime())) {
+    return "Ngày hết hạn không hợp lệ";
+  }
+
+  // Ngày bắt đầu phải trước ngày hết hạn
+  if (startDate && new Date(startDate) >= new Date(expirationDate)) {
+    return "Ngày bắt đầu phải trước ngày hết hạn";
+  }
+
+  // Danh sách người dùng và phạm vi áp dụng phải là mảng ID hợp lệ
+  for (const list of [
+    allowedUsers,
+    deniedUsers,
+    applicableProducts,
+    applicableCategories,
+    applicableSubCategories,
+  ]) {
+    if (
+      list !== undefined &&
+      (!Array.isArray(list) ||
+        !list.every((id) => mongoose.Types.ObjectId.isValid(id)))
+    ) {
+      return "Danh sách ID không hợp lệ";
+    }
+  }
+
+  if (applicableBrands !== undefined && !Array.isArray(applicableBrands)) {
+    return "Danh sách thương hiệu không hợp lệ";
+  }
+
+  return null;
+};
+
+// Bộ ký tự mặc định khi sinh mã, bỏ các ký tự dễ nhầm (0/O, 1/I/L)
+const DEFAULT_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+// Sinh quantity mã voucher ngẫu nhiên, không trùng nhau và không trùng mã đã có trong database
+const generateVoucherCodes = async ({
+  prefix = "",
+  length,
+  alphabet = DEFAULT_CODE_ALPHABET,
+  quantity,
+}) => {
+  const randomCode = () => {
+    let code = prefix;
+    for (let i = 0; i < length; i++) {
+      code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return code;
+  };
+
+  const codes = new Set();
+  // Giới hạn số vòng để không lặp vô hạn khi không gian mã quá nhỏ
+  for (let attempt = 0; codes.size < quantity && attempt < 10; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < quantity - codes.size) {
+      const code = randomCode();
+      if (!codes.has(code)) candidates.add(code);
+    }
+
+    const existing = await VoucherModel.find({
+      code: { $in: [...candidates] },
+    }).distinct("code");
+    const taken = new Set(existing);
+    candidates.forEach((code) => !taken.has(code) && codes.add(code));
+  }
+
+  if (codes.size < quantity) {
+    throw new Error("Không sinh đủ mã voucher không trùng lặp");
+  }
+
+  return [...codes];
+};
+
+// Dòng sản phẩm có nằm trong phạm vi áp dụng của voucher không (quà tặng không được tính).
+// item: { productId, category, subCategory, brand }
+const isEligibleLine = (voucher, item) =>
+  !item.isGift &&
+  matchesScope(
+    {
+      products: voucher.applicableProducts,
+      categories: voucher.applicableCategories,
+      subCategories: voucher.applicableSubCategories,
+      brands: voucher.applicableBrands,
+    },
+    item
+  );
+
+// Kiểm tra voucher có áp dụng được cho người dùng và giá trị đơn hàng hay không.
+// items (tùy chọn) dùng để kiểm tra voucher giới hạn phạm vi có dòng nào áp dụng được.
+// Trả về { reason, message } nếu không hợp lệ, hoặc null nếu voucher hợp lệ.
+const getVoucherError = async (voucher, { orderTotal, userId, items }) => {
+  if (!voucher) return ineligible("NOT_FOUND");
+
+  const now = new Date();
+  if (voucher.startDate && now < new Date(voucher.startDate)) {
+    return ineligible("NOT_STARTED");
+  }
+
+  // Kiểm tra ngày hết hạn
+  if (now > new Date(voucher.expirationDate)) {
+    return ineligible("EXPIRED");
+  }
+
+  // Kiểm tra giá trị đơn hàng tối thiểu
+  if (orderTotal < voucher.minOrderValue) {
+    return ineligible(
+      "MIN_ORDER_VALUE",
+      `Đơn hàng phải có giá trị tối thiểu là ${voucher.minOrderValue}`
+    );
+  }
+
+  if (items && !items.some((item) => isEligibleLine(voucher, item))) {
+    return ineligible("NO_ELIGIBLE_ITEMS");
+  }
+
+  // Kiểm tra số lần sử dụng
+  if (voucher.usageLimit > 0 && voucher.usedCount >= voucher.usageLimit) {
+    return ineligible("USAGE_LIMIT_REACHED");
+  }
+
+  // Chỉ tài khoản đã xác thực email mới được dùng voucher
+  const user = await UserModel.findById(userId).select(
+    "emailVerified createdAt"
+  );
+  if (!user || !user.emailVerified) {
+    return ineligible("EMAIL_NOT_VERIFIED");
+  }
+
+  // Danh sách người dùng được phép / bị chặn
+  const isListed = (list) =>
+    (list || []).some((id) => id.toString() === userId.toString());
+  if (isListed(voucher.deniedUsers)) {
+    return ineligible("USER_DENIED");
+  }
+  if (voucher.allowedUsers && voucher.allowedUsers.length > 0) {
+    if (!isListed(voucher.allowedUsers)) return ineligible("USER_NOT_ALLOWED");
+  }
+
+  // Giới hạn số lần sử dụng của mỗi người dùng
+  if (voucher.perUserLimit > 0) {
+    const usedByUser = await VoucherRedemptionModel.countDocuments({
+      voucherId: voucher._id,
+      userId,
+      status: "committed",
+    });
+    if (usedByUser >= voucher.perUserLimit) {
+      return ineligible("PER_USER_LIMIT_REACHED");
+    }
+  }
+
+  // Đơn hàng đầu tiên: người dùng chưa có đơn hàng nào (không tính đơn đã hủy)
+  if (voucher.firstOrderOnly) {
+    const hasOrder = await OrderModel.exists({
+      userId,
+      status: { $ne: "Cancelled" },
+    });
+    if (hasOrder) return ineligible("FIRST_ORDER_ONLY");
+  }
+
+  // Khách hàng mới: tài khoản đăng ký trong vòng newCustomerDays ngày
+  if (voucher.newCustomerOnly) {
+    const registeredDays =
+      (now - new Date(user.createdAt)) / (24 * 60 * 60 * 1000);
+    if (registeredDays > voucher.newCustomerDays) {
+      return ineligible("NEW_CUSTOMER_ONLY");
+    }
+  }
+
+  return null;
+};
+
+// Tính số tiền được giảm theo loại voucher, chỉ trên các dòng thuộc phạm vi áp dụng.
+// items: [{ productId, category, subCategory, brand, price }], price là thành tiền của dòng.
+// Trả về tổng tiền giảm và phần giảm phân bổ cho từng dòng (lines).
+const calculateDiscount = (voucher, { items, shippingFee = 0 }) => {
+  // Miễn phí vận chuyển: giảm phí ship, có thể giới hạn bởi maxDiscountValue
+  if (voucher.discountType === "free_shipping") {
+    const discount = voucher.maxDiscountValue
+      ? Math.min(shippingFee, voucher.maxDiscountValue)
+      : shippingFee;
+    return { discount, lines: [] };
+  }
+
+  const eligible = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => isEligibleLine(voucher, item));
+  const eligibleTotal = eligible.reduce(
+    (total, { item }) => total + item.price,
+    0
+  );
+
+  let discount = 0;
+  if (voucher.discountType === "percentage") {
+    discount = Math.round((eligibleTotal * voucher.discountValue) / 100);
+    if (voucher.maxDiscountValue) {
+      discount = Math.min(discount, voucher.maxDiscountValue);
+    }
+  } else if (voucher.discountType === "fixed") {
+    discount = Math.min(voucher.discountValue, eligibleTotal);
+  }
+
+  // Phân bổ tiền giảm theo tỷ lệ thành tiền, phần lẻ dồn vào dòng cuối
+  let allocated = 0;
+  const lines = eligible.map(({ item, index }, position) => {
+    let lineDiscount = discount - allocated; // Dòng cuối nhận phần còn lại
+    if (position < eligible.length - 1) {
+      lineDiscount = eligibleTotal
+        ? Math.round((discount * item.price) / eligibleTotal)
+        : 0;
+    }
+    allocated += lineDiscount;
+    return { index, productId: item.productId, discount: lineDiscount };
+  });
+
+  return { discount, lines };
+};
+
+// Ghi nhận voucher đã dùng cho đơn hàng (trong transaction tạo đơn).
+// Trả về thông báo lỗi nếu voucher vừa hết lượt sử dụng, ngược lại trả về null.
+const commitVoucherRedemption = async (
+  { voucher, userId, orderId, discountAmount },
+  session
+) => {
+  // Bộ đếm theo người dùng, khởi tạo từ các lượt dùng đã ghi nhận trước đó
+  const usedByUser = await VoucherRedemptionModel.countDocuments({
+    voucherId: voucher._id,
+    userId,
+    status: "committed",
+  }).session(session);
+  await VoucherUsageModel.updateOne(
+    { voucherId: voucher._id, userId },
+    { $setOnInsert: { count: usedByUser } },
+    { upsert: true, session }
+  );
+
+  // Tăng bộ đếm có điều kiện: hai đơn đồng thời cùng ghi vào một document nên
+  // transaction sau sẽ thấy lượt dùng của transaction trước
+  const usage = await VoucherUsageModel.updateOne(
+    {
+      voucherId: voucher._id,
+      userId,
+      ...(voucher.perUserLimit > 0 && {
+        count: { $lt: voucher.perUserLimit },
+      }),
+    },
+    { $inc: { count: 1 } },
+    { session }
+  );
+  if (usage.modifiedCount === 0) {
+    return VOUCHER_REASONS.PER_USER_LIMIT_REACHED;
+  }
+
+  // Tăng lượt dùng có điều kiện để không vượt quá giới hạn khi nhiều đơn đặt cùng lúc
+  const result = await VoucherModel.updateOne(
+    {
+      _id: voucher._id,
+      $or: [
+        { usageLimit: { $lte: 0 } },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    return "Voucher đã đạt đến giới hạn sử dụng";
+  }
+
+  await VoucherRedemptionModel.create(
+    [
+      {
+        voucherId: voucher._id,
+        voucherCode: voucher.code,
+        userId,
+        orderId,
+        discountAmount,
+      },
+    ],
+    { session }
+  );
+
+  return null;
+};
+
+// Hoàn lại voucher đã dùng của đơn hàng (khi đơn bị hủy)
+const reverseVoucherRedemption = async (order, reason, session) => {
+  const redemptions = await VoucherRedemptionModel.find({
+    orderId: order._id,
+    status: "committed",
+  }).session(session);
+
+  for (const redemption of redemptions) {
+    redemption.status = "reversed";
+    redemption.reversedAt = new Date();
+    redemption.reversalReason = reason;
+    await redemption.save({ session });
+
+    await VoucherModel.updateOne(
+      { _id: redemption.voucherId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } },
+      { session }
+    );
+    await VoucherUsageModel.updateOne(
+      {
+        voucherId: redemption.voucherId,
+        userId: redemption.userId,
+        count: { $gt: 0 },
+      },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+};
+
+module.exports = {
+  VOUCHER_REASONS,
+  DEFAULT_CODE_ALPHABET,
+  generateVoucherCodes,
+  pickVoucherRules,
+  getVoucherRulesError,
+  isEligibleLine,
+  getVoucherError,
+  calculateDiscount,
+  commitVoucherRedemption,
+  reverseVoucherRedemption,
+};
@@ -8,3 +8,14 @@ exports.authLimiter = rateLimit({
     message: "Quá nhiều yêu cầu đăng nhập. Vui lòng thử lại sau 1 phút.",
   },
 });
+
+// Làm mới phiên được gọi tự động mỗi khi access token hết hạn (nhiều tab cùng lúc)
+// nên cần giới hạn rộng hơn đăng nhập
+exports.refreshLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 phút
+  max: 30, // tối đa 30 request/phút
+  message: {
+    success: false,
+    message: "Quá nhiều yêu cầu làm mới phiên đăng nhập. Vui lòng thử lại sau 1 phút.",
+  },
+});
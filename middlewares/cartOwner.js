@@ -0,0 +1,33 @@
+// middlewares/cartOwner.js
+const { authenticateToken } = require("../helper/authHelpers");
+const { readGuestId, createGuestId } = require("../helper/guestCart");
+
+// Xác định chủ giỏ hàng: người dùng đã đăng nhập hoặc khách (cookie guestCart đã ký).
+// Gán req.cartOwner = { userId } | { guestId }, hoặc null nếu khách chưa có giỏ hàng.
+// createGuest: tạo định danh khách mới khi chưa có (dùng cho thao tác thêm vào giỏ).
+const cartOwner =
+  ({ createGuest = false } = {}) =>
+  async (req, res, next) => {
+    const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
+    if (token) {
+      try {
+        req.user = await authenticateToken(token);
+      } catch (error) {
+        // Token hết hạn, bị thu hồi hoặc không hợp lệ: tiếp tục với vai trò khách
+      }
+      if (req.user) {
+        req.cartOwner = { userId: req.user.id };
+        return next();
+      }
+    }
+
+    let guestId = readGuestId(req);
+    if (!guestId && createGuest) {
+      guestId = createGuestId(res);
+    }
+
+    req.cartOwner = guestId ? { guestId } : null;
+    next();
+  };
+
+module.exports = cartOwner;
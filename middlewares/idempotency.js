@@ -0,0 +1,104 @@
+// middlewares/idempotency.js
+const crypto = require("crypto");
+const { IdempotencyKeyModel } = require("../models/IdempotencyKeyModel");
+
+// Thời gian lưu kết quả (giờ)
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// Hỗ trợ header Idempotency-Key: gửi lại cùng key sẽ nhận lại đúng kết quả lần đầu
+// mà không thực hiện lại thao tác. Phải đặt sau verifyToken để có req.user.
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: "Idempotency-Key không hợp lệ",
+    });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const requestHash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify(req.body || {}))
+    .digest("hex");
+
+  let record;
+  try {
+    record = await IdempotencyKeyModel.create({
+      key,
+      userId: req.user.id,
+      route,
+      requestHash,
+      expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    // Key đã được dùng trước đó
+    let existing;
+    try {
+      existing = await IdempotencyKeyModel.findOne({
+        key,
+        userId: req.user.id,
+        route,
+      });
+    } catch (err) {
+      console.error("Error reading idempotency key:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Lỗi khi kiểm tra Idempotency-Key",
+        type: "error",
+      });
+    }
+
+    if (!existing) {
+      return res.status(409).json({
+        success: false,
+        message: "Yêu cầu đang được xử lý, vui lòng thử lại sau",
+      });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: "Idempotency-Key đã được dùng cho một yêu cầu khác",
+      });
+    }
+
+    if (existing.status === "processing") {
+      return res.status(409).json({
+        success: false,
+        message: "Yêu cầu đang được xử lý, vui lòng thử lại sau",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Lưu lại phản hồi; lỗi máy chủ thì xóa key để client có thể thử lại
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const saveResult =
+      res.statusCode >= 500
+        ? IdempotencyKeyModel.deleteOne({ _id: record._id })
+        : IdempotencyKeyModel.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body)), // Lưu đúng JSON client nhận được
+            }
+          );
+    saveResult.catch((err) =>
+      console.error("Error saving idempotent response:", err)
+    );
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = idempotency;
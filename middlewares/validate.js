@@ -1,9 +1,13 @@
 const Joi = require("joi");
+const { CANCELLATION_REASONS } = require("../helper/orderCancellation");
+const { ReturnRequestSchema } = require("../models/ReturnRequestModel");
+const { DEFAULT_CODE_ALPHABET } = require("../helper/voucherHelpers");
 
 // ✅ Validate đăng ký
 exports.validateSignup = (req, res, next) => {
   const schema = Joi.object({
     username: Joi.string().trim().alphanum().min(3).max(30).required(),
+    email: Joi.string().trim().email().max(254).required(),
     phone: Joi.string().pattern(/^(0|\+?\d{1,3})[0-9]{9,14}$/).required(),
     fullName: Joi.string().trim().min(3).max(100).required(),
     password: Joi.string()
@@ -54,22 +58,115 @@ exports.validateSignin = (req, res, next) => {
   next();
 };
 
+// ✅ Validate yêu cầu quên mật khẩu
+exports.validateForgotPassword = (req, res, next) => {
+  const schema = Joi.object({
+    account: Joi.string().trim().min(3).max(254).required(), // Email, số điện thoại hoặc username
+    channel: Joi.string().valid("email", "sms"),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate đặt lại mật khẩu
+exports.validateResetPassword = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().trim().max(512).required(),
+    password: Joi.string()
+      .min(8)
+      .max(64)
+      .pattern(/^(?=.*[A-Z])(?=.*[a-z])(?=.*\d).+$/)
+      .message("Mật khẩu phải có ít nhất 1 chữ hoa, 1 chữ thường và 1 số")
+      .required(),
+    confirmPassword: Joi.any()
+      .valid(Joi.ref("password"))
+      .required()
+      .messages({ "any.only": "Mật khẩu xác nhận không khớp" }),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu đặt lại mật khẩu không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate bắt đầu bật xác thực hai lớp (cần mật khẩu hiện tại)
+exports.validateTwoFactorSetup = (req, res, next) => {
+  const schema = Joi.object({
+    password: Joi.string().max(64).required(),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Vui lòng nhập mật khẩu hiện tại",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate mã xác thực hai lớp (mã TOTP 6 số hoặc mã khôi phục)
+exports.validateTwoFactorCode = (req, res, next) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().max(1024),
+    password: Joi.string().max(64),
+    code: Joi.string().trim().pattern(/^\d{6}$/).message("Mã xác thực gồm 6 chữ số"),
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor("code", "recoveryCode");
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Mã xác thực không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
 // ✅ Validate tạo đơn hàng
 exports.validateOrder = (req, res, next) => {
   const schema = Joi.object({
-    userId: Joi.string().regex(/^[a-f\d]{24}$/i).required(), // ID MongoDB
+    userId: Joi.string().regex(/^[a-f\d]{24}$/i), // ID MongoDB (chủ đơn hàng lấy từ token)
     fullName: Joi.string().trim().min(3).max(100).required(),
     phone: Joi.string().pattern(/^(0|\+?\d{1,3})[0-9]{9,14}$/).required(),
     province: Joi.string().trim().required(),
+    provinceCode: Joi.string().trim().required(),
     district: Joi.string().trim().required(),
+    districtCode: Joi.string().trim().required(),
     ward: Joi.string().trim().required(),
+    wardCode: Joi.string().trim().required(),
     detail: Joi.string().trim().min(3).required(),
     paymentMethod: Joi.string().valid("COD", "Online").required(),
+    shippingOption: Joi.string().trim().max(50),
     totalPrice: Joi.number().positive().min(0).required(),
     items: Joi.array()
       .items(
         Joi.object({
           productId: Joi.string().regex(/^[a-f\d]{24}$/i).required(),
+          variantId: Joi.string().regex(/^[a-f\d]{24}$/i).allow(null),
+          size: Joi.string().trim(),
+          color: Joi.string().trim(),
           quantity: Joi.number().integer().min(1).required(),
           price: Joi.number().min(0).required(),
         })
@@ -89,3 +186,313 @@ exports.validateOrder = (req, res, next) => {
 
   next();
 };
+
+// ✅ Validate biến thể sản phẩm (tạo mới hoặc cập nhật)
+exports.validateVariant = (req, res, next) => {
+  const isUpdate = req.method === "PUT";
+  const schema = Joi.object({
+    size: Joi.string().trim().max(20),
+    color: Joi.string().trim().max(50),
+    sku: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).max(64),
+    barcode: Joi.string().trim().pattern(/^\d{8,14}$/).allow(""),
+    price: Joi.number().min(0).allow(null),
+    stock: Joi.number().integer().min(0),
+  }).fork(isUpdate ? [] : ["size", "color", "sku", "stock"], (field) =>
+    field.required()
+  );
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu biến thể không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate yêu cầu hủy đơn hàng
+exports.validateCancelOrder = (req, res, next) => {
+  const schema = Joi.object({
+    reason: Joi.string()
+      .valid(...CANCELLATION_REASONS)
+      .required(),
+    note: Joi.string().trim().max(500).allow(""),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu hủy đơn hàng không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate yêu cầu trả hàng (gửi dạng multipart nên items có thể là chuỗi JSON)
+exports.validateReturnRequest = (req, res, next) => {
+  if (typeof req.body.items === "string") {
+    try {
+      req.body.items = JSON.parse(req.body.items);
+    } catch (err) {
+      return res.status(400).json({
+        success: false,
+        message: "Danh sách sản phẩm trả không hợp lệ",
+      });
+    }
+  }
+
+  const schema = Joi.object({
+    orderId: Joi.string().regex(/^[a-f\d]{24}$/i).required(),
+    reason: Joi.string()
+      .valid(...ReturnRequestSchema.path("reason").enumValues)
+      .required(),
+    note: Joi.string().trim().max(1000).allow(""),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          orderItemId: Joi.string().regex(/^[a-f\d]{24}$/i).required(),
+          quantity: Joi.number().integer().min(1).required(),
+        })
+      )
+      .min(1)
+      .required(),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu yêu cầu trả hàng không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate vùng giao hàng
+exports.validateShippingZone = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    provinceCodes: Joi.array().items(Joi.string().trim()).default([]),
+    isDefault: Joi.boolean(),
+    active: Joi.boolean(),
+    options: Joi.array()
+      .items(
+        Joi.object({
+          code: Joi.string().trim().pattern(/^[a-z0-9_-]+$/).required(),
+          name: Joi.string().trim().required(),
+          estimatedDays: Joi.string().trim().allow(""),
+          basis: Joi.string().valid("quantity", "weight"),
+          tiers: Joi.array()
+            .items(
+              Joi.object({
+                upTo: Joi.number().min(0).allow(null),
+                fee: Joi.number().min(0).required(),
+              })
+            )
+            .min(1)
+            .required(),
+          freeShippingThreshold: Joi.number().min(0).allow(null),
+        })
+      )
+      .min(1)
+      .unique("code")
+      .required(),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu vùng giao hàng không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate yêu cầu báo giá vận chuyển
+exports.validateShippingQuote = (req, res, next) => {
+  const schema = Joi.object({
+    provinceCode: Joi.string().trim().required(),
+    districtCode: Joi.string().trim(),
+    wardCode: Joi.string().trim(),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          productId: Joi.string().regex(/^[a-f\d]{24}$/i).required(),
+          variantId: Joi.string().regex(/^[a-f\d]{24}$/i).allow(null),
+          size: Joi.string().trim(),
+          color: Joi.string().trim(),
+          quantity: Joi.number().integer().min(1).required(),
+        })
+      )
+      .min(1)
+      .required(),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu báo giá vận chuyển không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate khuyến mãi tự động
+exports.validatePromotion = (req, res, next) => {
+  const objectId = Joi.string().regex(/^[a-f\d]{24}$/i);
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(200).required(),
+    description: Joi.string().allow(""),
+    active: Joi.boolean(),
+    startDate: Joi.date().allow(null),
+    endDate: Joi.date().allow(null).when("startDate", {
+      is: Joi.date().required(),
+      then: Joi.date().greater(Joi.ref("startDate")),
+    }),
+    priority: Joi.number().integer(),
+    stackable: Joi.boolean(),
+    combinableWithVoucher: Joi.boolean(),
+    conditions: Joi.object({
+      products: Joi.array().items(objectId),
+      categories: Joi.array().items(objectId),
+      subCategories: Joi.array().items(objectId),
+      brands: Joi.array().items(Joi.string().trim()),
+      minQuantity: Joi.number().integer().min(0),
+      minSubtotal: Joi.number().min(0),
+    }),
+    action: Joi.object({
+      type: Joi.string()
+        .valid("percentage", "fixed", "free_item", "bundle_price")
+        .required(),
+      value: Joi.when("type", {
+        is: "percentage",
+        then: Joi.number().greater(0).max(100).required(),
+        otherwise: Joi.when("type", {
+          is: "free_item",
+          then: Joi.number().min(0),
+          otherwise: Joi.number().min(0).required(),
+        }),
+      }),
+      maxDiscount: Joi.number().min(0).allow(null),
+      bundleQuantity: Joi.when("type", {
+        is: "bundle_price",
+        then: Joi.number().integer().min(2).required(),
+        otherwise: Joi.number().integer().min(0),
+      }),
+      freeProductId: Joi.when("type", {
+        is: "free_item",
+        then: objectId.required(),
+        otherwise: objectId.allow(null),
+      }),
+      freeVariantId: objectId.allow(null),
+      freeQuantity: Joi.number().integer().min(1),
+    }).required(),
+  });
+
+  const { error } = schema.validate(req.body, { abortEarly: false, stripUnknown: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu khuyến mãi không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate mẫu sinh mã của đợt phát hành voucher (quy tắc voucher được kiểm tra riêng)
+exports.validateVoucherCampaign = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(2).max(200).required(),
+    description: Joi.string().allow(""),
+    quantity: Joi.number().integer().min(1).max(10000).required(),
+    prefix: Joi.string().trim().pattern(/^[A-Za-z0-9_-]*$/).max(20).allow(""),
+    length: Joi.number().integer().min(4).max(32).required(),
+    alphabet: Joi.string()
+      .pattern(/^[A-Za-z0-9]+$/)
+      .min(2)
+      .custom((value, helpers) =>
+        new Set(value).size === value.length
+          ? value
+          : helpers.error("any.invalid")
+      )
+      .messages({ "any.invalid": "Bộ ký tự không được chứa ký tự trùng lặp" }),
+  }).unknown(true);
+
+  const { error, value } = schema.validate(req.body, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Dữ liệu đợt phát hành voucher không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  // Không gian mã phải lớn hơn nhiều so với số lượng để tránh trùng lặp
+  const alphabetSize = (value.alphabet || DEFAULT_CODE_ALPHABET).length;
+  if (Math.pow(alphabetSize, value.length) < value.quantity * 10) {
+    return res.status(400).json({
+      success: false,
+      message: "Độ dài mã quá ngắn so với số lượng mã cần sinh",
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate khoảng thời gian của báo cáo thống kê (query from, to, groupBy)
+exports.validateReportRange = (req, res, next) => {
+  const schema = Joi.object({
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when("from", {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref("from")),
+    }),
+    groupBy: Joi.string().valid("day", "month"),
+  }).unknown(true);
+
+  const { error } = schema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Khoảng thời gian thống kê không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
+
+// ✅ Validate tham số phân trang (query page, perPage)
+exports.validatePagination = (req, res, next) => {
+  const schema = Joi.object({
+    page: Joi.number().integer().min(1),
+    perPage: Joi.number().integer().min(1).max(100),
+  }).unknown(true);
+
+  const { error } = schema.validate(req.query, { abortEarly: false });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Tham số phân trang không hợp lệ",
+      details: error.details.map((d) => d.message),
+    });
+  }
+
+  next();
+};
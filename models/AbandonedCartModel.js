@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+// Sự kiện giỏ hàng bị bỏ quên: ghi lại một lần cho mỗi khoảng thời gian không hoạt động
+const AbandonedCartSchema = new mongoose.Schema(
+  {
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    guestId: String,
+    items: [
+      {
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: mongoose.Schema.Types.ObjectId,
+        quantity: Number,
+        price: Number, // Thành tiền của dòng
+        size: String,
+        color: String,
+      },
+    ],
+    cartValue: {
+      type: Number, // Tổng giá trị giỏ hàng lúc bị bỏ quên
+      default: 0,
+    },
+    lastActivityAt: {
+      type: Date, // Lần cập nhật cuối của giỏ hàng
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["abandoned", "recovered"],
+      default: "abandoned",
+    },
+    reminder: {
+      status: {
+        type: String,
+        // pending: chờ gửi | sent: đã gửi | failed: gửi lỗi | skipped: không có thông tin liên hệ
+        enum: ["pending", "sent", "failed", "skipped"],
+        default: "pending",
+      },
+      transport: String,
+      attempts: { type: Number, default: 0 },
+      sentAt: Date,
+      error: String,
+    },
+    recoveredAt: Date,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    recoveredValue: {
+      type: Number, // Giá trị đơn hàng đặt sau khi bỏ quên giỏ hàng
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Mỗi lần giỏ hàng ngừng hoạt động chỉ ghi nhận một sự kiện
+AbandonedCartSchema.index({ cartId: 1, lastActivityAt: 1 }, { unique: true });
+AbandonedCartSchema.index({ userId: 1, status: 1 });
+AbandonedCartSchema.index({ "reminder.status": 1 });
+AbandonedCartSchema.index({ createdAt: -1 });
+
+// Tạo virtual cho thuộc tính id
+AbandonedCartSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+AbandonedCartSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  AbandonedCartModel: mongoose.model("AbandonedCart", AbandonedCartSchema),
+  AbandonedCartSchema: AbandonedCartSchema,
+};
@@ -1,45 +1,59 @@
 const mongoose = require("mongoose");
 
+// Một dòng trong giỏ hàng (sản phẩm + size + màu)
+const CartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true, // Liên kết với sản phẩm
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId, // Biến thể (size + màu) của sản phẩm
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, "Số lượng không được nhỏ hơn 1"],
+    default: 1, // Số lượng mặc định
+  },
+  price: {
+    type: Number,
+    required: true, // Giá sản phẩm tại thời điểm thêm vào giỏ
+  },
+  color: {
+    type: String,
+    required: true, // Màu sản phẩm
+  },
+  size: {
+    type: String,
+    required: true, // Kích thước sản phẩm
+  },
+  images: [
+    {
+      type: String,
+      required: true, // Hình ảnh sản phẩm
+    },
+  ],
+});
+
 const CartSchema = new mongoose.Schema(
   {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true, // Liên kết với người dùng
+      default: null, // Liên kết với người dùng (null với giỏ hàng của khách)
+    },
+    guestId: {
+      type: String, // Định danh khách chưa đăng nhập (lưu trong cookie đã ký)
+      default: undefined,
+    },
+    expiresAt: {
+      type: Date, // Giỏ hàng của khách tự xóa sau thời điểm này
+      default: undefined,
     },
-    items: [
-      {
-        productId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "Product",
-          required: true, // Liên kết với sản phẩm
-        },
-        quantity: {
-          type: Number,
-          required: true,
-          min: [1, "Số lượng không được nhỏ hơn 1"],
-          default: 1, // Số lượng mặc định
-        },
-        price: {
-          type: Number,
-          required: true, // Giá sản phẩm tại thời điểm thêm vào giỏ
-        },
-        color: {
-          type: String,
-          required: true, // Màu sản phẩm
-        },
-        size: {
-          type: String,
-          required: true, // Kích thước sản phẩm
-        },
-        images: [
-          {
-            type: String,
-            required: true, // Hình ảnh sản phẩm
-          },
-        ],
-      },
-    ],
+    items: [CartItemSchema],
+    savedForLater: [CartItemSchema], // Sản phẩm lưu lại để mua sau (không tính vào tổng tiền)
     totalPrice: {
       type: Number,
       required: true,
@@ -49,6 +63,17 @@ const CartSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Mỗi giỏ hàng thuộc về một người dùng hoặc một khách
+CartSchema.pre("validate", function (next) {
+  if (!this.userId && !this.guestId) {
+    return next(new Error("Giỏ hàng phải thuộc về người dùng hoặc khách"));
+  }
+  next();
+});
+
+CartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Tạo virtual cho thuộc tính id
 CartSchema.virtual("id").get(function () {
   return this._id.toHexString();
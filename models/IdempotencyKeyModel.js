@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Giá trị header Idempotency-Key
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    route: {
+      type: String, // Phương thức + đường dẫn, ví dụ "POST /api/order/create"
+      required: true,
+    },
+    requestHash: {
+      type: String, // Hash nội dung request để phát hiện dùng lại key với dữ liệu khác
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Mỗi người dùng chỉ dùng một key cho một route
+IdempotencyKeySchema.index({ userId: 1, route: 1, key: 1 }, { unique: true });
+// MongoDB tự xóa bản ghi khi hết hạn
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = {
+  IdempotencyKeyModel: mongoose.model("IdempotencyKey", IdempotencyKeySchema),
+  IdempotencyKeySchema: IdempotencyKeySchema,
+};
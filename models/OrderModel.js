@@ -14,18 +14,45 @@ const OrderSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId, // Biến thể (size + màu) của sản phẩm
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
         },
+        unitPrice: {
+          type: Number, // Đơn giá do server tính tại thời điểm đặt hàng
+        },
         price: {
           type: Number,
-          required: true,
+          required: true, // Thành tiền của dòng (đơn giá x số lượng)
         },
         color: String,
         size: String,
 
         images: [String],
+        isGift: {
+          type: Boolean, // Quà tặng từ khuyến mãi (giá 0)
+          default: false,
+        },
+        promotionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+          default: null,
+        },
+      },
+    ],
+    promotions: [
+      {
+        promotionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Promotion",
+        },
+        name: String,
+        type: { type: String }, // Loại hành động của khuyến mãi
+        discount: { type: Number, default: 0 },
       },
     ],
     isVouched: [
@@ -40,6 +67,9 @@ const OrderSchema = new mongoose.Schema(
         discountPercentage: {
           type: Number,
         },
+        discountAmount: {
+          type: Number, // Số tiền được giảm thực tế
+        },
         appliedDate: {
           type: String,
         },
@@ -50,6 +80,22 @@ const OrderSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    shipping: {
+      zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ShippingZone",
+      },
+      method: String, // Mã phương thức vận chuyển
+      name: String,
+      fee: Number,
+    },
+    priceBreakdown: {
+      subtotal: { type: Number, default: 0 }, // Tổng tiền hàng
+      promotionDiscount: { type: Number, default: 0 }, // Giảm giá từ khuyến mãi tự động
+      discount: { type: Number, default: 0 }, // Giảm giá từ voucher
+      shipping: { type: Number, default: 0 }, // Phí vận chuyển
+      grandTotal: { type: Number, default: 0 }, // Tổng thanh toán
+    },
     address: {
       province: String,
       provinceCode: String,
@@ -65,6 +111,36 @@ const OrderSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    paymentStatus: {
+      type: String,
+      enum: [
+        "unpaid",
+        "pending",
+        "paid",
+        "refund_pending", // Đơn đã thanh toán nhưng bị hủy, chờ hoàn tiền
+        "failed",
+        "refunded",
+      ],
+      default: "unpaid",
+    },
+    payment: {
+      provider: String, // Cổng thanh toán (vnpay, mock...)
+      transactionRef: String, // Mã giao dịch gửi sang cổng thanh toán
+      providerTransactionId: String, // Mã giao dịch phía cổng thanh toán
+      amount: Number,
+      responseCode: String,
+      paidAt: Date,
+    },
+    // Mọi lần tạo thanh toán, để IPN của lần trước (khách vẫn trả tiền) không bị bỏ sót
+    paymentAttempts: [
+      {
+        _id: false,
+        provider: String,
+        transactionRef: String,
+        amount: Number,
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
     orderDate: {
       type: Date,
       default: Date.now,
@@ -74,10 +150,55 @@ const OrderSchema = new mongoose.Schema(
       enum: ["Pending", "Packed", "In Transit", "Completed", "Cancelled"],
       default: "Pending",
     },
+    cancellation: {
+      reason: String, // Mã lý do hủy
+      note: String,
+      cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      cancelledByRole: String,
+      cancelledAt: Date,
+    },
+    refunds: [
+      {
+        returnRequestId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ReturnRequest",
+        },
+        amount: { type: Number, required: true },
+        note: String,
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        refundedAt: { type: Date, default: Date.now },
+      },
+    ],
+    refundedAmount: {
+      type: Number, // Tổng số tiền đã hoàn cho đơn hàng
+      default: 0,
+    },
+    statusHistory: [
+      {
+        from: { type: String, default: null }, // Trạng thái trước đó
+        status: { type: String, required: true }, // Trạng thái mới
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User", // Người thực hiện thay đổi
+        },
+        actorRole: String,
+        note: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Tìm đơn hàng theo mã giao dịch khi cổng thanh toán gọi IPN
+OrderSchema.index({ "paymentAttempts.transactionRef": 1 }, { sparse: true });
+
 // Tạo virtual cho thuộc tính id
 OrderSchema.virtual("id").get(function () {
   return this._id.toHexString();
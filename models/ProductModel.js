@@ -1,5 +1,15 @@
 const mongoose = require("mongoose");
 
+// Biến thể sản phẩm theo size + màu, mỗi biến thể có tồn kho riêng
+const VariantSchema = new mongoose.Schema({
+  size: { type: String, required: true, trim: true },
+  color: { type: String, required: true, trim: true },
+  sku: { type: String, required: true, trim: true },
+  barcode: { type: String, trim: true },
+  price: { type: Number, min: 0, default: null }, // Ghi đè giá sản phẩm nếu có
+  stock: { type: Number, required: true, min: 0, default: 0 },
+});
+
 const ProductSchema = new mongoose.Schema({
   name: { type: String, required: true },
   description: { type: String, required: true },
@@ -24,10 +34,12 @@ const ProductSchema = new mongoose.Schema({
     },
   ],
   productInStock: { type: Number, required: true },
+  weight: { type: Number, min: 0, default: 0 }, // Khối lượng (gram) để tính phí vận chuyển
   isFeatured: { type: Boolean, default: false },
   size: [{ type: String, required: true }],
   colors: [{ type: String, required: true }],
   tags: [{ type: String }],
+  variants: [VariantSchema],
 
   numberReviews: { type: Number, default: 0 },
   rating: { type: Number, default: 0 },
@@ -36,6 +48,36 @@ const ProductSchema = new mongoose.Schema({
   updatedAt: { type: Date },
 });
 
+// SKU là duy nhất giữa các sản phẩm (chỉ áp dụng cho sản phẩm có biến thể)
+ProductSchema.index(
+  { "variants.sku": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "variants.sku": { $exists: true } },
+  }
+);
+
+// Index unique (multikey) không chặn SKU trùng trong cùng một sản phẩm nên phải kiểm tra ở đây
+ProductSchema.pre("validate", function (next) {
+  const skus = (this.variants || []).map((variant) => variant.sku);
+  const duplicated = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicated) {
+    return next(new Error(`SKU "${duplicated}" bị trùng giữa các biến thể`));
+  }
+  next();
+});
+
+// Đồng bộ tổng tồn kho với tồn kho của các biến thể
+ProductSchema.pre("save", function (next) {
+  if (this.variants && this.variants.length > 0) {
+    this.productInStock = this.variants.reduce(
+      (total, variant) => total + variant.stock,
+      0
+    );
+  }
+  next();
+});
+
 // Tạo virtual cho thuộc tính id
 ProductSchema.virtual("id").get(function () {
   return this._id.toHexString();
@@ -50,4 +92,5 @@ ProductSchema.set("toJSON", {
 module.exports = {
   ProductModel: mongoose.model("Product", ProductSchema),
   ProductSchema: ProductSchema,
+  VariantSchema: VariantSchema,
 };
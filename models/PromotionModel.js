@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+
+const PromotionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    startDate: {
+      type: Date, // Ngày bắt đầu (null: áp dụng ngay)
+      default: null,
+    },
+    endDate: {
+      type: Date, // Ngày kết thúc (null: không giới hạn)
+      default: null,
+    },
+    priority: {
+      type: Number, // Khuyến mãi có độ ưu tiên cao hơn được xét trước
+      default: 0,
+    },
+    stackable: {
+      type: Boolean, // Có được cộng dồn với các khuyến mãi khác không
+      default: false,
+    },
+    combinableWithVoucher: {
+      type: Boolean, // Có được dùng chung với voucher không
+      default: true,
+    },
+    // Điều kiện áp dụng. Danh sách sản phẩm/danh mục/thương hiệu để trống
+    // thì mọi dòng trong giỏ hàng đều được tính
+    conditions: {
+      products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+      categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+      subCategories: [
+        { type: mongoose.Schema.Types.ObjectId, ref: "SubCategory" },
+      ],
+      brands: [{ type: String, trim: true }],
+      minQuantity: { type: Number, default: 0 }, // Tổng số lượng tối thiểu của các dòng thỏa điều kiện
+      minSubtotal: { type: Number, default: 0 }, // Tổng tiền tối thiểu của các dòng thỏa điều kiện
+    },
+    action: {
+      type: {
+        type: String,
+        // percentage: giảm % | fixed: giảm số tiền | free_item: tặng sản phẩm
+        // bundle_price: mỗi nhóm bundleQuantity sản phẩm có giá value
+        enum: ["percentage", "fixed", "free_item", "bundle_price"],
+        required: true,
+      },
+      value: { type: Number, default: 0 },
+      maxDiscount: { type: Number, default: null }, // Giảm tối đa (với percentage)
+      bundleQuantity: { type: Number, default: 0 },
+      freeProductId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+        default: null,
+      },
+      freeVariantId: {
+        type: mongoose.Schema.Types.ObjectId, // Biến thể được tặng (null: chọn biến thể còn hàng)
+        default: null,
+      },
+      freeQuantity: { type: Number, default: 1 },
+    },
+  },
+  { timestamps: true }
+);
+
+PromotionSchema.index({ active: 1, priority: -1 });
+
+// Tạo virtual cho thuộc tính id
+PromotionSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+PromotionSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  PromotionModel: mongoose.model("Promotion", PromotionSchema),
+  PromotionSchema: PromotionSchema,
+};
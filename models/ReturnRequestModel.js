@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: [
+      {
+        orderItemId: {
+          type: mongoose.Schema.Types.ObjectId, // _id của dòng trong đơn hàng
+          required: true,
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Product",
+          required: true,
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
+        size: String,
+        color: String,
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Số lượng trả không được nhỏ hơn 1"],
+        },
+        receivedQuantity: {
+          type: Number, // Số lượng thực nhận lại tại kho
+          default: 0,
+        },
+        unitPrice: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    reason: {
+      type: String,
+      enum: [
+        "WRONG_SIZE",
+        "DEFECTIVE",
+        "NOT_AS_DESCRIBED",
+        "WRONG_ITEM",
+        "CHANGED_MIND",
+        "OTHER",
+      ],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    photos: [
+      {
+        url: { type: String, required: true },
+        public_id: { type: String, required: true },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["Requested", "Approved", "Rejected", "Received", "Refunded"],
+      default: "Requested",
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+    },
+    statusHistory: [
+      {
+        from: { type: String, default: null },
+        status: { type: String, required: true },
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        note: String,
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ orderId: 1 });
+ReturnRequestSchema.index({ userId: 1 });
+
+// Tạo virtual cho thuộc tính id
+ReturnRequestSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+ReturnRequestSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  ReturnRequestModel: mongoose.model("ReturnRequest", ReturnRequestSchema),
+  ReturnRequestSchema: ReturnRequestSchema,
+};
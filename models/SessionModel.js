@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// Phiên đăng nhập của người dùng, gắn với refresh token đang có hiệu lực.
+// Refresh token được xoay vòng mỗi lần làm mới, chỉ lưu hash.
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tokenHash: {
+      type: String, // Hash của refresh token hiện tại
+      required: true,
+    },
+    previousTokenHashes: [String], // Refresh token đã xoay vòng, dùng để phát hiện dùng lại
+    rotatedFromHash: String, // Refresh token vừa bị xoay vòng gần nhất
+    rotatedAt: Date, // Thời điểm xoay vòng gần nhất
+    twoFactorVerified: {
+      type: Boolean, // Phiên được tạo sau khi xác thực hai lớp
+      default: false,
+    },
+    device: String, // Mô tả ngắn trình duyệt / hệ điều hành
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      // signout: đăng xuất | revoked: người dùng thu hồi | signout_all: đăng xuất mọi nơi
+      // password_reset: đặt lại mật khẩu | reuse_detected: refresh token cũ bị dùng lại
+      enum: [
+        "signout",
+        "revoked",
+        "signout_all",
+        "password_reset",
+        "reuse_detected",
+      ],
+    },
+  },
+  { timestamps: true }
+);
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// Tự xóa phiên khi hết hạn
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Tạo virtual cho thuộc tính id
+SessionSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals), không trả về hash token
+SessionSchema.set("toJSON", {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    delete ret.previousTokenHashes;
+    delete ret.rotatedFromHash;
+    return ret;
+  },
+});
+
+module.exports = {
+  SessionModel: mongoose.model("Session", SessionSchema),
+  SessionSchema: SessionSchema,
+};
@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    provinceCodes: [
+      {
+        type: String, // Mã tỉnh/thành thuộc vùng
+        trim: true,
+      },
+    ],
+    isDefault: {
+      type: Boolean, // Vùng áp dụng cho các tỉnh không thuộc vùng nào
+      default: false,
+    },
+    options: [
+      {
+        code: {
+          type: String, // Ví dụ: "standard", "express"
+          required: true,
+          trim: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        estimatedDays: {
+          type: String, // Ví dụ: "2-4 ngày"
+        },
+        basis: {
+          type: String, // Tính phí theo số lượng sản phẩm hoặc khối lượng (gram)
+          enum: ["quantity", "weight"],
+          default: "quantity",
+        },
+        tiers: [
+          {
+            upTo: {
+              type: Number, // Ngưỡng trên của bậc, null = không giới hạn
+              default: null,
+            },
+            fee: {
+              type: Number,
+              required: true,
+              min: 0,
+            },
+          },
+        ],
+        freeShippingThreshold: {
+          type: Number, // Miễn phí vận chuyển khi tiền hàng đạt ngưỡng
+          default: null,
+        },
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ShippingZoneSchema.index({ provinceCodes: 1 });
+
+// Tạo virtual cho thuộc tính id
+ShippingZoneSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+ShippingZoneSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  ShippingZoneModel: mongoose.model("ShippingZone", ShippingZoneSchema),
+  ShippingZoneSchema: ShippingZoneSchema,
+};
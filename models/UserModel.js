@@ -12,7 +12,17 @@ const UserSchema = new mongoose.Schema(
       type: String,
       required: false,
       unique: true,
+      sparse: true, // Cho phép tài khoản chưa có email
       trim: true,
+      lowercase: true,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false, // Email đã được xác thực qua liên kết gửi tới hộp thư
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
     },
     password: {
       type: String,
@@ -44,6 +54,28 @@ const UserSchema = new mongoose.Schema(
       default: true,
     },
     rememberMe: { type: Boolean, default: false },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Tài khoản đăng nhập bên ngoài đã liên kết (vd: Google)
+    identities: [
+      {
+        provider: { type: String, enum: ["google"], required: true },
+        subject: { type: String, required: true }, // ID người dùng phía nhà cung cấp (sub)
+        email: String,
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Xác thực hai lớp (TOTP). Các trường bí mật không được trả về trừ khi chọn rõ
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, select: false }, // Khóa TOTP đã mã hóa
+      pendingSecret: { type: String, select: false }, // Khóa chờ xác nhận khi đăng ký
+      recoveryCodes: { type: [String], select: false }, // Hash các mã khôi phục chưa dùng
+      lastUsedStep: { type: Number, select: false }, // Chống dùng lại mã TOTP
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -58,6 +90,15 @@ const UserSchema = new mongoose.Schema(
   }
 );
 
+// Mỗi danh tính bên ngoài chỉ liên kết với một tài khoản
+UserSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
 // Tạo virtual cho thuộc tính id
 UserSchema.virtual("id").get(function () {
   return this._id.toHexString();
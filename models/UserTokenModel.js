@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Token dùng một lần gửi cho người dùng (xác thực email, đặt lại mật khẩu).
+// Chỉ lưu hash của token, bản gốc chỉ có trong thư gửi đi.
+const UserTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    email: String, // Email tại thời điểm phát hành token
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+UserTokenSchema.index({ userId: 1, purpose: 1 });
+// Tự xóa token khi hết hạn
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Tạo virtual cho thuộc tính id
+UserTokenSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+UserTokenSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  UserTokenModel: mongoose.model("UserToken", UserTokenSchema),
+  UserTokenSchema: UserTokenSchema,
+};
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// Đợt phát hành voucher hàng loạt: các mã được sinh ngẫu nhiên theo mẫu và dùng chung quy tắc
+const VoucherCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    codePrefix: {
+      type: String, // Tiền tố của mã, ví dụ "TET2025-"
+      default: "",
+    },
+    codeLength: {
+      type: Number, // Số ký tự ngẫu nhiên sau tiền tố
+      required: true,
+    },
+    alphabet: {
+      type: String, // Bộ ký tự dùng để sinh mã
+      required: true,
+    },
+    quantity: {
+      type: Number, // Số mã đã sinh
+      required: true,
+    },
+    rules: {
+      type: Object, // Bản sao quy tắc voucher tại thời điểm tạo đợt
+      default: {},
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Tạo virtual cho thuộc tính id
+VoucherCampaignSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+VoucherCampaignSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  VoucherCampaignModel: mongoose.model("VoucherCampaign", VoucherCampaignSchema),
+  VoucherCampaignSchema: VoucherCampaignSchema,
+};
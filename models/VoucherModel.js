@@ -8,14 +8,40 @@ const VoucherSchema = new mongoose.Schema(
       unique: true,
     },
     discountType: {
-      type: String, // "percentage" hoặc "fixed"
-      enum: ["percentage", "fixed"],
+      type: String, // "percentage", "fixed" hoặc "free_shipping" (miễn phí vận chuyển)
+      enum: ["percentage", "fixed", "free_shipping"],
       required: true,
     },
     discountValue: {
-      type: Number, // Giá trị giảm (phần trăm hoặc số tiền cố định)
-      required: true,
+      type: Number, // Giá trị giảm (phần trăm hoặc số tiền cố định, bỏ qua với free_shipping)
+      default: 0,
     },
+    // Phạm vi áp dụng: để trống tất cả thì voucher áp dụng cho toàn bộ đơn hàng,
+    // ngược lại chỉ giảm giá trên các dòng thỏa ít nhất một điều kiện
+    applicableProducts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    applicableCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    applicableSubCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubCategory",
+      },
+    ],
+    applicableBrands: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     minOrderValue: {
       type: Number, // Giá trị đơn hàng tối thiểu để áp dụng voucher
       default: 0,
@@ -24,6 +50,10 @@ const VoucherSchema = new mongoose.Schema(
       type: Number, // Giá trị giảm tối đa nếu dùng percentage
       default: null,
     },
+    startDate: {
+      type: Date, // Ngày bắt đầu áp dụng (null: áp dụng ngay)
+      default: null,
+    },
     expirationDate: {
       type: Date, // Ngày hết hạn
       required: true,
@@ -32,6 +62,34 @@ const VoucherSchema = new mongoose.Schema(
       type: Number, // Số lần sử dụng tối đa
       default: 1,
     },
+    perUserLimit: {
+      type: Number, // Số lần mỗi người dùng được sử dụng (0: không giới hạn)
+      default: 0,
+    },
+    firstOrderOnly: {
+      type: Boolean, // Chỉ áp dụng cho đơn hàng đầu tiên của người dùng
+      default: false,
+    },
+    newCustomerOnly: {
+      type: Boolean, // Chỉ áp dụng cho tài khoản mới đăng ký
+      default: false,
+    },
+    newCustomerDays: {
+      type: Number, // Số ngày kể từ khi đăng ký được xem là khách hàng mới
+      default: 30,
+    },
+    allowedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId, // Chỉ những người dùng này được sử dụng (rỗng: tất cả)
+        ref: "User",
+      },
+    ],
+    deniedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId, // Những người dùng không được sử dụng
+        ref: "User",
+      },
+    ],
     usedCount: {
       type: Number, // Số lần đã sử dụng
       default: 0,
@@ -40,6 +98,12 @@ const VoucherSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId, // Đợt phát hành (voucher sinh hàng loạt)
+      ref: "VoucherCampaign",
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const VoucherRedemptionSchema = new mongoose.Schema(
+  {
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Voucher",
+      required: true,
+    },
+    voucherCode: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    discountAmount: {
+      type: Number, // Số tiền được giảm cho đơn hàng
+      required: true,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["committed", "reversed"], // Đã dùng / đã hoàn lại khi hủy đơn
+      default: "committed",
+    },
+    reversedAt: Date,
+    reversalReason: String,
+  },
+  { timestamps: true }
+);
+
+// Một voucher chỉ được ghi nhận một lần cho mỗi đơn hàng
+VoucherRedemptionSchema.index({ voucherId: 1, orderId: 1 }, { unique: true });
+VoucherRedemptionSchema.index({ voucherId: 1, createdAt: -1 });
+VoucherRedemptionSchema.index({ userId: 1 });
+
+// Tạo virtual cho thuộc tính id
+VoucherRedemptionSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+VoucherRedemptionSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  VoucherRedemptionModel: mongoose.model(
+    "VoucherRedemption",
+    VoucherRedemptionSchema
+  ),
+  VoucherRedemptionSchema: VoucherRedemptionSchema,
+};
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Số lần mỗi người dùng đã dùng một voucher, dùng để giới hạn lượt dùng trong transaction
+const VoucherUsageSchema = new mongoose.Schema(
+  {
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Voucher",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    count: {
+      type: Number, // Số lượt đang được tính (không gồm lượt đã hoàn lại)
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+VoucherUsageSchema.index({ voucherId: 1, userId: 1 }, { unique: true });
+
+// Tạo virtual cho thuộc tính id
+VoucherUsageSchema.virtual("id").get(function () {
+  return this._id.toHexString();
+});
+
+// Cấu hình JSON để bao gồm các thuộc tính ảo (virtuals)
+VoucherUsageSchema.set("toJSON", {
+  virtuals: true,
+});
+
+module.exports = {
+  VoucherUsageModel: mongoose.model("VoucherUsage", VoucherUsageSchema),
+  VoucherUsageSchema: VoucherUsageSchema,
+};
@@ -1,22 +1,65 @@
 const express = require("express");
 const router = express.Router();
 const { ProductModel } = require("../models/ProductModel");
-const { verifyToken } = require("../helper/authHelpers");
+const cartOwner = require("../middlewares/cartOwner");
+const { getGuestCartExpiry } = require("../helper/guestCart");
 const { CartModel } = require("../models/CartModel");
-
-// api/getCart
-router.get("/getCart/:id", verifyToken, async (req, res) => {
+const { FavoriteProductModel } = require("../models/FavoriteProductModel");
+const {
+  findVariant,
+  hasVariants,
+  getUnitPrice,
+  getAvailableStock,
+} = require("../helper/productHelpers");
+const { priceItems } = require("../helper/orderPricing");
+const { evaluatePromotions } = require("../helper/promotionEngine");
+const { isAdmin } = require("../helper/authHelpers");
+const { validateReportRange } = require("../middlewares/validate");
+const { AbandonedCartModel } = require("../models/AbandonedCartModel");
+const { runAbandonedCartJob } = require("../helper/jobs/abandonedCartJob");
+
+// Giỏ hàng của khách (chưa đăng nhập) được lưu theo guestId trong cookie đã ký
+const saveCart = async (cart) => {
+  if (cart.guestId) cart.expiresAt = getGuestCartExpiry();
+  await cart.save();
+};
+
+// api/getCart (id trên URL giữ lại để tương thích, chủ giỏ hàng lấy từ token/cookie)
+router.get("/getCart/:id?", cartOwner(), async (req, res) => {
   try {
-    const { id } = req.params;
-    const cart = await CartModel.findOne({ userId: id }).populate(
-      "items.productId"
-    );
+    const cart =
+      req.cartOwner &&
+      (await CartModel.findOne(req.cartOwner).populate("items.productId"));
 
     if (!cart) {
       return res.status(404).json({ message: "Giỏ hàng không tồn tại" });
     }
 
-    res.status(200).json(cart);
+    // Xét khuyến mãi tự động trên giỏ hàng theo giá hiện tại (bỏ qua sản phẩm đã bị xóa)
+    const priced = await priceItems(
+      cart.items
+        .filter((item) => item.productId)
+        .map((item) => ({
+          productId: item.productId._id,
+          variantId: item.variantId,
+          size: item.size,
+          color: item.color,
+          quantity: item.quantity,
+        }))
+    );
+    const promotions = await evaluatePromotions(priced.items);
+    const subtotal = priced.items.reduce((total, item) => total + item.price, 0);
+
+    res.status(200).json({
+      ...cart.toJSON(),
+      promotions: promotions.applied,
+      gifts: promotions.gifts,
+      priceBreakdown: {
+        subtotal,
+        promotionDiscount: promotions.discount,
+        total: subtotal - promotions.discount,
+      },
+    });
   } catch (err) {
     console.error(err);
     res
@@ -26,10 +69,11 @@ router.get("/getCart/:id", verifyToken, async (req, res) => {
 });
 
 // api/addCart
-router.post("/addCart", verifyToken, async (req, res) => {
-  const { userId, productId, quantity, size, color } = req.body;
+router.post("/addCart", cartOwner({ createGuest: true }), async (req, res) => {
+  const { productId, variantId, quantity } = req.body;
+  let { size, color } = req.body;
 
-  if (!size || !color) {
+  if (!variantId && (!size || !color)) {
     return res.status(400).json({
       status: false,
       message: "Size và màu sản phẩm là bắt buộc",
@@ -48,16 +92,27 @@ router.post("/addCart", verifyToken, async (req, res) => {
       });
     }
 
-    const discountedPrice =
-      product.discount > 0
-        ? product.price - (product.price * product.discount) / 100
-        : product.price;
+    // Sản phẩm có biến thể bắt buộc phải chọn đúng biến thể
+    const variant = findVariant(product, { variantId, size, color });
+    if (hasVariants(product) && !variant) {
+      return res.status(400).json({
+        status: false,
+        type: "error",
+        message: "Biến thể sản phẩm không tồn tại",
+      });
+    }
+    if (variant) {
+      size = variant.size;
+      color = variant.color;
+    }
+
+    const discountedPrice = getUnitPrice(product, variant);
 
-    let cart = await CartModel.findOne({ userId });
+    let cart = await CartModel.findOne(req.cartOwner);
 
     if (!cart) {
       cart = new CartModel({
-        userId,
+        ...req.cartOwner,
         items: [],
         totalPrice: 0,
       });
@@ -77,6 +132,7 @@ router.post("/addCart", verifyToken, async (req, res) => {
     } else {
       cart.items.push({
         productId,
+        variantId: variant ? variant._id : null,
         quantity,
         price: discountedPrice * quantity,
         size,
@@ -87,7 +143,7 @@ router.post("/addCart", verifyToken, async (req, res) => {
 
     cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
 
-    await cart.save();
+    await saveCart(cart);
 
     res.status(200).json({
       message: "Sản phẩm đã được thêm vào giỏ hàng",
@@ -104,10 +160,11 @@ router.post("/addCart", verifyToken, async (req, res) => {
   }
 });
 
-router.put("/updateCart", verifyToken, async (req, res) => {
-  const { userId, productId, quantity, size, color } = req.body;
+router.put("/updateCart", cartOwner(), async (req, res) => {
+  const { productId, variantId, quantity } = req.body;
+  let { size, color } = req.body;
 
-  if (!size || !color || !quantity) {
+  if ((!variantId && (!size || !color)) || !quantity) {
     return res.status(400).json({
       status: false,
       message: "Size, màu sản phẩm và số lượng là bắt buộc",
@@ -126,12 +183,22 @@ router.put("/updateCart", verifyToken, async (req, res) => {
       });
     }
 
-    const discountedPrice =
-      product.discount > 0
-        ? product.price - (product.price * product.discount) / 100
-        : product.price;
+    const variant = findVariant(product, { variantId, size, color });
+    if (hasVariants(product) && !variant) {
+      return res.status(400).json({
+        status: false,
+        type: "error",
+        message: "Biến thể sản phẩm không tồn tại",
+      });
+    }
+    if (variant) {
+      size = variant.size;
+      color = variant.color;
+    }
+
+    const discountedPrice = getUnitPrice(product, variant);
 
-    let cart = await CartModel.findOne({ userId });
+    let cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
 
     if (!cart) {
       return res.status(404).json({
@@ -157,11 +224,12 @@ router.put("/updateCart", verifyToken, async (req, res) => {
     }
 
     cart.items[itemIndex].quantity = quantity;
+    cart.items[itemIndex].variantId = variant ? variant._id : null;
     cart.items[itemIndex].price = quantity * discountedPrice;
 
     cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
 
-    await cart.save();
+    await saveCart(cart);
 
     res.status(200).json({
       message: "Giỏ hàng đã được cập nhật",
@@ -178,14 +246,192 @@ router.put("/updateCart", verifyToken, async (req, res) => {
   }
 });
 
-// api/removeCart
-router.delete("/removeCart/:id", verifyToken, async (req, res) => {
-  const { id } = req.params;
-  const { productId } = req.body; // productId cần xóa
+// api/cart/validate: tính lại giá từng dòng theo dữ liệu hiện tại của sản phẩm,
+// xóa dòng có sản phẩm đã bị xóa và đánh dấu dòng hết hàng / không còn size, màu.
+// Trả về danh sách thay đổi để giao diện hiển thị cho người dùng.
+router.post("/validate", cartOwner(), async (req, res) => {
+  try {
+    const cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
+
+    if (!cart) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Giỏ hàng không tồn tại",
+      });
+    }
+
+    const changes = [];
+    for (const item of [...cart.items]) {
+      const line = {
+        itemId: item._id,
+        productId: item.productId,
+        size: item.size,
+        color: item.color,
+      };
+
+      const product = await ProductModel.findById(item.productId);
+      if (!product) {
+        cart.items.pull(item._id);
+        changes.push({ ...line, type: "removed", reason: "product_not_found" });
+        continue;
+      }
+
+      // Size / màu không còn được bán
+      const variant = findVariant(product, item);
+      const optionOffered = hasVariants(product)
+        ? Boolean(variant)
+        : product.size.includes(item.size) &&
+          product.colors.includes(item.color);
+      if (!optionOffered) {
+        changes.push({ ...line, type: "option_unavailable" });
+        continue;
+      }
+
+      // Giá thay đổi so với lúc thêm vào giỏ
+      const unitPrice = getUnitPrice(product, variant);
+      const oldUnitPrice = item.price / item.quantity;
+      if (Math.abs(unitPrice - oldUnitPrice) > 0.01) {
+        item.price = unitPrice * item.quantity;
+        changes.push({
+          ...line,
+          type: "price_changed",
+          oldUnitPrice,
+          newUnitPrice: unitPrice,
+        });
+      }
+      if (variant) item.variantId = variant._id;
+
+      // Số lượng vượt quá tồn kho
+      const available = getAvailableStock(product, variant);
+      if (item.quantity > available) {
+        changes.push({
+          ...line,
+          type: available > 0 ? "insufficient_stock" : "out_of_stock",
+          requested: item.quantity,
+          available,
+        });
+      }
+    }
+
+    cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
+    await saveCart(cart);
+
+    // Các dòng hết hàng / không còn bán phải được xử lý trước khi đặt hàng
+    const blockingTypes = [
+      "option_unavailable",
+      "insufficient_stock",
+      "out_of_stock",
+    ];
+
+    res.status(200).json({
+      status: true,
+      valid: !changes.some((change) => blockingTypes.includes(change.type)),
+      changes,
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi kiểm tra giỏ hàng",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// Vị trí dòng theo sản phẩm + size + màu trong danh sách (items hoặc savedForLater)
+const findLineIndex = (list, { productId, size, color }) =>
+  list.findIndex(
+    (item) =>
+      item.productId.toString() === String(productId) &&
+      item.size === size &&
+      item.color === color
+  );
+
+// Kiểm tra dữ liệu xác định một dòng, trả về thông báo lỗi hoặc null
+const getLineError = ({ productId, size, color }) =>
+  !productId || !size || !color
+    ? "Sản phẩm, size và màu là bắt buộc để xác định dòng trong giỏ hàng"
+    : null;
+
+const updateTotalPrice = (cart) => {
+  cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
+};
+
+// Thêm sản phẩm vào danh sách yêu thích của người dùng (bỏ qua nếu đã có)
+const addToWishlist = async (userId, productId) => {
+  let favorite = await FavoriteProductModel.findOne({ userId });
+  if (!favorite) {
+    favorite = new FavoriteProductModel({ userId, products: [] });
+  }
+  const exists = favorite.products.some(
+    (item) => item.productId.toString() === String(productId)
+  );
+  if (!exists) favorite.products.push({ productId });
+  await favorite.save();
+};
+
+// Đưa một dòng vào giỏ hàng theo giá hiện tại, cộng dồn nếu đã có và không vượt tồn kho.
+// Trả về thông báo lỗi hoặc null nếu thành công.
+const moveIntoCart = async (
+  cart,
+  { productId, variantId, size, color, quantity }
+) => {
+  const product = await ProductModel.findById(productId);
+  if (!product) return "Sản phẩm không tồn tại";
+
+  const variant = findVariant(product, { variantId, size, color });
+  if (hasVariants(product) && !variant) {
+    return "Biến thể sản phẩm không tồn tại";
+  }
+  if (variant) {
+    size = variant.size;
+    color = variant.color;
+  }
+
+  const index = findLineIndex(cart.items, { productId, size, color });
+  const total = (index > -1 ? cart.items[index].quantity : 0) + quantity;
+  const available = getAvailableStock(product, variant);
+  if (total > available) {
+    return `Sản phẩm "${product.name}" chỉ còn ${available} trong kho`;
+  }
+
+  const unitPrice = getUnitPrice(product, variant);
+  if (index > -1) {
+    cart.items[index].quantity = total;
+    cart.items[index].price = unitPrice * total;
+  } else {
+    cart.items.push({
+      productId,
+      variantId: variant ? variant._id : null,
+      quantity,
+      price: unitPrice * quantity,
+      size,
+      color,
+      images: product.images.length > 0 ? [product.images[0].url] : [],
+    });
+  }
+  updateTotalPrice(cart);
+  return null;
+};
+
+// api/removeCart: xóa đúng dòng theo sản phẩm + size + màu
+router.delete("/removeCart/:id?", cartOwner(), async (req, res) => {
+  const { productId, size, color } = req.body; // Dòng cần xóa
+
+  const lineError = getLineError(req.body);
+  if (lineError) {
+    return res.status(400).json({
+      status: false,
+      type: "error",
+      message: lineError,
+    });
+  }
 
   try {
-    // Tìm giỏ hàng của người dùng
-    const cart = await CartModel.findOne({ userId: id });
+    // Tìm giỏ hàng của người dùng hoặc khách
+    const cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
 
     if (!cart) {
       return res.status(404).json({
@@ -196,9 +442,7 @@ router.delete("/removeCart/:id", verifyToken, async (req, res) => {
     }
 
     // Kiểm tra nếu sản phẩm có trong giỏ hàng không
-    const itemIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
-    );
+    const itemIndex = findLineIndex(cart.items, { productId, size, color });
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -212,10 +456,10 @@ router.delete("/removeCart/:id", verifyToken, async (req, res) => {
     cart.items.splice(itemIndex, 1);
 
     // Cập nhật tổng giá trị giỏ hàng
-    cart.totalPrice = cart.items.reduce((total, item) => total + item.price, 0);
+    updateTotalPrice(cart);
 
     // Lưu giỏ hàng sau khi xóa sản phẩm
-    await cart.save();
+    await saveCart(cart);
 
     res.status(200).json({
       status: true,
@@ -231,4 +475,364 @@ router.delete("/removeCart/:id", verifyToken, async (req, res) => {
   }
 });
 
+// api/cart/saveForLater: chuyển một dòng từ giỏ hàng sang danh sách mua sau
+router.post("/saveForLater", cartOwner(), async (req, res) => {
+  const lineError = getLineError(req.body);
+  if (lineError) {
+    return res
+      .status(400)
+      .json({ status: false, type: "error", message: lineError });
+  }
+
+  try {
+    const cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
+    const itemIndex = cart ? findLineIndex(cart.items, req.body) : -1;
+
+    if (itemIndex === -1) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Sản phẩm không có trong giỏ hàng",
+      });
+    }
+
+    const [item] = cart.items.splice(itemIndex, 1);
+    const savedIndex = findLineIndex(cart.savedForLater, item);
+    if (savedIndex > -1) {
+      cart.savedForLater[savedIndex].quantity += item.quantity;
+      cart.savedForLater[savedIndex].price += item.price;
+    } else {
+      cart.savedForLater.push(item.toObject());
+    }
+
+    updateTotalPrice(cart);
+    await saveCart(cart);
+
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã lưu sản phẩm để mua sau",
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi lưu sản phẩm để mua sau",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/moveToCart: chuyển một dòng từ danh sách mua sau về giỏ hàng (tính lại giá)
+router.post("/moveToCart", cartOwner(), async (req, res) => {
+  const lineError = getLineError(req.body);
+  if (lineError) {
+    return res
+      .status(400)
+      .json({ status: false, type: "error", message: lineError });
+  }
+
+  try {
+    const cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
+    const savedIndex = cart ? findLineIndex(cart.savedForLater, req.body) : -1;
+
+    if (savedIndex === -1) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Sản phẩm không có trong danh sách mua sau",
+      });
+    }
+
+    const saved = cart.savedForLater[savedIndex];
+    const moveError = await moveIntoCart(cart, saved);
+    if (moveError) {
+      return res.status(400).json({
+        status: false,
+        type: "error",
+        message: moveError,
+      });
+    }
+
+    cart.savedForLater.splice(savedIndex, 1);
+    await saveCart(cart);
+
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã chuyển sản phẩm vào giỏ hàng",
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi chuyển sản phẩm vào giỏ hàng",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/moveToWishlist: chuyển một dòng (từ giỏ hàng hoặc danh sách mua sau) sang yêu thích
+// Body: productId, size, color, from = "cart" | "saved"
+router.post("/moveToWishlist", cartOwner(), async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: false,
+      type: "error",
+      message: "Vui lòng đăng nhập!",
+    });
+  }
+
+  const lineError = getLineError(req.body);
+  if (lineError) {
+    return res
+      .status(400)
+      .json({ status: false, type: "error", message: lineError });
+  }
+
+  try {
+    const list = req.body.from === "saved" ? "savedForLater" : "items";
+    const cart = await CartModel.findOne(req.cartOwner);
+    const index = cart ? findLineIndex(cart[list], req.body) : -1;
+
+    if (index === -1) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Sản phẩm không có trong giỏ hàng",
+      });
+    }
+
+    await addToWishlist(req.user.id, req.body.productId);
+
+    cart[list].splice(index, 1);
+    updateTotalPrice(cart);
+    await saveCart(cart);
+
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã chuyển sản phẩm sang danh sách yêu thích",
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi chuyển sản phẩm sang danh sách yêu thích",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/moveFromWishlist: thêm sản phẩm yêu thích vào giỏ hàng và bỏ khỏi danh sách yêu thích
+// Body: productId, variantId hoặc size + color, quantity (mặc định 1)
+router.post("/moveFromWishlist", cartOwner(), async (req, res) => {
+  if (!req.user) {
+    return res.status(401).json({
+      status: false,
+      type: "error",
+      message: "Vui lòng đăng nhập!",
+    });
+  }
+
+  const { productId, variantId, size, color } = req.body;
+  const quantity = Number(req.body.quantity) || 1;
+
+  if (!productId || (!variantId && (!size || !color)) || quantity < 1) {
+    return res.status(400).json({
+      status: false,
+      type: "error",
+      message: "Size và màu sản phẩm là bắt buộc",
+    });
+  }
+
+  try {
+    const favorite = await FavoriteProductModel.findOne({ userId: req.user.id });
+    const favoriteIndex = favorite
+      ? favorite.products.findIndex(
+          (item) => item.productId.toString() === String(productId)
+        )
+      : -1;
+
+    if (favoriteIndex === -1) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Sản phẩm không có trong danh sách yêu thích",
+      });
+    }
+
+    let cart = await CartModel.findOne(req.cartOwner);
+    if (!cart) {
+      cart = new CartModel({ ...req.cartOwner, items: [], totalPrice: 0 });
+    }
+
+    const moveError = await moveIntoCart(cart, {
+      productId,
+      variantId,
+      size,
+      color,
+      quantity,
+    });
+    if (moveError) {
+      return res.status(400).json({
+        status: false,
+        type: "error",
+        message: moveError,
+      });
+    }
+
+    await saveCart(cart);
+    favorite.products.splice(favoriteIndex, 1);
+    await favorite.save();
+
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã chuyển sản phẩm từ danh sách yêu thích vào giỏ hàng",
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi chuyển sản phẩm vào giỏ hàng",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/saved: xóa một dòng khỏi danh sách mua sau
+router.delete("/saved", cartOwner(), async (req, res) => {
+  const lineError = getLineError(req.body);
+  if (lineError) {
+    return res
+      .status(400)
+      .json({ status: false, type: "error", message: lineError });
+  }
+
+  try {
+    const cart = req.cartOwner && (await CartModel.findOne(req.cartOwner));
+    const savedIndex = cart ? findLineIndex(cart.savedForLater, req.body) : -1;
+
+    if (savedIndex === -1) {
+      return res.status(404).json({
+        status: false,
+        type: "error",
+        message: "Sản phẩm không có trong danh sách mua sau",
+      });
+    }
+
+    cart.savedForLater.splice(savedIndex, 1);
+    await saveCart(cart);
+
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã xóa sản phẩm khỏi danh sách mua sau",
+      cart,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi xóa sản phẩm khỏi danh sách mua sau",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/abandoned/report: báo cáo giỏ hàng bị bỏ quên (admin)
+// Query: from, to (ngày ghi nhận bỏ quên)
+router.get("/abandoned/report", isAdmin, validateReportRange, async (req, res) => {
+  try {
+    const match = {};
+    if (req.query.from || req.query.to) {
+      match.createdAt = {};
+      if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+    }
+
+    const [result] = await AbandonedCartModel.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: null,
+                abandonedCarts: { $sum: 1 },
+                abandonedValue: { $sum: "$cartValue" },
+                recoveredCarts: {
+                  $sum: { $cond: [{ $eq: ["$status", "recovered"] }, 1, 0] },
+                },
+                recoveredValue: { $sum: "$recoveredValue" },
+              },
+            },
+          ],
+          reminders: [
+            { $group: { _id: "$reminder.status", count: { $sum: 1 } } },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] || {
+      abandonedCarts: 0,
+      abandonedValue: 0,
+      recoveredCarts: 0,
+      recoveredValue: 0,
+    };
+    delete totals._id;
+
+    const reminders = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+    result.reminders.forEach(({ _id, count }) => {
+      reminders[_id] = count;
+    });
+
+    res.status(200).json({
+      status: true,
+      report: {
+        ...totals,
+        // Tỷ lệ khôi phục tính theo số giỏ hàng (%)
+        recoveryRate: totals.abandonedCarts
+          ? Math.round((totals.recoveredCarts / totals.abandonedCarts) * 10000) /
+            100
+          : 0,
+        reminders,
+      },
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi lấy báo cáo giỏ hàng bị bỏ quên",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
+// api/cart/abandoned/run: chạy job giỏ hàng bị bỏ quên ngay (admin)
+router.post("/abandoned/run", isAdmin, async (req, res) => {
+  try {
+    const result = await runAbandonedCartJob();
+    res.status(200).json({
+      status: true,
+      type: "success",
+      message: "Đã chạy job giỏ hàng bị bỏ quên",
+      ...result,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({
+      message: "Đã xảy ra lỗi khi chạy job giỏ hàng bị bỏ quên",
+      error: err.message,
+      status: false,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const {
+  DATASET_VERSION,
+  listWards,
+  getDistrict,
+} = require("../helper/divisions");
+const router = express.Router();
+
+// Danh sách phường/xã của một quận/huyện, hỗ trợ tìm kiếm không dấu qua ?q=
+router.get("/:code/wards", (req, res) => {
+  const district = getDistrict(req.params.code);
+  if (!district) {
+    return res.status(404).json({
+      success: false,
+      message: "Quận/huyện không tồn tại",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    version: DATASET_VERSION,
+    district,
+    wards: listWards(district.code, req.query.q),
+  });
+});
+
+module.exports = router;
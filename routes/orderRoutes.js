@@ -1,14 +1,38 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const {
   isValidPhone,
   verifyToken,
   checkAdminOrOwner,
+  isAdminUser,
 } = require("../helper/authHelpers");
 const { OrderModel } = require("../models/OrderModel");
 const { CartModel } = require("../models/CartModel"); // Import CartModel
+const { reserveStock } = require("../helper/stockHelpers");
+const { commitVoucherRedemption } = require("../helper/voucherHelpers");
+const { markCartRecovered } = require("../helper/jobs/abandonedCartJob");
+const idempotency = require("../middlewares/idempotency");
+const { priceOrder, diffClientTotals } = require("../helper/orderPricing");
+const {
+  getAddressError,
+  getProvince,
+  getDistrict,
+  getWard,
+} = require("../helper/divisions");
+const {
+  getTransitionError,
+  applyStatusChange,
+} = require("../helper/orderStatus");
+const {
+  CANCELLATION_REASONS,
+  cancelOrder,
+} = require("../helper/orderCancellation");
 const router = express.Router();
 
-const { validateOrder } = require("../middlewares/validate");
+const {
+  validateOrder,
+  validateCancelOrder,
+} = require("../middlewares/validate");
 
 
 // API lấy danh sách đơn hàng với phân trang
@@ -110,6 +134,42 @@ router.get("/item/:id", async (req, res) => {
   }
 });
 
+// Lịch sử trạng thái của đơn hàng
+router.get("/item/:id/timeline", verifyToken, async (req, res) => {
+  try {
+    const order = await OrderModel.findById(req.params.id)
+      .select("userId status statusHistory")
+      .populate("statusHistory.actor", "fullName role");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy đơn hàng",
+      });
+    }
+
+    if (!isAdminUser(req) && order.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Bạn không có quyền xem đơn hàng này",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: order.status,
+      timeline: order.statusHistory,
+    });
+  } catch (error) {
+    console.error("Lỗi khi lấy lịch sử đơn hàng:", error);
+    res.status(500).json({
+      success: false,
+      message: "Lỗi máy chủ nội bộ",
+      error: error.message,
+    });
+  }
+});
+
 router.get("/:userId", verifyToken, async (req, res) => {
   try {
     // Lấy userId từ tham số trong URL
@@ -153,109 +213,265 @@ router.get("/:userId", verifyToken, async (req, res) => {
   }
 });
 
-router.post("/create", validateOrder, verifyToken, async (req, res) => {
-  try {
-    const {
-      fullName,
-      phone,
-      detail,
-      notes,
-      paymentMethod,
-      userId,
-      items,
-      isVoucher,
-      voucherCode,
-      discountPercentage,
-      appliedDate,
-      province,
-      provinceCode,
-      district,
-      districtCode,
-      ward,
-      wardCode,
-      date,
-      totalPrice,
-    } = req.body;
-
-    // Kiểm tra các trường dữ liệu bắt buộc
-    const requiredFields = [
-      { field: fullName, message: "Vui lòng điền tên người đặt hàng" },
-      { field: phone, message: "Vui lòng nhập số điện người đặt hàng" },
-      { field: province, message: "Vui lòng chọn tỉnh thành" },
-      { field: district, message: "Vui lòng chọn huyện" },
-      { field: ward, message: "Vui lòng chọn xã" },
-      { field: detail, message: "Số nhà hoặc thôn làng nơi gần bạn nhất" },
-      { field: paymentMethod, message: "Vui lòng chọn phương thức thanh toán" },
-    ];
-
-    for (const { field, message } of requiredFields) {
-      if (!field && field !== 0) {
-        return res
-          .status(400)
-          .json({ status: false, message: message, type: "error" });
-      }
-    }
-
-    // Kiểm tra số điện thoại hợp lệ
-    if (!isValidPhone(phone)) {
-      return res.status(400).json({
-        status: false,
-        message: "Số điện thoại không hợp lệ.",
-        type: "error",
-      });
-    }
-
-    // Tạo đơn hàng mới
-    const newOrder = new OrderModel({
-      userId: userId,
-      items: items,
-      isVouched: isVoucher
-        ? [
-            {
-              voucherCode: voucherCode,
-              discountPercentage: discountPercentage,
-              appliedDate: appliedDate,
-            },
-          ]
-        : [],
-      totalPrice: totalPrice,
-      address: {
+router.post(
+  "/create",
+  validateOrder,
+  verifyToken,
+  idempotency,
+  async (req, res) => {
+    try {
+      const {
+        fullName,
+        phone,
+        detail,
+        notes,
+        paymentMethod,
+        items,
+        isVoucher,
+        voucherCode,
+        appliedDate,
         province,
         provinceCode,
         district,
         districtCode,
         ward,
         wardCode,
-        phone,
-        detail,
-        notes,
-      },
-      paymentMethod,
-      orderDate: new Date(),
-      status: "Pending",
-    });
+        shippingOption,
+        date,
+      } = req.body;
+
+      // Đơn hàng luôn thuộc về người dùng đã xác thực, không tin userId client gửi lên
+      if (req.body.userId && req.body.userId !== req.user.id) {
+        return res.status(403).json({
+          status: false,
+          message: "Bạn không thể đặt hàng cho tài khoản khác",
+          type: "error",
+        });
+      }
+      const userId = req.user.id;
+
+      // Kiểm tra các trường dữ liệu bắt buộc
+      const requiredFields = [
+        { field: fullName, message: "Vui lòng điền tên người đặt hàng" },
+        { field: phone, message: "Vui lòng nhập số điện người đặt hàng" },
+        { field: province, message: "Vui lòng chọn tỉnh thành" },
+        { field: district, message: "Vui lòng chọn huyện" },
+        { field: ward, message: "Vui lòng chọn xã" },
+        { field: detail, message: "Số nhà hoặc thôn làng nơi gần bạn nhất" },
+        { field: paymentMethod, message: "Vui lòng chọn phương thức thanh toán" },
+      ];
+
+      for (const { field, message } of requiredFields) {
+        if (!field && field !== 0) {
+          return res
+            .status(400)
+            .json({ status: false, message: message, type: "error" });
+        }
+      }
 
-    // Lưu đơn hàng vào cơ sở dữ liệu
-    const savedOrder = await newOrder.save();
+      // Kiểm tra số điện thoại hợp lệ
+      if (!isValidPhone(phone)) {
+        return res.status(400).json({
+          status: false,
+          message: "Số điện thoại không hợp lệ.",
+          type: "error",
+        });
+      }
 
-    // Xóa giỏ hàng của người dùng sau khi đơn hàng được tạo
-    await CartModel.findOneAndDelete({ userId: userId });
+      // Kiểm tra mã tỉnh/huyện/xã tồn tại và thuộc đúng cấp
+      const addressError = getAddressError({ provinceCode, districtCode, wardCode });
+      if (addressError) {
+        return res.status(400).json({
+          status: false,
+          message: addressError,
+          type: "error",
+        });
+      }
 
-    // Trả về thông tin đơn hàng đã lưu
-    res.status(201).json({
-      status: true,
-      message: "Đơn hàng đã được tạo thành công!",
-      type: "success",
-      order: savedOrder, // Gửi lại thông tin đơn hàng đã tạo
-    });
-  } catch (error) {
-    return res.status(500).json({
-      status: false,
-      message: error.message || "An error occurred while creating the order",
-      type: "error",
-    });
+      // Tính lại giá từng dòng, voucher và phí vận chuyển phía server
+      const pricing = await priceOrder({
+        items,
+        userId, // Điều kiện voucher theo người dùng đã xác thực
+        voucherCode: isVoucher ? voucherCode : null,
+        provinceCode,
+        shippingOption,
+      });
+
+      if (pricing.errors.length > 0) {
+        return res.status(400).json({
+          status: false,
+          message: "Đơn hàng có sản phẩm không hợp lệ",
+          type: "error",
+          errors: pricing.errors,
+        });
+      }
+
+      if (pricing.shippingError) {
+        return res.status(400).json({
+          status: false,
+          message: pricing.shippingError,
+          type: "error",
+        });
+      }
+
+      if (pricing.voucherError) {
+        return res.status(400).json({
+          status: false,
+          message: pricing.voucherError,
+          reason: pricing.voucherReason,
+          type: "error",
+        });
+      }
+
+      // Từ chối đơn hàng nếu giá client gửi lên không khớp với giá server
+      const diff = diffClientTotals(req.body, pricing);
+      if (diff.length > 0) {
+        return res.status(409).json({
+          status: false,
+          message: "Giá sản phẩm đã thay đổi, vui lòng kiểm tra lại đơn hàng",
+          type: "error",
+          diff,
+          priceBreakdown: pricing.breakdown,
+        });
+      }
+
+      // Tạo đơn hàng và trừ tồn kho trong cùng một transaction
+      const session = await mongoose.startSession();
+      let savedOrder;
+      let convertedCartId = null;
+      let stockErrors = [];
+      let voucherError = null;
+
+      try {
+        await session.withTransaction(async () => {
+          const reservation = await reserveStock(pricing.items, session);
+          stockErrors = reservation.errors;
+          if (stockErrors.length > 0) {
+            throw new Error("Không đủ hàng trong kho");
+          }
+
+          const newOrder = new OrderModel({
+            userId,
+            items: reservation.items,
+            isVouched: pricing.voucher
+              ? [
+                  {
+                    isVoucher: true,
+                    voucherCode: pricing.voucher.code,
+                    discountPercentage:
+                      pricing.voucher.discountType === "percentage"
+                        ? pricing.voucher.discountValue
+                        : null,
+                    discountAmount: pricing.breakdown.discount,
+                    appliedDate: appliedDate,
+                  },
+                ]
+              : [],
+            promotions: pricing.promotions.map((promotion) => ({
+              promotionId: promotion.promotionId,
+              name: promotion.name,
+              type: promotion.type,
+              discount: promotion.discount,
+            })),
+            totalPrice: pricing.breakdown.grandTotal,
+            shipping: pricing.shipping,
+            priceBreakdown: pricing.breakdown,
+            address: {
+              // Lưu tên chuẩn theo bộ dữ liệu hành chính thay cho tên client gửi lên
+              province: getProvince(provinceCode).name,
+              provinceCode,
+              district: getDistrict(districtCode).name,
+              districtCode,
+              ward: getWard(wardCode).name,
+              wardCode,
+              phone,
+              detail,
+              notes,
+            },
+            paymentMethod,
+            orderDate: new Date(),
+            status: "Pending",
+            statusHistory: [
+              {
+                status: "Pending",
+                actor: req.user.id,
+                actorRole: req.user.role,
+                note: "Đặt hàng",
+              },
+            ],
+          });
+
+          // Ghi nhận lượt dùng voucher gắn với đơn hàng, chỉ khi đơn được tạo thành công
+          if (pricing.voucher) {
+            voucherError = await commitVoucherRedemption(
+              {
+                voucher: pricing.voucher,
+                userId,
+                orderId: newOrder._id,
+                discountAmount: pricing.breakdown.discount,
+              },
+              session
+            );
+            if (voucherError) {
+              throw new Error(voucherError);
+            }
+          }
+
+          // Lưu đơn hàng vào cơ sở dữ liệu
+          savedOrder = await newOrder.save({ session });
+
+          // Xóa giỏ hàng của người dùng sau khi đơn hàng được tạo
+          const cart = await CartModel.findOneAndDelete(
+            { userId: userId },
+            { session }
+          );
+          convertedCartId = cart ? cart._id : null;
+        });
+      } catch (error) {
+        // Từ chối toàn bộ đơn hàng, trả về lỗi chi tiết cho từng dòng thiếu hàng
+        if (stockErrors.length > 0) {
+          return res.status(409).json({
+            status: false,
+            message: "Một số sản phẩm không đủ số lượng trong kho",
+            type: "error",
+            errors: stockErrors,
+          });
+        }
+        if (voucherError) {
+          return res.status(400).json({
+            status: false,
+            message: voucherError,
+            type: "error",
+          });
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+
+      // Ghi nhận khôi phục giỏ hàng bị bỏ quên (không ảnh hưởng kết quả đặt hàng)
+      if (convertedCartId) {
+        markCartRecovered(convertedCartId, savedOrder).catch((error) =>
+          console.error("Error marking abandoned cart recovered:", error)
+        );
+      }
+
+      // Trả về thông tin đơn hàng đã lưu
+      res.status(201).json({
+        status: true,
+        message: "Đơn hàng đã được tạo thành công!",
+        type: "success",
+        order: savedOrder, // Gửi lại thông tin đơn hàng đã tạo
+      });
+    } catch (error) {
+      return res.status(500).json({
+        status: false,
+        message: error.message || "An error occurred while creating the order",
+        type: "error",
+      });
+    }
   }
-});
+);
 
 // Cập nhật đơn hàng
 router.put("/:id", verifyToken, async (req, res) => {
@@ -271,30 +487,104 @@ router.put("/:id", verifyToken, async (req, res) => {
       });
     }
 
+    // Chỉ admin hoặc chủ đơn hàng được cập nhật
+    const isOwner = order.userId.toString() === req.user.id;
+    // Admin chưa xác thực hai lớp (khi bắt buộc) chỉ có quyền như khách hàng
+    const role = isAdminUser(req) ? "admin" : "user";
+    if (role !== "admin" && !isOwner) {
+      return res.status(403).json({
+        success: false,
+        message: "Bạn không có quyền cập nhật đơn hàng này",
+      });
+    }
+
     // Dữ liệu từ body
-    const { status, paymentMethod, address } = req.body;
+    const { status, paymentMethod, note, reason } = req.body;
+
+    // Kiểm tra địa chỉ mới trước khi thay đổi đơn hàng
+    let address = null;
+    if (req.body.address) {
+      try {
+        // Nếu address là chuỗi JSON, parse nó
+        address =
+          typeof req.body.address === "string"
+            ? JSON.parse(req.body.address)
+            : req.body.address;
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: "Địa chỉ không hợp lệ",
+        });
+      }
 
-    console.log(status, paymentMethod, address);
+      const addressError = getAddressError(address);
+      if (addressError) {
+        return res.status(400).json({
+          success: false,
+          message: addressError,
+        });
+      }
 
-    // Cập nhật thông tin
-    if (status) order.status = status;
-    if (paymentMethod) order.paymentMethod = paymentMethod;
-    if (address) {
-      // Nếu address là chuỗi JSON, parse nó
-      if (typeof address === "string") {
-        order.address = JSON.parse(address);
-      } else {
-        order.address = address;
+      // Lưu tên chuẩn theo bộ dữ liệu hành chính thay cho tên client gửi lên
+      address = {
+        ...address,
+        province: getProvince(address.provinceCode).name,
+        district: getDistrict(address.districtCode).name,
+        ward: getWard(address.wardCode).name,
+      };
+    }
+
+    // Kiểm tra chuyển trạng thái theo bảng trạng thái và vai trò
+    const previousStatus = order.status;
+    if (status && status !== previousStatus) {
+      const transitionError = getTransitionError(previousStatus, status, role);
+      if (transitionError) {
+        return res.status(400).json({
+          success: false,
+          message: transitionError,
+        });
+      }
+      // Hủy đơn được xử lý riêng để hoàn tồn kho và voucher
+      if (status !== "Cancelled") {
+        applyStatusChange(order, {
+          status,
+          actor: req.user.id,
+          role,
+          note,
+        });
       }
     }
 
+    const isCancelling = status === "Cancelled" && previousStatus !== "Cancelled";
+    let updatedOrder = order;
+    if (isCancelling) {
+      updatedOrder = await cancelOrder(order, {
+        actor: req.user.id,
+        role,
+        reason: CANCELLATION_REASONS.includes(reason) ? reason : "OTHER",
+        note,
+      });
+      if (!updatedOrder) {
+        return res.status(409).json({
+          success: false,
+          message: "Trạng thái đơn hàng đã thay đổi, không thể hủy",
+        });
+      }
+    }
+
+    // Cập nhật thông tin
+    if (paymentMethod) updatedOrder.paymentMethod = paymentMethod;
+    if (address) updatedOrder.address = address;
+
     // Lưu lại thay đổi
-    await order.save();
+    if (!isCancelling || updatedOrder.isModified()) {
+      await updatedOrder.save();
+    }
 
     res.status(200).json({
       success: true,
       message: "Cập nhật đơn hàng thành công",
-      order,
+      order: updatedOrder,
     });
   } catch (error) {
     console.error("Error updating order:", error);
@@ -306,6 +596,62 @@ router.put("/:id", verifyToken, async (req, res) => {
   }
 });
 
+// Khách hàng tự hủy đơn hàng (chỉ khi đơn còn "Pending" hoặc "Packed")
+router.post("/:id/cancel", verifyToken, validateCancelOrder, async (req, res) => {
+  try {
+    const { reason, note } = req.body;
+
+    const order = await OrderModel.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy đơn hàng",
+      });
+    }
+
+    if (order.userId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Bạn không có quyền hủy đơn hàng này",
+      });
+    }
+
+    const transitionError = getTransitionError(order.status, "Cancelled", "user");
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: "Đơn hàng đã được giao cho đơn vị vận chuyển hoặc đã kết thúc, không thể hủy",
+      });
+    }
+
+    const cancelledOrder = await cancelOrder(order, {
+      actor: req.user.id,
+      role: "user",
+      reason,
+      note,
+    });
+    if (!cancelledOrder) {
+      return res.status(409).json({
+        success: false,
+        message: "Trạng thái đơn hàng đã thay đổi, không thể hủy",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Hủy đơn hàng thành công",
+      order: cancelledOrder,
+    });
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Lỗi khi hủy đơn hàng",
+      error: error.message,
+    });
+  }
+});
+
 // Xóa đơn hàng
 router.delete("/:id", verifyToken, async (req, res) => {
   try {
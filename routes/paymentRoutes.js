@@ -0,0 +1,240 @@
+const express = require("express");
+const { verifyToken } = require("../helper/authHelpers");
+const { OrderModel } = require("../models/OrderModel");
+const { getPaymentProvider } = require("../helper/payments");
+const router = express.Router();
+
+// So sánh số tiền theo đơn vị nhỏ nhất (x100) để tránh sai số của số thực
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+// Xử lý IPN: xác thực chữ ký, kiểm tra số tiền và chỉ cập nhật đơn hàng đúng một lần.
+// Trả về kết quả xử lý để cổng thanh toán tự định dạng phản hồi.
+const processIpn = async (provider, params) => {
+  const result = provider.verifyCallback(params);
+  if (!result.valid) return "invalid_signature";
+
+  const order = await OrderModel.findOne({
+    paymentAttempts: {
+      $elemMatch: {
+        provider: provider.name,
+        transactionRef: result.transactionRef,
+      },
+    },
+  });
+  if (!order) return "not_found";
+
+  const attempt = order.paymentAttempts.find(
+    (item) => item.transactionRef === result.transactionRef
+  );
+  if (toMinorUnits(attempt.amount) !== toMinorUnits(result.amount)) {
+    return "invalid_amount";
+  }
+
+  // Thanh toán thành công ở bất kỳ lần nào cũng ghi nhận cho đơn chưa thanh toán;
+  // thất bại chỉ được ghi nhận cho lần thanh toán hiện tại.
+  // Điều kiện paymentStatus đảm bảo IPN gửi lặp lại không ghi đè kết quả cũ.
+  // Đơn đã bị hủy trong lúc chờ thanh toán được chuyển sang chờ hoàn tiền.
+  const filter = result.success
+    ? { _id: order._id, paymentStatus: { $in: ["pending", "failed"] } }
+    : {
+        _id: order._id,
+        "payment.transactionRef": result.transactionRef,
+        paymentStatus: "pending",
+      };
+  const update = await OrderModel.updateOne(filter, [
+    {
+      $set: {
+        paymentStatus: result.success
+          ? {
+              $cond: [
+                { $eq: ["$status", "Cancelled"] },
+                "refund_pending",
+                "paid",
+              ],
+            }
+          : "failed",
+        "payment.provider": attempt.provider,
+        "payment.transactionRef": attempt.transactionRef,
+        "payment.amount": attempt.amount,
+        "payment.providerTransactionId": result.providerTransactionId,
+        "payment.responseCode": result.responseCode,
+        ...(result.success && { "payment.paidAt": new Date() }),
+      },
+    },
+  ]);
+
+  return update.modifiedCount === 0 ? "already_confirmed" : "ok";
+};
+
+// Tìm cổng thanh toán theo tham số URL
+const resolveProvider = (req, res, next) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: "Cổng thanh toán không được hỗ trợ",
+    });
+  }
+  req.paymentProvider = provider;
+  next();
+};
+
+// Trang thanh toán giả lập: ?result=success|failed quyết định kết quả giao dịch
+router.get("/mock/checkout", async (req, res) => {
+  const provider = getPaymentProvider("mock");
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: "Cổng thanh toán không được hỗ trợ",
+    });
+  }
+
+  try {
+    const { result = "success", ...checkout } = req.query;
+    if (!provider.verifyCheckout(checkout)) {
+      return res.status(400).json({
+        success: false,
+        message: "Chữ ký không hợp lệ",
+      });
+    }
+
+    const payload = provider.buildIpnPayload({
+      transactionRef: checkout.transactionRef,
+      amount: checkout.amount,
+      success: result === "success",
+    });
+    const outcome = await processIpn(provider, payload);
+
+    if (checkout.returnUrl) {
+      return res.redirect(
+        `${checkout.returnUrl}?provider=mock&transactionRef=${encodeURIComponent(
+          checkout.transactionRef
+        )}&result=${encodeURIComponent(result)}`
+      );
+    }
+
+    return res.status(200).json({ success: outcome === "ok", outcome, payload });
+  } catch (error) {
+    console.error("Error in mock checkout:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi thanh toán giả lập",
+      error: error.message,
+    });
+  }
+});
+
+// Tạo URL thanh toán cho đơn hàng
+router.post("/:provider/create", verifyToken, resolveProvider, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    const provider = req.paymentProvider;
+
+    const order = await OrderModel.findById(orderId);
+    if (!order || order.userId.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy đơn hàng",
+      });
+    }
+
+    if (order.paymentMethod !== "Online") {
+      return res.status(400).json({
+        success: false,
+        message: "Đơn hàng không sử dụng thanh toán trực tuyến",
+      });
+    }
+
+    if (order.status === "Cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Đơn hàng đã bị hủy",
+      });
+    }
+
+    if (["paid", "refund_pending", "refunded"].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Đơn hàng đã được thanh toán",
+      });
+    }
+
+    // Mỗi lần thanh toán lại dùng một mã giao dịch mới, các lần trước vẫn được giữ lại
+    const transactionRef = `${order._id.toString().slice(-8)}${Date.now()}`;
+    const attempt = {
+      provider: provider.name,
+      transactionRef,
+      amount: order.totalPrice,
+    };
+    order.paymentStatus = "pending";
+    order.payment = attempt;
+    order.paymentAttempts.push(attempt);
+    await order.save();
+
+    const paymentUrl = provider.createPaymentUrl({
+      transactionRef,
+      amount: order.totalPrice,
+      orderInfo: `Thanh toan don hang ${order._id}`,
+      ipAddr: req.ip,
+      returnUrl: process.env.PAYMENT_RETURN_URL,
+    });
+
+    return res.status(200).json({
+      success: true,
+      paymentUrl,
+      transactionRef,
+    });
+  } catch (error) {
+    console.error("Error creating payment:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi tạo thanh toán",
+      error: error.message,
+    });
+  }
+});
+
+// Cổng thanh toán gọi về (server-to-server) để báo kết quả giao dịch
+router.all("/:provider/ipn", resolveProvider, async (req, res) => {
+  const provider = req.paymentProvider;
+  try {
+    const outcome = await processIpn(provider, { ...req.query, ...req.body });
+    return res.status(200).json(provider.ipnResponse(outcome));
+  } catch (error) {
+    console.error("Error processing IPN:", error);
+    return res.status(200).json(provider.ipnResponse("error"));
+  }
+});
+
+// Trình duyệt quay về sau khi thanh toán: chỉ kiểm tra chữ ký và trả trạng thái hiện tại,
+// trạng thái đơn hàng chỉ được cập nhật qua IPN
+router.get("/:provider/return", resolveProvider, async (req, res) => {
+  try {
+    const result = req.paymentProvider.verifyCallback(req.query);
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: "Chữ ký không hợp lệ",
+      });
+    }
+
+    const order = await OrderModel.findOne({
+      "paymentAttempts.transactionRef": result.transactionRef,
+    }).select("_id paymentStatus totalPrice");
+
+    return res.status(200).json({
+      success: result.success,
+      orderId: order ? order._id : null,
+      paymentStatus: order ? order.paymentStatus : null,
+    });
+  } catch (error) {
+    console.error("Error verifying payment return:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi kiểm tra kết quả thanh toán",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,7 @@ const upload = require("../middlewares/multer");
 const fs = require("fs");
 const { verifyToken, checkAdminOrOwner } = require("../helper/authHelpers");
 const { OrderModel } = require("../models/OrderModel");
+const { validateVariant } = require("../middlewares/validate");
 
 // Lấy tất cả sản phẩm
 router.get("/", async (req, res) => {
@@ -283,10 +284,20 @@ router.get("/cat", async (req, res) => {
     }
 
     // Lọc theo trạng thái nếu có (kiểm tra sản phẩm còn hàng)
+    // Sản phẩm có biến thể được tính theo tồn kho của biến thể, sản phẩm cũ theo productInStock
     if (status === "in-stock") {
-      filter.productInStock = { $gt: 0 }; // Chỉ lấy sản phẩm còn hàng (số lượng > 0)
+      filter.$or = [
+        { variants: { $elemMatch: { stock: { $gt: 0 } } } }, // Còn ít nhất một biến thể
+        { "variants.0": { $exists: false }, productInStock: { $gt: 0 } },
+      ];
     } else if (status === "out-of-stock") {
-      filter.productInStock = { $lte: 0 }; // Chỉ lấy sản phẩm hết hàng (số lượng <= 0)
+      filter.$or = [
+        {
+          "variants.0": { $exists: true },
+          variants: { $not: { $elemMatch: { stock: { $gt: 0 } } } }, // Mọi biến thể đều hết hàng
+        },
+        { "variants.0": { $exists: false }, productInStock: { $lte: 0 } },
+      ];
     }
 
     // Tính toán phân trang
@@ -607,6 +618,7 @@ router.post(
         discount,
         brand,
         productInStock,
+        weight,
         isFeatured,
         size,
         colors,
@@ -742,6 +754,7 @@ router.post(
         discount,
         brand,
         productInStock,
+        weight,
         isFeatured,
         size,
         colors,
@@ -802,6 +815,7 @@ router.put(
         discount,
         brand,
         productInStock,
+        weight,
         isFeatured,
         size,
         colors,
@@ -937,6 +951,7 @@ router.put(
       product.discount = discount;
       product.brand = brand;
       product.productInStock = productInStock;
+      if (weight !== undefined) product.weight = weight;
       product.isFeatured = isFeatured;
       product.size = size;
       product.colors = colors;
@@ -979,4 +994,235 @@ router.put(
   }
 );
 
+// Lấy danh sách biến thể của sản phẩm
+router.get("/:id/variants", validateObjectId, async (req, res) => {
+  try {
+    const product = await ProductModel.findById(req.params.id).select(
+      "name variants"
+    );
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy sản phẩm",
+        type: "error",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      variants: product.variants,
+    });
+  } catch (error) {
+    console.error("Error fetching variants:", error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || "An error occurred while fetching variants",
+    });
+  }
+});
+
+// Thêm biến thể mới cho sản phẩm
+router.post(
+  "/:id/variants",
+  validateObjectId,
+  verifyToken,
+  checkAdminOrOwner,
+  validateVariant,
+  async (req, res) => {
+    try {
+      const { size, color, sku, barcode, price, stock } = req.body;
+
+      const product = await ProductModel.findById(req.params.id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy sản phẩm",
+          type: "error",
+        });
+      }
+
+      // Mỗi cặp size + màu chỉ có một biến thể
+      const duplicated = product.variants.some(
+        (variant) => variant.size === size && variant.color === color
+      );
+      if (duplicated) {
+        return res.status(400).json({
+          success: false,
+          message: `Biến thể size ${size} - màu ${color} đã tồn tại`,
+          type: "error",
+        });
+      }
+
+      const existingSku = await ProductModel.exists({ "variants.sku": sku });
+      if (existingSku) {
+        return res.status(400).json({
+          success: false,
+          message: "SKU đã tồn tại",
+          type: "error",
+        });
+      }
+
+      product.variants.push({ size, color, sku, barcode, price, stock });
+
+      // Giữ danh sách size/màu hiển thị đồng bộ với biến thể
+      if (!product.size.includes(size)) product.size.push(size);
+      if (!product.colors.includes(color)) product.colors.push(color);
+
+      await product.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Thêm biến thể thành công!",
+        type: "success",
+        variant: product.variants[product.variants.length - 1],
+        productInStock: product.productInStock,
+      });
+    } catch (error) {
+      console.error("Error creating variant:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
+// Cập nhật biến thể
+router.put(
+  "/:id/variants/:variantId",
+  validateObjectId,
+  verifyToken,
+  checkAdminOrOwner,
+  validateVariant,
+  async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy sản phẩm",
+          type: "error",
+        });
+      }
+
+      const variant = product.variants.id(variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy biến thể",
+          type: "error",
+        });
+      }
+
+      const size = req.body.size || variant.size;
+      const color = req.body.color || variant.color;
+      const duplicated = product.variants.some(
+        (item) =>
+          item._id.toString() !== variantId &&
+          item.size === size &&
+          item.color === color
+      );
+      if (duplicated) {
+        return res.status(400).json({
+          success: false,
+          message: `Biến thể size ${size} - màu ${color} đã tồn tại`,
+          type: "error",
+        });
+      }
+
+      if (req.body.sku && req.body.sku !== variant.sku) {
+        const existingSku = await ProductModel.exists({
+          "variants.sku": req.body.sku,
+        });
+        if (existingSku) {
+          return res.status(400).json({
+            success: false,
+            message: "SKU đã tồn tại",
+            type: "error",
+          });
+        }
+      }
+
+      for (const field of ["size", "color", "sku", "barcode", "price", "stock"]) {
+        if (req.body[field] !== undefined) variant[field] = req.body[field];
+      }
+
+      if (!product.size.includes(size)) product.size.push(size);
+      if (!product.colors.includes(color)) product.colors.push(color);
+
+      await product.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Cập nhật biến thể thành công!",
+        type: "success",
+        variant,
+        productInStock: product.productInStock,
+      });
+    } catch (error) {
+      console.error("Error updating variant:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
+// Xóa biến thể
+router.delete(
+  "/:id/variants/:variantId",
+  validateObjectId,
+  verifyToken,
+  checkAdminOrOwner,
+  async (req, res) => {
+    try {
+      const { id, variantId } = req.params;
+
+      const product = await ProductModel.findById(id);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy sản phẩm",
+          type: "error",
+        });
+      }
+
+      const variant = product.variants.id(variantId);
+      if (!variant) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy biến thể",
+          type: "error",
+        });
+      }
+
+      variant.deleteOne();
+
+      // Sản phẩm không còn biến thể thì không còn hàng để bán
+      if (product.variants.length === 0) product.productInStock = 0;
+
+      await product.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Xóa biến thể thành công!",
+        type: "success",
+        productInStock: product.productInStock,
+      });
+    } catch (error) {
+      console.error("Error deleting variant:", error);
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
 module.exports = router;
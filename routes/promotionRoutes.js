@@ -0,0 +1,166 @@
+const express = require("express");
+const { isAdmin } = require("../helper/authHelpers");
+const { PromotionModel } = require("../models/PromotionModel");
+const { getRunningPromotions } = require("../helper/promotionEngine");
+const { validatePromotion } = require("../middlewares/validate");
+const validateObjectId = require("../middlewares/validateObjectId");
+const router = express.Router();
+
+// Các khuyến mãi đang diễn ra (hiển thị cho khách hàng)
+router.get("/active", async (req, res) => {
+  try {
+    const promotions = await getRunningPromotions().select(
+      "name description startDate endDate conditions action"
+    );
+
+    return res.status(200).json({
+      success: true,
+      promotions,
+    });
+  } catch (error) {
+    console.error("Error fetching active promotions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy danh sách khuyến mãi",
+      error: error.message,
+    });
+  }
+});
+
+// Danh sách toàn bộ khuyến mãi (admin)
+router.get("/", isAdmin, async (req, res) => {
+  try {
+    const promotions = await PromotionModel.find().sort({
+      priority: -1,
+      createdAt: -1,
+    });
+
+    return res.status(200).json({
+      success: true,
+      promotions,
+    });
+  } catch (error) {
+    console.error("Error fetching promotions:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy danh sách khuyến mãi",
+      error: error.message,
+    });
+  }
+});
+
+// Chi tiết khuyến mãi (admin)
+router.get("/:id", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const promotion = await PromotionModel.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy khuyến mãi",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      promotion,
+    });
+  } catch (error) {
+    console.error("Error fetching promotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy thông tin khuyến mãi",
+      error: error.message,
+    });
+  }
+});
+
+// Tạo khuyến mãi
+router.post("/", isAdmin, validatePromotion, async (req, res) => {
+  try {
+    const promotion = new PromotionModel(req.body);
+    await promotion.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Tạo khuyến mãi thành công",
+      type: "success",
+      promotion,
+    });
+  } catch (error) {
+    console.error("Error creating promotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi tạo khuyến mãi",
+      error: error.message,
+      type: "error",
+    });
+  }
+});
+
+// Cập nhật khuyến mãi
+router.put(
+  "/:id",
+  validateObjectId,
+  isAdmin,
+  validatePromotion,
+  async (req, res) => {
+    try {
+      const promotion = await PromotionModel.findById(req.params.id);
+      if (!promotion) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy khuyến mãi",
+          type: "error",
+        });
+      }
+
+      promotion.set(req.body);
+      await promotion.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Cập nhật khuyến mãi thành công",
+        type: "success",
+        promotion,
+      });
+    } catch (error) {
+      console.error("Error updating promotion:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Lỗi khi cập nhật khuyến mãi",
+        error: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
+// Xóa khuyến mãi
+router.delete("/:id", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const promotion = await PromotionModel.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy khuyến mãi",
+        type: "error",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Xóa khuyến mãi thành công",
+      type: "success",
+    });
+  } catch (error) {
+    console.error("Error deleting promotion:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi xóa khuyến mãi",
+      error: error.message,
+      type: "error",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const {
+  DATASET_VERSION,
+  listProvinces,
+  listDistricts,
+  getProvince,
+} = require("../helper/divisions");
+const router = express.Router();
+
+// Danh sách tỉnh/thành phố, hỗ trợ tìm kiếm không dấu qua ?q=
+router.get("/", (req, res) => {
+  const provinces = listProvinces(req.query.q);
+
+  res.status(200).json({
+    success: true,
+    version: DATASET_VERSION,
+    provinces,
+  });
+});
+
+// Danh sách quận/huyện của một tỉnh/thành phố
+router.get("/:code/districts", (req, res) => {
+  const province = getProvince(req.params.code);
+  if (!province) {
+    return res.status(404).json({
+      success: false,
+      message: "Tỉnh/thành phố không tồn tại",
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    version: DATASET_VERSION,
+    province,
+    districts: listDistricts(province.code, req.query.q),
+  });
+});
+
+module.exports = router;
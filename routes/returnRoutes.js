@@ -0,0 +1,514 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const fs = require("fs");
+const {
+  verifyToken,
+  isAdmin,
+  isAdminUser,
+} = require("../helper/authHelpers");
+const { ReturnRequestModel } = require("../models/ReturnRequestModel");
+const { OrderModel } = require("../models/OrderModel");
+const { restoreStock } = require("../helper/stockHelpers");
+const { validateReturnRequest } = require("../middlewares/validate");
+const validateObjectId = require("../middlewares/validateObjectId");
+const cloudinary = require("../cloudinaryConfig");
+const upload = require("../middlewares/multer");
+const router = express.Router();
+
+// Cập nhật đổi trạng thái kèm lịch sử, dùng với điều kiện { status: from }
+// để yêu cầu gửi lặp lại (bấm hai lần) chỉ được xử lý một lần
+const statusUpdate = (from, { status, actor, note }, fields = {}) => ({
+  $set: { status, ...fields },
+  $push: {
+    statusHistory: { from, status, actor, note, changedAt: new Date() },
+  },
+});
+
+// Xóa file ảnh tạm khi request kết thúc, kể cả khi bị validate từ chối
+const removeUploadedFiles = (req, res, next) => {
+  res.on("close", async () => {
+    await Promise.all(
+      (req.files || []).map(async (file) => {
+        try {
+          await fs.promises.unlink(file.path);
+        } catch (err) {
+          console.error("Lỗi khi xóa file tạm:", err);
+        }
+      })
+    );
+  });
+  next();
+};
+
+// Danh sách yêu cầu trả hàng (admin xem tất cả, khách hàng xem của mình)
+router.get("/", verifyToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const perPage = 10;
+
+    const filter = isAdminUser(req) ? {} : { userId: req.user.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const totalItems = await ReturnRequestModel.countDocuments(filter);
+    const returns = await ReturnRequestModel.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .populate("userId", "fullName phone");
+
+    return res.status(200).json({
+      success: true,
+      returns,
+      totalPages: Math.ceil(totalItems / perPage),
+      currentPage: page,
+      totalItems,
+      perPage,
+    });
+  } catch (error) {
+    console.error("Error fetching return requests:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy danh sách yêu cầu trả hàng",
+      error: error.message,
+    });
+  }
+});
+
+// Chi tiết yêu cầu trả hàng
+router.get("/:id", validateObjectId, verifyToken, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequestModel.findById(req.params.id)
+      .populate("items.productId", "name images")
+      .populate("statusHistory.actor", "fullName role");
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy yêu cầu trả hàng",
+      });
+    }
+
+    if (
+      !isAdminUser(req) &&
+      returnRequest.userId.toString() !== req.user.id
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "Bạn không có quyền xem yêu cầu này",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      returnRequest,
+    });
+  } catch (error) {
+    console.error("Error fetching return request:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy yêu cầu trả hàng",
+      error: error.message,
+    });
+  }
+});
+
+// Khách hàng tạo yêu cầu trả hàng cho đơn đã hoàn thành
+router.post(
+  "/",
+  verifyToken,
+  upload.array("photos", 5),
+  removeUploadedFiles,
+  validateReturnRequest,
+  async (req, res) => {
+    try {
+      const { orderId, reason, note, items } = req.body;
+
+      // Kiểm tra định dạng ảnh
+      for (const file of req.files || []) {
+        const fileExtension = file.originalname.split(".").pop().toLowerCase();
+        if (!["jpeg", "jpg", "png", "gif", "webp"].includes(fileExtension)) {
+          return res.status(400).json({
+            success: false,
+            message: `Ảnh ${file.originalname} không hợp lệ. Chỉ chấp nhận JPEG, JPG, PNG, GIF, WEBP!`,
+            type: "error",
+          });
+        }
+      }
+
+      const order = await OrderModel.findById(orderId);
+      if (!order || order.userId.toString() !== req.user.id) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy đơn hàng",
+          type: "error",
+        });
+      }
+
+      if (order.status !== "Completed") {
+        return res.status(400).json({
+          success: false,
+          message: "Chỉ có thể trả hàng với đơn hàng đã hoàn thành",
+          type: "error",
+        });
+      }
+
+      // Số lượng đã yêu cầu trả trước đó (không tính yêu cầu bị từ chối)
+      const previousReturns = await ReturnRequestModel.find({
+        orderId,
+        status: { $ne: "Rejected" },
+      });
+      const returnedQuantity = {};
+      for (const previous of previousReturns) {
+        for (const item of previous.items) {
+          const key = item.orderItemId.toString();
+          returnedQuantity[key] = (returnedQuantity[key] || 0) + item.quantity;
+        }
+      }
+
+      const returnItems = [];
+      const requestedQuantity = {}; // Cộng dồn khi cùng một dòng được gửi nhiều lần
+      for (const { orderItemId, quantity } of items) {
+        const orderItem = order.items.id(orderItemId);
+        if (!orderItem) {
+          return res.status(400).json({
+            success: false,
+            message: `Sản phẩm ${orderItemId} không thuộc đơn hàng này`,
+            type: "error",
+          });
+        }
+
+        requestedQuantity[orderItemId] =
+          (requestedQuantity[orderItemId] || 0) + quantity;
+        const remaining = orderItem.quantity - (returnedQuantity[orderItemId] || 0);
+        if (requestedQuantity[orderItemId] > remaining) {
+          return res.status(400).json({
+            success: false,
+            message: `Chỉ có thể trả tối đa ${remaining} sản phẩm cho dòng ${orderItemId}`,
+            type: "error",
+          });
+        }
+
+        returnItems.push({
+          orderItemId: orderItem._id,
+          productId: orderItem.productId,
+          variantId: orderItem.variantId,
+          size: orderItem.size,
+          color: orderItem.color,
+          quantity,
+          unitPrice: orderItem.unitPrice ?? orderItem.price / orderItem.quantity,
+        });
+      }
+
+      // Tải ảnh minh chứng lên Cloudinary
+      const photos = await Promise.all(
+        (req.files || []).map(async (file) => {
+          const result = await cloudinary.uploader.upload(file.path);
+          return { url: result.secure_url, public_id: result.public_id };
+        })
+      );
+
+      const returnRequest = new ReturnRequestModel({
+        orderId,
+        userId: req.user.id,
+        items: returnItems,
+        reason,
+        note,
+        photos,
+        statusHistory: [{ status: "Requested", actor: req.user.id, note }],
+      });
+
+      await returnRequest.save();
+
+      return res.status(201).json({
+        success: true,
+        message: "Đã gửi yêu cầu trả hàng",
+        type: "success",
+        returnRequest,
+      });
+    } catch (error) {
+      console.error("Error creating return request:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Lỗi khi tạo yêu cầu trả hàng",
+        error: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
+// Admin duyệt hoặc từ chối yêu cầu trả hàng
+router.put("/:id/review", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const { approved, note } = req.body;
+
+    const returnRequest = await ReturnRequestModel.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy yêu cầu trả hàng",
+      });
+    }
+
+    if (returnRequest.status !== "Requested") {
+      return res.status(400).json({
+        success: false,
+        message: "Yêu cầu trả hàng đã được xử lý",
+      });
+    }
+
+    if (typeof approved !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Vui lòng chọn duyệt hoặc từ chối yêu cầu",
+      });
+    }
+
+    const reviewed = await ReturnRequestModel.findOneAndUpdate(
+      { _id: returnRequest._id, status: "Requested" },
+      statusUpdate(
+        "Requested",
+        {
+          status: approved ? "Approved" : "Rejected",
+          actor: req.user.id,
+          note,
+        },
+        note ? { adminNote: note } : {}
+      ),
+      { new: true }
+    );
+    if (!reviewed) {
+      return res.status(409).json({
+        success: false,
+        message: "Yêu cầu trả hàng đã được xử lý",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: approved
+        ? "Đã duyệt yêu cầu trả hàng"
+        : "Đã từ chối yêu cầu trả hàng",
+      returnRequest: reviewed,
+    });
+  } catch (error) {
+    console.error("Error reviewing return request:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi xử lý yêu cầu trả hàng",
+      error: error.message,
+    });
+  }
+});
+
+// Admin xác nhận đã nhận hàng trả về và nhập lại kho
+router.put("/:id/receive", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    // receivedItems: [{ itemId, quantity }], mặc định nhận đủ số lượng yêu cầu
+    const { receivedItems, note } = req.body;
+
+    const returnRequest = await ReturnRequestModel.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy yêu cầu trả hàng",
+      });
+    }
+
+    if (returnRequest.status !== "Approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Chỉ nhận hàng với yêu cầu đã được duyệt",
+      });
+    }
+
+    for (const item of returnRequest.items) {
+      const received = Array.isArray(receivedItems)
+        ? receivedItems.find((r) => r.itemId === item._id.toString())
+        : null;
+      const quantity = received ? Number(received.quantity) : item.quantity;
+
+      if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Số lượng nhận của dòng ${item._id} phải từ 0 đến ${item.quantity}`,
+        });
+      }
+      item.receivedQuantity = quantity;
+    }
+
+    // Đổi trạng thái có điều kiện và nhập kho số lượng thực nhận trong cùng transaction
+    let received = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        received = await ReturnRequestModel.findOneAndUpdate(
+          { _id: returnRequest._id, status: "Approved" },
+          statusUpdate(
+            "Approved",
+            { status: "Received", actor: req.user.id, note },
+            { items: returnRequest.toObject().items }
+          ),
+          { new: true, session }
+        );
+        if (!received) return;
+
+        await restoreStock(
+          received.items
+            .filter((item) => item.receivedQuantity > 0)
+            .map((item) => ({
+              productId: item.productId,
+              variantId: item.variantId,
+              quantity: item.receivedQuantity,
+            })),
+          session
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!received) {
+      return res.status(409).json({
+        success: false,
+        message: "Yêu cầu trả hàng đã được xử lý",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Đã nhận hàng trả về và cập nhật tồn kho",
+      returnRequest: received,
+    });
+  } catch (error) {
+    console.error("Error receiving return:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi nhận hàng trả về",
+      error: error.message,
+    });
+  }
+});
+
+// Admin ghi nhận số tiền hoàn cho đơn hàng
+router.put("/:id/refund", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const returnRequest = await ReturnRequestModel.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy yêu cầu trả hàng",
+      });
+    }
+
+    if (returnRequest.status !== "Received") {
+      return res.status(400).json({
+        success: false,
+        message: "Chỉ hoàn tiền sau khi đã nhận hàng trả về",
+      });
+    }
+
+    const order = await OrderModel.findById(returnRequest.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy đơn hàng",
+      });
+    }
+
+    // Mặc định hoàn theo giá trị hàng thực nhận, không vượt quá số tiền còn lại của đơn
+    const receivedValue = returnRequest.items.reduce(
+      (total, item) => total + item.unitPrice * item.receivedQuantity,
+      0
+    );
+    const refundable = order.totalPrice - order.refundedAmount;
+    const amount =
+      req.body.amount === undefined ? receivedValue : Number(req.body.amount);
+
+    if (isNaN(amount) || amount < 0 || amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Số tiền hoàn phải từ 0 đến ${refundable}`,
+      });
+    }
+
+    // Yêu cầu trả hàng chỉ được hoàn một lần; số tiền đã hoàn của đơn phải chưa đổi
+    // kể từ lúc kiểm tra để các lần hoàn đồng thời không vượt quá giá trị đơn hàng
+    let refunded = null;
+    let updatedOrder = null;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        refunded = await ReturnRequestModel.findOneAndUpdate(
+          { _id: returnRequest._id, status: "Received" },
+          statusUpdate(
+            "Received",
+            { status: "Refunded", actor: req.user.id, note },
+            { refundAmount: amount }
+          ),
+          { new: true, session }
+        );
+        updatedOrder = refunded
+          ? await OrderModel.findOneAndUpdate(
+              { _id: order._id, refundedAmount: order.refundedAmount },
+              {
+                $inc: { refundedAmount: amount },
+                $push: {
+                  refunds: {
+                    returnRequestId: returnRequest._id,
+                    amount,
+                    note,
+                    refundedBy: req.user.id,
+                  },
+                },
+              },
+              { new: true, session }
+            )
+          : null;
+        if (!updatedOrder) {
+          await session.abortTransaction();
+          return;
+        }
+
+        // Đơn đã thanh toán trực tuyến và được hoàn toàn bộ
+        if (
+          updatedOrder.paymentStatus === "paid" &&
+          updatedOrder.refundedAmount >= updatedOrder.totalPrice
+        ) {
+          await OrderModel.updateOne(
+            { _id: order._id, paymentStatus: "paid" },
+            { $set: { paymentStatus: "refunded" } },
+            { session }
+          );
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: "Yêu cầu trả hàng đã được hoàn tiền hoặc đơn hàng vừa thay đổi",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Đã ghi nhận hoàn tiền",
+      returnRequest: refunded,
+      refundedAmount: updatedOrder.refundedAmount,
+    });
+  } catch (error) {
+    console.error("Error refunding return:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi hoàn tiền",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
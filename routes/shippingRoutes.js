@@ -0,0 +1,209 @@
+const express = require("express");
+const { isAdmin } = require("../helper/authHelpers");
+const { ShippingZoneModel } = require("../models/ShippingZoneModel");
+const { priceOrder } = require("../helper/orderPricing");
+const { getProvince } = require("../helper/divisions");
+const {
+  validateShippingZone,
+  validateShippingQuote,
+} = require("../middlewares/validate");
+const validateObjectId = require("../middlewares/validateObjectId");
+const router = express.Router();
+
+// Báo giá vận chuyển cho giỏ hàng và địa chỉ giao hàng
+router.post("/quote", validateShippingQuote, async (req, res) => {
+  try {
+    const { items, provinceCode } = req.body;
+
+    if (!getProvince(provinceCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Tỉnh/thành phố không tồn tại",
+      });
+    }
+
+    // Dùng cùng bộ tính giá với lúc tạo đơn hàng
+    const pricing = await priceOrder({ items, provinceCode });
+    if (pricing.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Giỏ hàng có sản phẩm không hợp lệ",
+        errors: pricing.errors,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      subtotal: pricing.breakdown.subtotal,
+      zone: pricing.shippingQuote.zone,
+      options: pricing.shippingQuote.options,
+    });
+  } catch (error) {
+    console.error("Error quoting shipping:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi tính phí vận chuyển",
+      error: error.message,
+    });
+  }
+});
+
+// Danh sách vùng giao hàng
+router.get("/zones", isAdmin, async (req, res) => {
+  try {
+    const zones = await ShippingZoneModel.find().sort({ isDefault: -1, name: 1 });
+
+    return res.status(200).json({
+      success: true,
+      zones,
+    });
+  } catch (error) {
+    console.error("Error fetching shipping zones:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi lấy danh sách vùng giao hàng",
+      error: error.message,
+    });
+  }
+});
+
+// Kiểm tra mã tỉnh/thành hợp lệ, mỗi tỉnh chỉ thuộc một vùng và chỉ có một vùng mặc định
+const findZoneConflict = async ({ provinceCodes = [], isDefault }, excludeId) => {
+  const exclude = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const unknownCodes = provinceCodes.filter((code) => !getProvince(code));
+  if (unknownCodes.length > 0) {
+    return `Mã tỉnh/thành không tồn tại: ${unknownCodes.join(", ")}`;
+  }
+
+  if (provinceCodes.length > 0) {
+    const overlapping = await ShippingZoneModel.findOne({
+      ...exclude,
+      provinceCodes: { $in: provinceCodes },
+    });
+    if (overlapping) {
+      return `Một số tỉnh/thành đã thuộc vùng "${overlapping.name}"`;
+    }
+  }
+
+  if (isDefault) {
+    const defaultZone = await ShippingZoneModel.findOne({
+      ...exclude,
+      isDefault: true,
+    });
+    if (defaultZone) {
+      return `Vùng "${defaultZone.name}" đang là vùng mặc định`;
+    }
+  }
+
+  return null;
+};
+
+// Tạo vùng giao hàng
+router.post("/zones", isAdmin, validateShippingZone, async (req, res) => {
+  try {
+    const conflict = await findZoneConflict(req.body);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict,
+        type: "error",
+      });
+    }
+
+    const zone = new ShippingZoneModel(req.body);
+    await zone.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Tạo vùng giao hàng thành công",
+      type: "success",
+      zone,
+    });
+  } catch (error) {
+    console.error("Error creating shipping zone:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi tạo vùng giao hàng",
+      error: error.message,
+      type: "error",
+    });
+  }
+});
+
+// Cập nhật vùng giao hàng
+router.put(
+  "/zones/:id",
+  validateObjectId,
+  isAdmin,
+  validateShippingZone,
+  async (req, res) => {
+    try {
+      const zone = await ShippingZoneModel.findById(req.params.id);
+      if (!zone) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy vùng giao hàng",
+          type: "error",
+        });
+      }
+
+      const conflict = await findZoneConflict(req.body, zone._id);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: conflict,
+          type: "error",
+        });
+      }
+
+      zone.set(req.body);
+      await zone.save();
+
+      return res.status(200).json({
+        success: true,
+        message: "Cập nhật vùng giao hàng thành công",
+        type: "success",
+        zone,
+      });
+    } catch (error) {
+      console.error("Error updating shipping zone:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Lỗi khi cập nhật vùng giao hàng",
+        error: error.message,
+        type: "error",
+      });
+    }
+  }
+);
+
+// Xóa vùng giao hàng
+router.delete("/zones/:id", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const zone = await ShippingZoneModel.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy vùng giao hàng",
+        type: "error",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Xóa vùng giao hàng thành công",
+      type: "success",
+    });
+  } catch (error) {
+    console.error("Error deleting shipping zone:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Lỗi khi xóa vùng giao hàng",
+      error: error.message,
+      type: "error",
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,6 @@ const {
   isValidEmail,
   isValidPassword,
   hashPassword,
-  generateToken,
   handleError,
   checkPassword,
   verifyToken,
@@ -11,6 +10,7 @@ const {
 } = require("../helper/authHelpers");
 const { UserModel } = require("../models/UserModel");
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
 const cloudinary = require("../cloudinaryConfig");
 const upload = require("../middlewares/multer");
@@ -18,8 +18,56 @@ const fs = require("fs");
 const { ppid } = require("process");
 const bcrypt = require("bcrypt");
 const { OrderModel } = require("../models/OrderModel");
-const { validateSignup, validateSignin } = require("../middlewares/validate");
-const { authLimiter } = require("../middlewares/authRateLimit");
+const { SessionModel } = require("../models/SessionModel");
+const {
+  validateSignup,
+  validateSignin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateTwoFactorCode,
+  validateTwoFactorSetup,
+} = require("../middlewares/validate");
+const {
+  authLimiter,
+  refreshLimiter,
+} = require("../middlewares/authRateLimit");
+const { mergeGuestCart } = require("../helper/guestCart");
+const {
+  isDeliverableEmail,
+  sendVerificationEmail,
+  verifyEmailToken,
+} = require("../helper/emailVerification");
+const {
+  requestPasswordReset,
+  resetPassword,
+} = require("../helper/passwordReset");
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  clearAuthCookies,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} = require("../helper/sessions");
+const {
+  isTwoFactorEnforced,
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  readChallengeToken,
+  getSignInChallenge,
+} = require("../helper/twoFactor");
+const {
+  isTestMode: isGoogleTestMode,
+  isLegacyGoogleAccount,
+  verifyGoogleIdToken,
+  issueLinkToken,
+  readLinkToken,
+  signTestIdToken,
+} = require("../helper/googleAuth");
 
 require("dotenv").config();
 
@@ -84,6 +132,24 @@ router.get("/users", verifyToken, checkAdminOrOwner, async (req, res) => {
   }
 });
 
+// Danh sách phiên đăng nhập đang hoạt động của người dùng hiện tại
+// (khai báo trước "/:id" để không bị route đó bắt)
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
 // Lấy thông tin user theo ID
 router.get("/:id", async (req, res) => {
   try {
@@ -137,6 +203,9 @@ router.delete("/:id", verifyToken, checkAdminOrOwner, async (req, res) => {
       await cloudinary.uploader.destroy(publicId); // Xóa ảnh trên Cloudinary
     }
 
+    // Xóa các phiên đăng nhập để access token còn hạn không dùng được nữa
+    await SessionModel.deleteMany({ userId: id });
+
     // Xóa người dùng
     await UserModel.findByIdAndDelete(id);
 
@@ -157,6 +226,7 @@ router.delete("/:id", verifyToken, checkAdminOrOwner, async (req, res) => {
 router.post("/signup", authLimiter, validateSignup, async (req, res) => {
   try {
     const { username, phone, password, fullName, confirmPassword } = req.body;
+    const email = req.body.email?.trim().toLowerCase();
 
     // Kiểm tra các trường bắt buộc
     const checkRequiredFields = (fields) => {
@@ -169,6 +239,7 @@ router.post("/signup", authLimiter, validateSignup, async (req, res) => {
     };
     const missingField = checkRequiredFields({
       username,
+      email,
       phone,
       password,
       fullName,
@@ -200,6 +271,15 @@ router.post("/signup", authLimiter, validateSignup, async (req, res) => {
       });
     }
 
+    // Kiểm tra email hợp lệ
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Email không hợp lệ.",
+        type: "error",
+      });
+    }
+
     // Kiểm tra mật khẩu
     const passwordErrors = isValidPassword(password);
     if (passwordErrors.length > 0) {
@@ -231,40 +311,49 @@ router.post("/signup", authLimiter, validateSignup, async (req, res) => {
       });
     }
 
+    // Kiểm tra nếu email đã được sử dụng
+    const existingEmail = await UserModel.findOne({ email });
+    if (existingEmail) {
+      return res.status(400).json({
+        success: false,
+        message: "Email đã được sử dụng.",
+        type: "error",
+      });
+    }
+
     // Mã hóa mật khẩu
     const hashedPassword = await hashPassword(password);
 
-    const tempEmail = `temp_${Date.now()}@example.com`;
-
     // Tạo người dùng mới
     const newUser = new UserModel({
       username,
       phone,
       password: hashedPassword,
       fullName,
-      email: tempEmail,
+      email,
     });
 
     await newUser.save();
+
+    // Gửi thư xác thực email (lỗi gửi thư không làm hỏng việc đăng ký)
+    const emailVerificationSent = await sendVerificationEmail(newUser)
+      .then(() => true)
+      .catch((error) => {
+        console.error("Error sending verification email:", error);
+        return false;
+      });
     // Xóa trường password trước khi trả về
     const sanitizedUser = newUser.toObject();
     delete sanitizedUser.password;
 
-    // Tạo token cho người dùng
-    const token = generateToken(newUser);
-
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production", // 🔐 Chỉ bật HTTPS ở production
-      sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", // ✅ Cho phép cross-site khi dev
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 ngày
-    });
-
+    // Tạo phiên đăng nhập, gửi access token và refresh token qua cookie HTTP-only
+    const token = await startSession(req, res, newUser);
 
     res.status(201).json({
       message: "Đăng ký thành công",
       user: sanitizedUser,
       token,
+      emailVerificationSent,
     });
   } catch (error) {
     handleError(res, error);
@@ -322,21 +411,32 @@ router.post("/signin", authLimiter, validateSignin, async (req, res) => {
       });
     }
 
+    // Cần xác thực hai lớp: chưa tạo phiên, trả về challenge token cho bước tiếp theo
+    const challenge = getSignInChallenge(user);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.twoFactorRequired
+          ? "Vui lòng nhập mã xác thực hai lớp."
+          : "Tài khoản quản trị cần bật xác thực hai lớp trước khi đăng nhập.",
+        ...challenge,
+      });
+    }
+
     // Xóa mật khẩu trước khi trả về
     const sanitizedUser = user.toObject();
     delete sanitizedUser.password;
 
-    // Tạo token JWT
-    const token = generateToken(user);
-
-    // 🧁 Gửi token qua cookie HTTP-only
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production", // 🔐 Chỉ bật HTTPS ở production
-      sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", // ✅ Cho phép cross-site khi dev
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 ngày
-    });
+    // Tạo phiên đăng nhập, gửi access token và refresh token qua cookie HTTP-only
+    const token = await startSession(req, res, user);
 
+    // Gộp giỏ hàng lúc chưa đăng nhập vào giỏ hàng của tài khoản
+    const cartAdjustments = await mergeGuestCart(req, res, user._id).catch(
+      (error) => {
+        console.error("Error merging guest cart:", error);
+        return null;
+      }
+    );
 
     // Trả về thông tin người dùng và token
     res.status(200).json({
@@ -344,6 +444,7 @@ router.post("/signin", authLimiter, validateSignin, async (req, res) => {
       message: "Đăng nhập thành công.",
       user: sanitizedUser,
       token,
+      ...(cartAdjustments && { cartAdjustments }),
     });
   } catch (error) {
     handleError(res, error);
@@ -413,15 +514,20 @@ router.post("/authentication/signin", async (req, res) => {
     user.rememberMe = rememberMe;
     // Lưu lại user với rememberMe
     await user.save();
-    // Tạo token JWT
-    const token = generateToken(user);
-
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production", // 🔐 Chỉ bật HTTPS ở production
-      sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax", // ✅ Cho phép cross-site khi dev
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 ngày
-    });
+
+    // Cần xác thực hai lớp: chưa tạo phiên, trả về challenge token cho bước tiếp theo
+    const challenge = getSignInChallenge(user);
+    if (challenge) {
+      return res.status(200).json({
+        success: true,
+        message: challenge.twoFactorRequired
+          ? "Vui lòng nhập mã xác thực hai lớp."
+          : "Tài khoản quản trị cần bật xác thực hai lớp trước khi đăng nhập.",
+        ...challenge,
+      });
+    }
+    // Tạo phiên đăng nhập (thời hạn dài hơn khi rememberMe)
+    const token = await startSession(req, res, user);
 
     // Xóa mật khẩu trước khi trả về
     const sanitizedUser = user.toObject();
@@ -439,53 +545,169 @@ router.post("/authentication/signin", async (req, res) => {
   }
 });
 
-router.post("/authWithGoogle", async (req, res) => {
-  const { fullName, email, images } = req.body;
+// Hoàn tất đăng nhập bằng Google: bước 2FA nếu cần, tạo phiên và gộp giỏ hàng của khách
+const completeGoogleSignIn = async (req, res, user, message) => {
+  // Cần xác thực hai lớp: chưa tạo phiên, trả về challenge token cho bước tiếp theo
+  const challenge = getSignInChallenge(user);
+  if (challenge) {
+    return res.status(200).json({
+      success: true,
+      message: challenge.twoFactorRequired
+        ? "Vui lòng nhập mã xác thực hai lớp."
+        : "Tài khoản quản trị cần bật xác thực hai lớp trước khi đăng nhập.",
+      ...challenge,
+    });
+  }
+
+  // Tạo phiên đăng nhập (access token + refresh token qua cookie HTTP-only)
+  await startSession(req, res, user);
+
+  // Gộp giỏ hàng lúc chưa đăng nhập vào giỏ hàng của tài khoản
+  const cartAdjustments = await mergeGuestCart(req, res, user._id).catch(
+    (error) => {
+      console.error("Error merging guest cart:", error);
+      return null;
+    }
+  );
+
+  const sanitizedUser = user.toObject();
+  delete sanitizedUser.password;
+
+  return res.status(200).json({
+    success: true,
+    message,
+    user: sanitizedUser,
+    ...(cartAdjustments && { cartAdjustments }),
+  });
+};
+
+// Đăng nhập / đăng ký bằng Google. credential: ID token từ Google Identity Services
+router.post("/authWithGoogle", authLimiter, async (req, res) => {
+  const { credential } = req.body;
+  if (!credential) {
+    return res.status(400).json({
+      success: false,
+      message: "Thiếu ID token của Google.",
+    });
+  }
 
   try {
-    let existingUser = await UserModel.findOne({ email: email });
-
-    if (!existingUser) {
-      // 1. Tạo user mới (Logic tạo username, phone, password giữ nguyên)
-      const username = fullName.split(" ").join("").toLowerCase();
-      const randomPhone = `034${Math.floor(1000000 + Math.random() * 9000000)}`;
-      const randomPassword = Math.random().toString(36).slice(-8);
-
-      existingUser = new UserModel({ // Gán vào existingUser để sử dụng chung logic
-        username: `temp_${username}`, // Nên thêm tiền tố để tránh trùng lặp ban đầu
-        fullName,
-        email,
-        phone: randomPhone,
-        password: randomPassword,
-        avatar: images,
-        role: "user",
-        isActive: true,
-      });
-
-      await existingUser.save();
-    }
-
-    // 2. GENERATE TOKEN (Chắc chắn token được tạo sau khi user tồn tại/được tạo)
-    const token = generateToken(existingUser);
-
-    // 3. ĐẶT COOKIE (Sử dụng chung cho cả đăng ký mới và đăng nhập cũ)
-    res.cookie("token", token, { // Tên cookie nên khớp với tên token trong code check của bạn (giả sử là "token")
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      // Lưu ý: SameSite=None + Secure là bắt buộc nếu domain FE và BE khác nhau
-      sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 ngày
+    let identity;
+    try {
+      identity = await verifyGoogleIdToken(credential);
+    } catch (error) {
+      console.error("Error verifying Google ID token:", error.message);
+      return res.status(401).json({
+        success: false,
+        message: "Không xác thực được tài khoản Google.",
+      });
+    }
+
+    // Danh tính Google đã liên kết với tài khoản
+    let user = await UserModel.findOne({
+      identities: {
+        $elemMatch: { provider: "google", subject: identity.subject },
+      },
     });
+    if (user) {
+      if (!user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "Tài khoản của bạn đã bị vô hiệu hóa.",
+        });
+      }
+      return completeGoogleSignIn(req, res, user, "Đăng nhập thành công.");
+    }
 
-    // 4. TRẢ VỀ RESPONSE
-    return res.status(200).json({ // Dùng 200 cho cả 2 trường hợp để client dễ xử lý
-      success: true,
-      message: existingUser.isNew ? "Đăng ký thành công." : "Đăng nhập thành công.",
-      user: existingUser,
-      // KHÔNG NÊN trả về token nếu dùng cookie (cookie đã tự gửi)
-      // Nếu bạn vẫn cần token cho việc lưu FE, có thể giữ lại, nhưng không khuyến khích.
+    if (!identity.email || !identity.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email của tài khoản Google chưa được xác thực.",
+      });
+    }
+
+    const existingUser = await UserModel.findOne({ email: identity.email });
+
+    // Tài khoản do đăng nhập Google cũ tạo ra: Google đã xác thực email nên liên kết luôn,
+    // đồng thời thay mật khẩu thô bằng hash của mật khẩu ngẫu nhiên
+    if (existingUser && isLegacyGoogleAccount(existingUser)) {
+      if (!existingUser.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "Tài khoản của bạn đã bị vô hiệu hóa.",
+        });
+      }
+
+      const password = await hashPassword(crypto.randomBytes(32).toString("hex"));
+      const migrated = await UserModel.findOneAndUpdate(
+        {
+          _id: existingUser._id,
+          password: existingUser.password,
+          "identities.provider": { $ne: "google" },
+        },
+        {
+          $push: {
+            identities: {
+              provider: "google",
+              subject: identity.subject,
+              email: identity.email,
+            },
+          },
+          $set: {
+            password,
+            emailVerified: true,
+            emailVerifiedAt: existingUser.emailVerifiedAt || new Date(),
+          },
+        },
+        { new: true }
+      );
+      if (!migrated) {
+        return res.status(409).json({
+          success: false,
+          message: "Tài khoản đã được liên kết với một tài khoản Google khác.",
+        });
+      }
+      return completeGoogleSignIn(req, res, migrated, "Đăng nhập thành công.");
+    }
+
+    // Email đã thuộc về tài khoản khác: chỉ liên kết khi chủ tài khoản xác nhận bằng mật khẩu
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Email này đã được dùng cho một tài khoản. Nhập mật khẩu của tài khoản để liên kết với Google.",
+        linkRequired: true,
+        linkToken: issueLinkToken(existingUser, identity),
+      });
+    }
+
+    // Tạo tài khoản mới (số điện thoại và mật khẩu ngẫu nhiên, người dùng cập nhật sau)
+    const baseName = (identity.fullName || identity.email.split("@")[0])
+      .normalize("NFD")
+      .replace(/[^a-zA-Z0-9]/g, "")
+      .toLowerCase();
+    user = new UserModel({
+      username: `temp_${baseName}_${crypto.randomBytes(3).toString("hex")}`,
+      fullName: identity.fullName,
+      email: identity.email,
+      emailVerified: true, // Google đã xác thực email
+      emailVerifiedAt: new Date(),
+      phone: `034${Math.floor(1000000 + Math.random() * 9000000)}`,
+      password: await hashPassword(crypto.randomBytes(32).toString("hex")),
+      avatar: identity.avatar,
+      role: "user",
+      isActive: true,
+      identities: [
+        {
+          provider: "google",
+          subject: identity.subject,
+          email: identity.email,
+        },
+      ],
     });
+    await user.save();
 
+    return completeGoogleSignIn(req, res, user, "Đăng ký thành công.");
   } catch (error) {
     console.error(error);
     return res.status(500).json({
@@ -495,6 +717,98 @@ router.post("/authWithGoogle", async (req, res) => {
   }
 });
 
+// Xác nhận liên kết Google với tài khoản có sẵn bằng mật khẩu của tài khoản đó
+router.post("/authWithGoogle/link", authLimiter, async (req, res) => {
+  try {
+    const { linkToken, password } = req.body;
+    const link = readLinkToken(linkToken);
+    if (!link) {
+      return res.status(401).json({
+        success: false,
+        message: "Yêu cầu liên kết đã hết hạn. Vui lòng đăng nhập lại bằng Google.",
+      });
+    }
+
+    const user = await UserModel.findById(link.id);
+    const isMatch =
+      user && password && (await checkPassword(password, user.password));
+    if (!isMatch) {
+      return res.status(400).json({
+        success: false,
+        message: "Mật khẩu không đúng.",
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: "Tài khoản của bạn đã bị vô hiệu hóa.",
+      });
+    }
+
+    // Mỗi tài khoản chỉ liên kết một tài khoản Google
+    const result = await UserModel.updateOne(
+      { _id: user._id, "identities.provider": { $ne: "google" } },
+      {
+        $push: {
+          identities: {
+            provider: "google",
+            subject: link.subject,
+            email: link.email,
+          },
+        },
+        // Google đã xác thực email này
+        ...(user.email === link.email &&
+          !user.emailVerified && {
+            $set: { emailVerified: true, emailVerifiedAt: new Date() },
+          }),
+      }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Tài khoản đã được liên kết với một tài khoản Google khác.",
+      });
+    }
+
+    const linkedUser = await UserModel.findById(user._id);
+    return completeGoogleSignIn(
+      req,
+      res,
+      linkedUser,
+      "Liên kết tài khoản Google thành công."
+    );
+  } catch (error) {
+    // Danh tính Google đã liên kết với tài khoản khác
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Tài khoản Google này đã được liên kết với tài khoản khác.",
+      });
+    }
+    handleError(res, error);
+  }
+});
+
+// Chế độ thử: ký ID token bằng khóa cục bộ để thử luồng đăng nhập Google.
+// Route chỉ được khai báo khi bật GOOGLE_AUTH_TEST_MODE.
+if (isGoogleTestMode()) {
+  router.post("/authWithGoogle/test-token", (req, res) => {
+    const { sub, email, name, picture, emailVerified } = req.body;
+    if (!sub || !email) {
+      return res.status(400).json({
+        success: false,
+        message: "sub và email là bắt buộc.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      credential: signTestIdToken({ sub, email, name, picture, emailVerified }),
+    });
+  });
+}
+
 // API cập nhật thông tin người dùng
 router.put(
   "/:id",
@@ -548,13 +862,29 @@ router.put(
       }
 
       // Kiểm tra email
-      if (email && !isValidEmail(email)) {
+      const normalizedEmail = email?.trim().toLowerCase();
+      if (normalizedEmail && !isValidEmail(normalizedEmail)) {
         return res.status(400).json({
           success: false,
           message: "Email không hợp lệ.",
         });
       }
 
+      // Đổi email: kiểm tra trùng lặp, email mới cần xác thực lại
+      const emailChanged =
+        Boolean(normalizedEmail) && normalizedEmail !== user.email;
+      if (emailChanged) {
+        const existingUser = await UserModel.findOne({
+          email: normalizedEmail,
+        });
+        if (existingUser) {
+          return res.status(400).json({
+            success: false,
+            message: "Email đã được sử dụng. Vui lòng chọn email khác.",
+          });
+        }
+      }
+
       // Kiểm tra số điện thoại
       if (phone && !isValidPhone(phone)) {
         return res.status(400).json({
@@ -599,7 +929,8 @@ router.put(
       // Cập nhật thông tin
       const updatedData = {
         username: username || user.username,
-        email: email || user.email,
+        email: normalizedEmail || user.email,
+        ...(emailChanged && { emailVerified: false, emailVerifiedAt: null }),
         phone: phone || user.phone,
         fullName: fullName || user.fullName,
         role: role || user.role,
@@ -613,11 +944,23 @@ router.put(
         runValidators: true,
       }).select("-password");
 
+      // Gửi thư xác thực tới email mới
+      let emailVerificationSent;
+      if (emailChanged) {
+        emailVerificationSent = await sendVerificationEmail(updatedUser)
+          .then(() => true)
+          .catch((error) => {
+            console.error("Error sending verification email:", error);
+            return false;
+          });
+      }
+
       // Trả về kết quả
       res.status(200).json({
         success: true,
         message: "Cập nhật thông tin người dùng thành công.",
         user: updatedUser,
+        ...(emailChanged && { emailVerificationSent }),
       });
     } catch (error) {
       // Xóa file tạm nếu có lỗi
@@ -755,6 +1098,9 @@ router.delete(
         }
       }
 
+      // Xóa các phiên đăng nhập để access token còn hạn không dùng được nữa
+      await SessionModel.deleteMany({ userId: id });
+
       // Xóa user khỏi database
       await UserModel.findByIdAndDelete(id);
 
@@ -784,13 +1130,490 @@ router.get("/me", verifyToken, async (req, res) => {
   }
 });
 
-router.post("/signout", (req, res) => {
-  res.clearCookie("token", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
-  });
-  res.json({ success: true, message: "Đăng xuất thành công" });
+// Xác thực email bằng token trong liên kết đã gửi
+router.post("/verify-email", authLimiter, async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Liên kết xác thực không hợp lệ hoặc đã hết hạn.",
+        type: "error",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Xác thực email thành công.",
+      type: "success",
+      user,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
 });
 
+// Gửi lại thư xác thực email cho người dùng đang đăng nhập
+router.post(
+  "/verify-email/resend",
+  authLimiter,
+  verifyToken,
+  async (req, res) => {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy người dùng.",
+        });
+      }
+
+      if (user.emailVerified) {
+        return res.status(400).json({
+          success: false,
+          message: "Email đã được xác thực.",
+          type: "error",
+        });
+      }
+
+      if (!isDeliverableEmail(user.email)) {
+        return res.status(400).json({
+          success: false,
+          message: "Vui lòng cập nhật địa chỉ email trước khi xác thực.",
+          type: "error",
+        });
+      }
+
+      await sendVerificationEmail(user);
+
+      res.status(200).json({
+        success: true,
+        message: "Đã gửi lại thư xác thực email.",
+        type: "success",
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Quên mật khẩu: gửi liên kết đặt lại qua email hoặc SMS.
+// Luôn trả về cùng một phản hồi để không lộ tài khoản nào tồn tại.
+router.post(
+  "/forgot-password",
+  authLimiter,
+  validateForgotPassword,
+  (req, res) => {
+    const { account, channel } = req.body;
+
+    // Không chờ gửi thư để thời gian phản hồi không phụ thuộc vào việc tài khoản có tồn tại
+    requestPasswordReset({ account, channel }).catch((error) =>
+      console.error("Error requesting password reset:", error)
+    );
+
+    res.status(200).json({
+      success: true,
+      message:
+        "Nếu tài khoản tồn tại, hướng dẫn đặt lại mật khẩu đã được gửi tới bạn.",
+      type: "success",
+    });
+  }
+);
+
+// Đặt lại mật khẩu bằng token đã gửi, các phiên đăng nhập trước đó bị vô hiệu
+router.post(
+  "/reset-password",
+  authLimiter,
+  validateResetPassword,
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const passwordErrors = isValidPassword(password);
+      if (passwordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu không hợp lệ.",
+          errors: passwordErrors,
+          type: "error",
+        });
+      }
+
+      const user = await resetPassword(token, password);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          message: "Liên kết đặt lại mật khẩu không hợp lệ hoặc đã hết hạn.",
+          type: "error",
+        });
+      }
+
+      clearAuthCookies(res);
+
+      res.status(200).json({
+        success: true,
+        message: "Đặt lại mật khẩu thành công. Vui lòng đăng nhập lại.",
+        type: "success",
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Làm mới access token bằng refresh token (cookie), refresh token được xoay vòng
+router.post("/refresh-token", refreshLimiter, async (req, res) => {
+  try {
+    const { accessToken, error } = await refreshSession(req, res);
+    if (error) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message:
+          error === "reuse_detected"
+            ? "Phiên đăng nhập đã bị thu hồi do phát hiện bất thường. Vui lòng đăng nhập lại."
+            : "Phiên đăng nhập không hợp lệ hoặc đã hết hạn!",
+      });
+    }
+
+    res.status(200).json({ success: true, token: accessToken });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.post("/signout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ success: true, message: "Đăng xuất thành công" });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Đăng xuất khỏi mọi thiết bị
+router.post("/signout-all", verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, "signout_all");
+    clearAuthCookies(res);
+    res.json({
+      success: true,
+      message: "Đã đăng xuất khỏi tất cả thiết bị",
+      revoked,
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Thu hồi một phiên đăng nhập của người dùng hiện tại
+router.delete("/sessions/:sessionId", verifyToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: "ID không hợp lệ.",
+      });
+    }
+
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Không tìm thấy phiên đăng nhập.",
+      });
+    }
+
+    // Thu hồi phiên hiện tại thì xóa luôn cookie
+    if (sessionId === req.user.sid) clearAuthCookies(res);
+
+    res.json({ success: true, message: "Đã thu hồi phiên đăng nhập" });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// ---------------------------
+// Xác thực hai lớp (TOTP)
+// ---------------------------
+
+// Bước thứ hai khi đăng nhập: mã TOTP hoặc mã khôi phục kèm challenge token
+router.post(
+  "/authentication/2fa/verify",
+  authLimiter,
+  validateTwoFactorCode,
+  async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const userId = readChallengeToken(challengeToken, "verify");
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "Phiên xác thực đã hết hạn. Vui lòng đăng nhập lại.",
+        });
+      }
+
+      const isValid = await verifySecondFactor(userId, { code, recoveryCode });
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không đúng.",
+        });
+      }
+
+      const user = await UserModel.findById(userId).select("-password");
+      if (!user || !user.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "Tài khoản của bạn đã bị vô hiệu hóa.",
+        });
+      }
+
+      const token = await startSession(req, res, user, {
+        twoFactorVerified: true,
+      });
+
+      // Gộp giỏ hàng lúc chưa đăng nhập vào giỏ hàng của tài khoản
+      const cartAdjustments = await mergeGuestCart(req, res, user._id).catch(
+        (error) => {
+          console.error("Error merging guest cart:", error);
+          return null;
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        message: "Đăng nhập thành công.",
+        user,
+        token,
+        ...(cartAdjustments && { cartAdjustments }),
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Bắt buộc bật 2FA khi đăng nhập: tạo khóa TOTP bằng challenge token "setup"
+router.post("/authentication/2fa/setup", authLimiter, async (req, res) => {
+  try {
+    const userId = readChallengeToken(req.body.challengeToken, "setup");
+    const user = userId && (await UserModel.findById(userId));
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Phiên xác thực đã hết hạn. Vui lòng đăng nhập lại.",
+      });
+    }
+
+    const enrollment = await beginEnrollment(user);
+    if (!enrollment) {
+      return res.status(409).json({
+        success: false,
+        message: "Xác thực hai lớp đã được bật.",
+      });
+    }
+    res.status(200).json({ success: true, ...enrollment });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Bắt buộc bật 2FA khi đăng nhập: xác nhận mã, bật 2FA và tạo phiên đăng nhập
+router.post(
+  "/authentication/2fa/enable",
+  authLimiter,
+  validateTwoFactorCode,
+  async (req, res) => {
+    try {
+      const userId = readChallengeToken(req.body.challengeToken, "setup");
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          message: "Phiên xác thực đã hết hạn. Vui lòng đăng nhập lại.",
+        });
+      }
+
+      const { outcome, recoveryCodes } = await completeEnrollment(
+        userId,
+        req.body.code
+      );
+      if (outcome === "already_enabled") {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai lớp đã được bật.",
+        });
+      }
+      if (outcome !== "enabled") {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không đúng.",
+        });
+      }
+
+      const user = await UserModel.findById(userId).select("-password");
+      const token = await startSession(req, res, user, {
+        twoFactorVerified: true,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Đã bật xác thực hai lớp. Hãy lưu lại các mã khôi phục.",
+        user,
+        token,
+        recoveryCodes,
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Bắt đầu bật 2FA cho người dùng đang đăng nhập: cần mật khẩu hiện tại
+router.post(
+  "/2fa/setup",
+  verifyToken,
+  validateTwoFactorSetup,
+  async (req, res) => {
+    try {
+      const user = await UserModel.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy người dùng.",
+        });
+      }
+
+      const isMatch =
+        user.password &&
+        (await checkPassword(req.body.password, user.password));
+      if (!isMatch) {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu không đúng.",
+        });
+      }
+
+      const enrollment = await beginEnrollment(user);
+      if (!enrollment) {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai lớp đã được bật.",
+        });
+      }
+      res.status(200).json({ success: true, ...enrollment });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Xác nhận bật 2FA bằng mã từ ứng dụng xác thực, trả về mã khôi phục
+router.post(
+  "/2fa/enable",
+  verifyToken,
+  validateTwoFactorCode,
+  async (req, res) => {
+    try {
+      const { outcome, recoveryCodes } = await completeEnrollment(
+        req.user.id,
+        req.body.code
+      );
+      if (outcome === "already_enabled") {
+        return res.status(409).json({
+          success: false,
+          message: "Xác thực hai lớp đã được bật.",
+        });
+      }
+      if (outcome !== "enabled") {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không đúng.",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Đã bật xác thực hai lớp. Hãy lưu lại các mã khôi phục.",
+        recoveryCodes,
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Tắt 2FA: cần mật khẩu và mã xác thực (hoặc mã khôi phục)
+router.post(
+  "/2fa/disable",
+  verifyToken,
+  validateTwoFactorCode,
+  async (req, res) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      const user = await UserModel.findById(req.user.id);
+      if (!user || !user.twoFactor.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Xác thực hai lớp chưa được bật.",
+        });
+      }
+
+      if (isTwoFactorEnforced(user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Tài khoản quản trị bắt buộc bật xác thực hai lớp.",
+        });
+      }
+
+      const isMatch =
+        password && (await checkPassword(password, user.password));
+      const isValid =
+        isMatch && (await verifySecondFactor(user._id, { code, recoveryCode }));
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Mật khẩu hoặc mã xác thực không đúng.",
+        });
+      }
+
+      await disableTwoFactor(user._id);
+      res.status(200).json({
+        success: true,
+        message: "Đã tắt xác thực hai lớp.",
+      });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
+// Tạo lại mã khôi phục (các mã cũ hết hiệu lực)
+router.post(
+  "/2fa/recovery-codes",
+  verifyToken,
+  validateTwoFactorCode,
+  async (req, res) => {
+    try {
+      const { code, recoveryCode } = req.body;
+      const isValid = await verifySecondFactor(req.user.id, {
+        code,
+        recoveryCode,
+      });
+      if (!isValid) {
+        return res.status(400).json({
+          success: false,
+          message: "Mã xác thực không đúng.",
+        });
+      }
+
+      const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+      res.status(200).json({ success: true, recoveryCodes });
+    } catch (error) {
+      handleError(res, error);
+    }
+  }
+);
+
 module.exports = router;
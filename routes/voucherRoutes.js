@@ -1,6 +1,34 @@
 const express = require("express");
-const { verifyToken, checkAdminOrOwner } = require("../helper/authHelpers");
+const mongoose = require("mongoose");
+const {
+  verifyToken,
+  checkAdminOrOwner,
+  isAdmin,
+} = require("../helper/authHelpers");
 const { VoucherModel } = require("../models/VoucherModel");
+const {
+  VoucherCampaignModel,
+} = require("../models/VoucherCampaignModel");
+const {
+  VoucherRedemptionModel,
+} = require("../models/VoucherRedemptionModel");
+const { CartModel } = require("../models/CartModel");
+const { OrderModel } = require("../models/OrderModel");
+const { priceOrder } = require("../helper/orderPricing");
+const {
+  DEFAULT_CODE_ALPHABET,
+  generateVoucherCodes,
+  pickVoucherRules,
+  getVoucherRulesError,
+} = require("../helper/voucherHelpers");
+const { toCsv } = require("../helper/csv");
+const {
+  validateVoucherCampaign,
+  validateReportRange,
+  validatePagination,
+} = require("../middlewares/validate");
+const idempotency = require("../middlewares/idempotency");
+const validateObjectId = require("../middlewares/validateObjectId");
 const router = express.Router();
 
 router.get("/", async (req, res) => {
@@ -61,90 +89,22 @@ router.get("/", async (req, res) => {
 });
 
 router.post("/create", verifyToken, checkAdminOrOwner, async (req, res) => {
-  const {
-    code,
-    discountType,
-    discountValue,
-    minOrderValue,
-    maxDiscountValue,
-    expirationDate,
-    usageLimit,
-  } = req.body;
+  const { code } = req.body;
 
   // Kiểm tra các trường bắt buộc
-  const requiredFields = [
-    { field: code, message: "Mã voucher không được để trống" },
-    {
-      field: discountType,
-      message: "Loại giảm giá không được để trống",
-      allowedValues: ["percentage", "fixed"],
-    },
-    {
-      field: discountValue,
-      message: "Giá trị giảm không được để trống",
-      type: "number",
-      min: 0,
-    },
-    {
-      field: minOrderValue,
-      message: "Giá trị đơn hàng tối thiểu không được để trống",
-      type: "number",
-      min: 0,
-    },
-    {
-      field: maxDiscountValue,
-      message: "Giá trị giảm tối đa phải là số và không nhỏ hơn 0",
-      type: "number",
-      min: 0,
-      optional: true, // Cho phép bỏ trống
-    },
-    {
-      field: expirationDate,
-      message: "Ngày hết hạn không được để trống",
-    },
-    {
-      field: usageLimit,
-      message: "Số lượng sử dụng không được để trống",
-      type: "number",
-      min: 1,
-    },
-  ];
-
-  // Duyệt qua danh sách và kiểm tra từng trường
-  for (const {
-    field,
-    message,
-    type,
-    min,
-    max,
-    allowedValues,
-    optional,
-  } of requiredFields) {
-    if (!field && field !== 0) {
-      if (optional) continue; // Bỏ qua trường tùy chọn
-      return res.status(400).json({ success: false, message, type: "error" });
-    }
-
-    // Kiểm tra kiểu dữ liệu
-    if (
-      type === "number" &&
-      (isNaN(field) || field < min || (max !== undefined && field > max))
-    ) {
-      return res.status(400).json({
-        success: false,
-        message: `${message} và phải là số thực từ ${min}`,
-        type: "error",
-      });
-    }
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: "Mã voucher không được để trống",
+      type: "error",
+    });
+  }
 
-    // Kiểm tra giá trị hợp lệ
-    if (allowedValues && !allowedValues.includes(field)) {
-      return res.status(400).json({
-        success: false,
-        message: `${message}. Giá trị hợp lệ: ${allowedValues.join(", ")}`,
-        type: "error",
-      });
-    }
+  const rulesError = getVoucherRulesError(req.body);
+  if (rulesError) {
+    return res
+      .status(400)
+      .json({ success: false, message: rulesError, type: "error" });
   }
 
   try {
@@ -160,12 +120,7 @@ router.post("/create", verifyToken, checkAdminOrOwner, async (req, res) => {
     // Tạo voucher mới
     const newVoucher = new VoucherModel({
       code,
-      discountType,
-      discountValue,
-      minOrderValue,
-      maxDiscountValue,
-      expirationDate,
-      usageLimit,
+      ...pickVoucherRules(req.body),
     });
 
     await newVoucher.save();
@@ -187,65 +142,264 @@ router.post("/create", verifyToken, checkAdminOrOwner, async (req, res) => {
   }
 });
 
-router.post("/apply", verifyToken, async (req, res) => {
-  const { code, totalPrice } = req.body;
+// Tạo đợt phát hành: sinh hàng loạt mã ngẫu nhiên dùng chung một bộ quy tắc
+router.post("/campaigns", isAdmin, validateVoucherCampaign, async (req, res) => {
+  const { name, description, quantity, prefix = "", length, alphabet } =
+    req.body;
 
+  const rulesError = getVoucherRulesError(req.body);
+  if (rulesError) {
+    return res
+      .status(400)
+      .json({ success: false, message: rulesError, type: "error" });
+  }
+
+  const session = await mongoose.startSession();
   try {
-    // Tìm voucher theo mã và trạng thái
-    const voucher = await VoucherModel.findOne({ code, active: true });
+    const rules = pickVoucherRules(req.body);
+    const codes = await generateVoucherCodes({
+      prefix,
+      length,
+      alphabet: alphabet || DEFAULT_CODE_ALPHABET,
+      quantity,
+    });
 
-    if (!voucher) {
-      return res.status(404).json({
-        message: "Voucher không tồn tại hoặc đã hết hiệu lực",
-        status: false,
+    const campaign = new VoucherCampaignModel({
+      name,
+      description,
+      codePrefix: prefix,
+      codeLength: length,
+      alphabet: alphabet || DEFAULT_CODE_ALPHABET,
+      quantity,
+      rules,
+      createdBy: req.user.id,
+    });
+
+    // Tạo đợt phát hành và toàn bộ mã trong cùng một transaction
+    await session.withTransaction(async () => {
+      await campaign.save({ session });
+      await VoucherModel.insertMany(
+        codes.map((code) => ({ ...rules, code, campaignId: campaign._id })),
+        { session }
+      );
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `Đã tạo ${codes.length} mã voucher`,
+      type: "success",
+      campaign,
+    });
+  } catch (err) {
+    console.error("Error creating voucher campaign:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Đã xảy ra lỗi khi tạo đợt phát hành voucher",
+      error: err.message,
+      type: "error",
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// Danh sách đợt phát hành voucher (admin)
+router.get("/campaigns", isAdmin, async (req, res) => {
+  try {
+    const campaigns = await VoucherCampaignModel.find().sort({ createdAt: -1 });
+
+    return res.status(200).json({
+      success: true,
+      campaigns,
+    });
+  } catch (err) {
+    console.error("Error fetching voucher campaigns:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Đã xảy ra lỗi khi lấy danh sách đợt phát hành voucher",
+      error: err.message,
+    });
+  }
+});
+
+// Xuất danh sách mã của đợt phát hành kèm trạng thái sử dụng (CSV)
+router.get(
+  "/campaigns/:id/export",
+  validateObjectId,
+  isAdmin,
+  async (req, res) => {
+    try {
+      const campaign = await VoucherCampaignModel.findById(req.params.id);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: "Không tìm thấy đợt phát hành voucher",
+        });
+      }
+
+      const vouchers = await VoucherModel.find({
+        campaignId: campaign._id,
+      }).sort({ code: 1 });
+
+      // Thống kê lượt dùng của từng mã từ sổ ghi nhận voucher
+      const stats = await VoucherRedemptionModel.aggregate([
+        { $match: { voucherId: { $in: vouchers.map((v) => v._id) } } },
+        {
+          $group: {
+            _id: "$voucherId",
+            redeemed: {
+              $sum: { $cond: [{ $eq: ["$status", "committed"] }, 1, 0] },
+            },
+            reversed: {
+              $sum: { $cond: [{ $eq: ["$status", "reversed"] }, 1, 0] },
+            },
+            lastRedeemedAt: { $max: "$createdAt" },
+            redemptions: { $push: { orderId: "$orderId", status: "$status" } },
+          },
+        },
+      ]);
+      const statsByVoucher = new Map(
+        stats.map((entry) => [entry._id.toString(), entry])
+      );
+
+      const header = [
+        "code",
+        "active",
+        "status",
+        "usageLimit",
+        "usedCount",
+        "redeemed",
+        "reversed",
+        "lastRedeemedAt",
+        "orderIds",
+      ];
+      const rows = vouchers.map((voucher) => {
+        const entry = statsByVoucher.get(voucher._id.toString()) || {};
+        let status = entry.redeemed > 0 ? "redeemed" : "unused";
+        if (voucher.usageLimit > 0 && voucher.usedCount >= voucher.usageLimit) {
+          status = "exhausted";
+        }
+        return [
+          voucher.code,
+          voucher.active,
+          status,
+          voucher.usageLimit,
+          voucher.usedCount,
+          entry.redeemed || 0,
+          entry.reversed || 0,
+          entry.lastRedeemedAt ? entry.lastRedeemedAt.toISOString() : "",
+          (entry.redemptions || [])
+            .filter((redemption) => redemption.status === "committed")
+            .map((redemption) => redemption.orderId)
+            .join(" "),
+        ];
       });
-    }
 
-    // Kiểm tra ngày hết hạn
-    const currentDate = new Date();
-    if (currentDate > new Date(voucher.expirationDate)) {
-      return res.status(400).json({
-        message: "Voucher đã hết hạn",
-        status: false,
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="voucher-campaign-${campaign._id}.csv"`
+      );
+      return res.status(200).send(toCsv([header, ...rows]));
+    } catch (err) {
+      console.error("Error exporting voucher campaign:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Đã xảy ra lỗi khi xuất danh sách mã voucher",
+        error: err.message,
       });
     }
+  }
+);
+
+router.post("/apply", verifyToken, idempotency, async (req, res) => {
+  const { code, provinceCode, shippingOption } = req.body;
 
-    // Kiểm tra giá trị đơn hàng tối thiểu
-    if (totalPrice < voucher.minOrderValue) {
+  if (!code) {
+    return res.status(400).json({
+      message: "Mã voucher không được để trống",
+      status: false,
+    });
+  }
+
+  try {
+    // Dùng các dòng client gửi lên, nếu không có thì lấy giỏ hàng của người dùng
+    let items = req.body.items;
+    if (!Array.isArray(items) || items.length === 0) {
+      const cart = await CartModel.findOne({ userId: req.user.id });
+      items = cart ? cart.items : [];
+    }
+
+    if (items.length === 0) {
       return res.status(400).json({
-        message: `Đơn hàng phải có giá trị tối thiểu là ${voucher.minOrderValue}`,
+        message: "Giỏ hàng trống",
         status: false,
       });
     }
 
-    // Kiểm tra số lần sử dụng
-    if (voucher.usageLimit > 0 && voucher.usedCount >= voucher.usageLimit) {
+    // Tính giá giống lúc tạo đơn hàng. Chỉ báo giá, lượt sử dụng được ghi nhận khi tạo đơn
+    const pricing = await priceOrder({
+      items,
+      userId: req.user.id,
+      voucherCode: code,
+      provinceCode,
+      shippingOption,
+    });
+
+    if (pricing.errors.length > 0) {
       return res.status(400).json({
-        message: "Voucher đã đạt đến giới hạn sử dụng",
+        message: "Giỏ hàng có sản phẩm không hợp lệ",
+        errors: pricing.errors,
         status: false,
       });
     }
 
-    // Tính giảm giá
-    let discount = 0;
-    if (voucher.discountType === "percentage") {
-      discount = (totalPrice * voucher.discountValue) / 100;
-      if (voucher.maxDiscountValue) {
-        discount = Math.min(discount, voucher.maxDiscountValue);
-      }
-    } else if (voucher.discountType === "fixed") {
-      discount = Math.min(voucher.discountValue, totalPrice);
+    // Kiểm tra điều kiện áp dụng, trả về mã lý do nếu không hợp lệ
+    if (pricing.voucherError) {
+      return res
+        .status(pricing.voucherReason === "NOT_FOUND" ? 404 : 400)
+        .json({
+          message: pricing.voucherError,
+          reason: pricing.voucherReason,
+          status: false,
+        });
     }
 
-    // Cập nhật số lần sử dụng
-    voucher.usedCount += 1;
-    await voucher.save();
+    const { voucher, breakdown } = pricing;
+    // Voucher miễn phí vận chuyển giảm phí ship, không giảm tiền hàng
+    const shippingDiscount =
+      voucher.discountType === "free_shipping" ? breakdown.discount : 0;
+    const itemsDiscount = breakdown.discount - shippingDiscount;
+
+    // Các dòng được giảm giá và số tiền giảm của từng dòng
+    const discountedLines = pricing.voucherLines.map((line) => {
+      const item = pricing.items[line.index];
+      return {
+        index: line.index,
+        productId: item.productId,
+        variantId: item.variantId,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        price: item.price,
+        discount: line.discount,
+      };
+    });
 
     // Trả kết quả
     res.status(200).json({
-      message: "Voucher đã được áp dụng thành công",
-      discount: discount.toFixed(2), // Định dạng giá trị giảm giá (2 chữ số thập phân)
-      finalPrice: (totalPrice - discount).toFixed(2),
+      message: "Voucher có thể áp dụng cho đơn hàng",
+      discount: breakdown.discount.toFixed(2), // Định dạng giá trị giảm giá (2 chữ số thập phân)
+      shippingDiscount: shippingDiscount.toFixed(2),
+      // Tiền hàng sau khuyến mãi và voucher, chưa gồm phí vận chuyển
+      finalPrice: (
+        breakdown.subtotal -
+        breakdown.promotionDiscount -
+        itemsDiscount
+      ).toFixed(2),
+      discountType: voucher.discountType,
+      discountedLines,
+      priceBreakdown: breakdown,
       usageLimit: voucher.usageLimit,
       usedCount: voucher.usedCount,
       voucherCode: voucher.code,
@@ -268,6 +422,304 @@ router.post("/apply", verifyToken, async (req, res) => {
   }
 });
 
+// Lịch sử sử dụng của một voucher (admin)
+router.get(
+  "/:id/redemptions",
+  validateObjectId,
+  isAdmin,
+  validatePagination,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const perPage = parseInt(req.query.perPage, 10) || 20;
+
+      const voucher = await VoucherModel.findById(req.params.id);
+      if (!voucher) {
+        return res.status(404).json({
+          success: false,
+          message: "Voucher không tồn tại",
+        });
+      }
+
+      const filter = { voucherId: voucher._id };
+      if (req.query.status) filter.status = req.query.status;
+
+      const totalItems = await VoucherRedemptionModel.countDocuments(filter);
+      const redemptions = await VoucherRedemptionModel.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * perPage)
+        .limit(perPage)
+        .populate("userId", "username email")
+        .populate("orderId", "status totalPrice orderDate");
+
+      return res.status(200).json({
+        success: true,
+        voucher: {
+          id: voucher.id,
+          code: voucher.code,
+          usageLimit: voucher.usageLimit,
+          usedCount: voucher.usedCount,
+        },
+        redemptions,
+        totalPages: Math.ceil(totalItems / perPage),
+        currentPage: page,
+        totalItems,
+        perPage,
+      });
+    } catch (err) {
+      console.error("Error fetching voucher redemptions:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Đã xảy ra lỗi khi lấy lịch sử sử dụng voucher",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// Cập nhật voucher, kiểm tra giống khi tạo mới
+router.put("/:id", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const voucher = await VoucherModel.findById(req.params.id);
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Voucher không tồn tại",
+        type: "error",
+      });
+    }
+
+    // Kiểm tra trên toàn bộ quy tắc sau khi cập nhật, không chỉ các trường gửi lên
+    const updates = pickVoucherRules(req.body);
+    const rulesError = getVoucherRulesError({
+      ...pickVoucherRules(voucher.toObject()),
+      ...updates,
+    });
+    if (rulesError) {
+      return res
+        .status(400)
+        .json({ success: false, message: rulesError, type: "error" });
+    }
+
+    if (
+      updates.usageLimit !== undefined &&
+      Number(updates.usageLimit) < voucher.usedCount
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Số lượng sử dụng không được nhỏ hơn số lần đã dùng (${voucher.usedCount})`,
+        type: "error",
+      });
+    }
+
+    const { code, active } = req.body;
+    if (code !== undefined && code !== voucher.code) {
+      if (!code) {
+        return res.status(400).json({
+          success: false,
+          message: "Mã voucher không được để trống",
+          type: "error",
+        });
+      }
+      const existingVoucher = await VoucherModel.findOne({ code });
+      if (existingVoucher) {
+        return res.status(400).json({
+          success: false,
+          message: "Mã voucher đã tồn tại",
+          type: "error",
+        });
+      }
+      voucher.code = code;
+    }
+    if (typeof active === "boolean") voucher.active = active;
+
+    voucher.set(updates);
+    await voucher.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Voucher đã được cập nhật thành công",
+      type: "success",
+      voucher,
+    });
+  } catch (err) {
+    console.error("Error updating voucher:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Đã xảy ra lỗi khi cập nhật voucher",
+      error: err.message,
+      type: "error",
+    });
+  }
+});
+
+// Bật / tắt voucher. Không gửi active thì đảo trạng thái hiện tại
+router.put("/:id/active", validateObjectId, isAdmin, async (req, res) => {
+  try {
+    const voucher = await VoucherModel.findById(req.params.id);
+    if (!voucher) {
+      return res.status(404).json({
+        success: false,
+        message: "Voucher không tồn tại",
+        type: "error",
+      });
+    }
+
+    const { active } = req.body;
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Trạng thái active phải là true hoặc false",
+        type: "error",
+      });
+    }
+
+    voucher.active = active === undefined ? !voucher.active : active;
+    await voucher.save();
+
+    return res.status(200).json({
+      success: true,
+      message: voucher.active ? "Đã bật voucher" : "Đã tắt voucher",
+      type: "success",
+      voucher,
+    });
+  } catch (err) {
+    console.error("Error toggling voucher:", err);
+    return res.status(500).json({
+      success: false,
+      message: "Đã xảy ra lỗi khi cập nhật trạng thái voucher",
+      error: err.message,
+      type: "error",
+    });
+  }
+});
+
+// Thống kê voucher: lượt dùng theo thời gian, tổng tiền đã giảm và doanh thu mang lại
+// Query: from, to (ngày), groupBy = day | month
+router.get(
+  "/:id/stats",
+  validateObjectId,
+  isAdmin,
+  validateReportRange,
+  async (req, res) => {
+    try {
+      const voucher = await VoucherModel.findById(req.params.id);
+      if (!voucher) {
+        return res.status(404).json({
+          success: false,
+          message: "Voucher không tồn tại",
+        });
+      }
+
+      const match = { voucherId: voucher._id, status: "committed" };
+      if (req.query.from || req.query.to) {
+        match.createdAt = {};
+        if (req.query.from) match.createdAt.$gte = new Date(req.query.from);
+        if (req.query.to) match.createdAt.$lte = new Date(req.query.to);
+      }
+      const dateFormat = req.query.groupBy === "month" ? "%Y-%m" : "%Y-%m-%d";
+
+      const [result] = await VoucherRedemptionModel.aggregate([
+        { $match: match },
+        {
+          $lookup: {
+            from: OrderModel.collection.name,
+            localField: "orderId",
+            foreignField: "_id",
+            as: "order",
+          },
+        },
+        { $unwind: "$order" },
+        {
+          // Doanh thu của đơn hàng sau khi trừ phần đã hoàn tiền
+          $addFields: {
+            revenue: {
+              $subtract: [
+                "$order.totalPrice",
+                { $ifNull: ["$order.refundedAmount", 0] },
+              ],
+            },
+          },
+        },
+        {
+          $facet: {
+            totals: [
+              {
+                $group: {
+                  _id: null,
+                  redemptions: { $sum: 1 },
+                  totalDiscount: { $sum: "$discountAmount" },
+                  revenue: { $sum: "$revenue" },
+                  customers: { $addToSet: "$userId" },
+                },
+              },
+            ],
+            timeline: [
+              {
+                $group: {
+                  _id: {
+                    $dateToString: {
+                      format: dateFormat,
+                      date: "$createdAt",
+                      timezone: "Asia/Ho_Chi_Minh",
+                    },
+                  },
+                  redemptions: { $sum: 1 },
+                  totalDiscount: { $sum: "$discountAmount" },
+                  revenue: { $sum: "$revenue" },
+                },
+              },
+              { $sort: { _id: 1 } },
+            ],
+          },
+        },
+      ]);
+
+      const totals = result.totals[0] || {
+        redemptions: 0,
+        totalDiscount: 0,
+        revenue: 0,
+        customers: [],
+      };
+      const reversed = await VoucherRedemptionModel.countDocuments({
+        voucherId: voucher._id,
+        status: "reversed",
+      });
+
+      return res.status(200).json({
+        success: true,
+        voucher: {
+          id: voucher.id,
+          code: voucher.code,
+          active: voucher.active,
+          usageLimit: voucher.usageLimit,
+          usedCount: voucher.usedCount,
+        },
+        stats: {
+          redemptions: totals.redemptions,
+          reversed,
+          uniqueCustomers: totals.customers.length,
+          totalDiscount: totals.totalDiscount,
+          revenue: totals.revenue, // Doanh thu từ các đơn hàng dùng voucher (chưa bị hủy)
+        },
+        timeline: result.timeline.map((entry) => ({
+          period: entry._id,
+          redemptions: entry.redemptions,
+          totalDiscount: entry.totalDiscount,
+          revenue: entry.revenue,
+        })),
+      });
+    } catch (err) {
+      console.error("Error fetching voucher stats:", err);
+      return res.status(500).json({
+        success: false,
+        message: "Đã xảy ra lỗi khi lấy thống kê voucher",
+        error: err.message,
+      });
+    }
+  }
+);
+
 // Xóa một voucher
 router.delete(
   "/delete/:id",
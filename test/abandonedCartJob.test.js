@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { AbandonedCartModel } = require("../models/AbandonedCartModel");
+const { UserModel } = require("../models/UserModel");
+const {
+  sendPendingReminders,
+  markCartRecovered,
+} = require("../helper/jobs/abandonedCartJob");
+
+test("markCartRecovered chỉ cập nhật sự kiện bỏ quên gần nhất của giỏ hàng", async (t) => {
+  const findOneAndUpdate = t.mock.method(
+    AbandonedCartModel,
+    "findOneAndUpdate",
+    async () => ({ status: "recovered" })
+  );
+
+  await markCartRecovered("c1", { _id: "o1", totalPrice: 250 });
+
+  const [filter, update, options] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { cartId: "c1", status: "abandoned" });
+  assert.equal(update.$set.status, "recovered");
+  assert.equal(update.$set.orderId, "o1");
+  assert.equal(update.$set.recoveredValue, 250);
+  assert.deepEqual(options.sort, { lastActivityAt: -1 });
+});
+
+test("markCartRecovered trả về null khi giỏ hàng không có sự kiện bỏ quên", async (t) => {
+  t.mock.method(AbandonedCartModel, "findOneAndUpdate", async () => null);
+
+  assert.equal(await markCartRecovered("c1", { _id: "o1" }), null);
+});
+
+test("sendPendingReminders ghi nhận lỗi khi chưa cấu hình kênh gửi thay vì dừng job", async (t) => {
+  delete process.env.NOTIFICATION_TRANSPORT;
+  const event = {
+    _id: "e1",
+    userId: "u1",
+    items: [],
+    cartValue: 100000,
+    reminder: { status: "pending", attempts: 0 },
+    save: t.mock.fn(async () => {}),
+  };
+  t.mock.method(AbandonedCartModel, "find", () => ({
+    sort: () => ({ limit: async () => [event] }),
+  }));
+  t.mock.method(UserModel, "findById", () => ({
+    select: async () => ({
+      _id: "u1",
+      email: "a@example.com",
+      emailVerified: true,
+      isActive: true,
+    }),
+  }));
+
+  assert.equal(await sendPendingReminders(), 0);
+  assert.equal(event.reminder.status, "failed");
+  assert.equal(event.reminder.attempts, 1);
+  assert.match(event.reminder.error, /Chưa cấu hình/);
+  assert.equal(event.save.mock.callCount(), 1);
+});
@@ -0,0 +1,61 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { SessionModel } = require("../models/SessionModel");
+const { isAdmin, isAdminUser } = require("../helper/authHelpers");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+afterEach(() => {
+  delete process.env.ADMIN_2FA_REQUIRED;
+});
+
+// Gọi middleware isAdmin với token có các claim cho trước
+const callIsAdmin = async (t, claims) => {
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  const token = jwt.sign(
+    { id: "u1", sid: "s1", ...claims },
+    process.env.JWT_SECRET
+  );
+  const req = { cookies: { token }, headers: {} };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const next = t.mock.fn();
+  await isAdmin(req, res, next);
+  return { res, next };
+};
+
+test("isAdminUser yêu cầu phiên đã qua 2FA khi ADMIN_2FA_REQUIRED", () => {
+  assert.equal(isAdminUser({ user: { role: "admin" } }), true);
+
+  process.env.ADMIN_2FA_REQUIRED = "true";
+  assert.equal(isAdminUser({ user: { role: "admin" } }), false);
+  assert.equal(isAdminUser({ user: { role: "admin", mfa: true } }), true);
+  assert.equal(isAdminUser({ user: { role: "user", mfa: true } }), false);
+  assert.equal(isAdminUser({}), false);
+});
+
+test("isAdmin từ chối phiên quản trị chưa qua 2FA khi ADMIN_2FA_REQUIRED", async (t) => {
+  process.env.ADMIN_2FA_REQUIRED = "true";
+
+  const { res, next } = await callIsAdmin(t, { role: "admin", mfa: false });
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(next.mock.callCount(), 0);
+});
+
+test("isAdmin cho phép phiên quản trị đã qua 2FA", async (t) => {
+  process.env.ADMIN_2FA_REQUIRED = "true";
+
+  const { next } = await callIsAdmin(t, { role: "admin", mfa: true });
+
+  assert.equal(next.mock.callCount(), 1);
+});
@@ -0,0 +1,178 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const mongoose = require("mongoose");
+const { CartModel } = require("../models/CartModel");
+const { ProductModel } = require("../models/ProductModel");
+const { GUEST_CART_COOKIE, createGuestId } = require("../helper/guestCart");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const cartRoutes = require("../routes/cartRoutes");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/cart", cartRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Cookie giỏ hàng của khách đã ký
+const guestCookie = () => {
+  const res = { cookie: (name, value) => (res.value = value) };
+  const guestId = createGuestId(res);
+  return { guestId, cookie: `${GUEST_CART_COOKIE}=${res.value}` };
+};
+
+const line = (productId, quantity, unitPrice) => ({
+  productId,
+  quantity,
+  price: unitPrice * quantity,
+  size: "M",
+  color: "Đen",
+  images: ["a.jpg"],
+});
+
+const product = (_id, fields = {}) => ({
+  _id,
+  name: "Áo thun",
+  price: 100,
+  discount: 0,
+  productInStock: 10,
+  size: ["M"],
+  colors: ["Đen"],
+  images: [{ url: "a.jpg" }],
+  ...fields,
+});
+
+// Giỏ hàng thật (chưa lưu) để dùng các thao tác mảng của mongoose
+const stubCart = (t, guestId, fields) => {
+  const cart = new CartModel({ guestId, ...fields });
+  t.mock.method(CartModel, "findOne", async () => cart);
+  cart.save = t.mock.fn(async () => cart);
+  return cart;
+};
+
+const post = (path, cookie, body = {}) =>
+  fetch(`${baseUrl}/api/cart${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Cookie: cookie },
+    body: JSON.stringify(body),
+  });
+
+test("POST /api/cart/validate xóa sản phẩm đã xóa, cập nhật giá và chặn dòng thiếu hàng", async (t) => {
+  const { guestId, cookie } = guestCookie();
+  const goneId = new mongoose.Types.ObjectId();
+  const pricedId = new mongoose.Types.ObjectId();
+  const lowId = new mongoose.Types.ObjectId();
+  const cart = stubCart(t, guestId, {
+    items: [line(goneId, 1, 50), line(pricedId, 2, 100), line(lowId, 3, 100)],
+  });
+  const products = {
+    [pricedId]: product(pricedId, { price: 120 }),
+    [lowId]: product(lowId, { productInStock: 1 }),
+  };
+  t.mock.method(ProductModel, "findById", async (id) => products[id] || null);
+
+  const response = await post("/validate", cookie);
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.valid, false);
+  assert.deepEqual(
+    body.changes.map((change) => change.type),
+    ["removed", "price_changed", "insufficient_stock"]
+  );
+  assert.equal(body.changes[1].newUnitPrice, 120);
+  assert.equal(cart.items.length, 2);
+  assert.equal(cart.totalPrice, 540);
+  assert.equal(cart.save.mock.callCount(), 1);
+});
+
+test("POST /api/cart/validate trả về 404 khi khách chưa có giỏ hàng", async () => {
+  const response = await post("/validate", "");
+
+  assert.equal(response.status, 404);
+});
+
+test("POST /api/cart/saveForLater chuyển dòng sang danh sách mua sau và tính lại tổng", async (t) => {
+  const { guestId, cookie } = guestCookie();
+  const shirtId = new mongoose.Types.ObjectId();
+  const hatId = new mongoose.Types.ObjectId();
+  const cart = stubCart(t, guestId, {
+    items: [line(shirtId, 2, 100), line(hatId, 1, 50)],
+    totalPrice: 250,
+  });
+
+  const response = await post("/saveForLater", cookie, {
+    productId: shirtId,
+    size: "M",
+    color: "Đen",
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(cart.items.length, 1);
+  assert.equal(cart.savedForLater.length, 1);
+  assert.equal(cart.savedForLater[0].quantity, 2);
+  assert.equal(cart.totalPrice, 50);
+});
+
+test("POST /api/cart/saveForLater yêu cầu đủ sản phẩm, size và màu", async () => {
+  const { cookie } = guestCookie();
+
+  const response = await post("/saveForLater", cookie, { size: "M" });
+
+  assert.equal(response.status, 400);
+});
+
+test("POST /api/cart/moveToCart tính lại giá hiện tại khi đưa về giỏ hàng", async (t) => {
+  const { guestId, cookie } = guestCookie();
+  const shirtId = new mongoose.Types.ObjectId();
+  const cart = stubCart(t, guestId, {
+    savedForLater: [line(shirtId, 2, 100)],
+  });
+  t.mock.method(ProductModel, "findById", async () =>
+    product(shirtId, { price: 80 })
+  );
+
+  const response = await post("/moveToCart", cookie, {
+    productId: shirtId,
+    size: "M",
+    color: "Đen",
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(cart.savedForLater.length, 0);
+  assert.equal(cart.items[0].price, 160);
+  assert.equal(cart.totalPrice, 160);
+});
+
+test("POST /api/cart/moveToCart giữ dòng trong danh sách mua sau khi không đủ hàng", async (t) => {
+  const { guestId, cookie } = guestCookie();
+  const shirtId = new mongoose.Types.ObjectId();
+  const cart = stubCart(t, guestId, {
+    savedForLater: [line(shirtId, 2, 100)],
+  });
+  t.mock.method(ProductModel, "findById", async () =>
+    product(shirtId, { productInStock: 1 })
+  );
+
+  const response = await post("/moveToCart", cookie, {
+    productId: shirtId,
+    size: "M",
+    color: "Đen",
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(cart.savedForLater.length, 1);
+  assert.equal(cart.items.length, 0);
+  assert.equal(cart.save.mock.callCount(), 0);
+});
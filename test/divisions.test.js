@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  removeDiacritics,
+  listProvinces,
+  listDistricts,
+  getAddressError,
+} = require("../helper/divisions");
+
+test("removeDiacritics bỏ dấu tiếng Việt, kể cả chữ đ", () => {
+  assert.equal(removeDiacritics("  Đà Nẵng "), "da nang");
+});
+
+test("listProvinces / listDistricts tìm kiếm không phân biệt dấu", () => {
+  assert.ok(listProvinces("ha noi").some((unit) => unit.code === "01"));
+  assert.ok(listDistricts("01", "ba dinh").some((unit) => unit.code === "001"));
+  assert.deepEqual(listDistricts("01", "khong-ton-tai"), []);
+});
+
+test("getAddressError chấp nhận địa chỉ đúng cấp", () => {
+  assert.equal(
+    getAddressError({
+      provinceCode: "01",
+      districtCode: "001",
+      wardCode: "00001",
+    }),
+    null
+  );
+});
+
+test("getAddressError từ chối mã không tồn tại hoặc sai cấp cha", () => {
+  assert.equal(
+    getAddressError({ provinceCode: "99", districtCode: "001" }),
+    "Tỉnh/thành phố không tồn tại"
+  );
+  assert.match(
+    getAddressError({
+      provinceCode: "02",
+      districtCode: "001",
+      wardCode: "00001",
+    }),
+    /không thuộc/
+  );
+  assert.match(
+    getAddressError({
+      provinceCode: "01",
+      districtCode: "001",
+      wardCode: "00688",
+    }),
+    /không thuộc/
+  );
+});
@@ -0,0 +1,68 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { UserModel } = require("../models/UserModel");
+const { UserTokenModel } = require("../models/UserTokenModel");
+const consoleTransport = require("../helper/notifications/consoleTransport");
+const {
+  isDeliverableEmail,
+  sendVerificationEmail,
+  verifyEmailToken,
+} = require("../helper/emailVerification");
+
+process.env.USER_TOKEN_SECRET = "token-secret";
+process.env.NOTIFICATION_TRANSPORT = "console";
+
+const user = { _id: "u1", email: "a@example.com", username: "an" };
+
+test("isDeliverableEmail bỏ qua email tạm của tài khoản cũ", () => {
+  assert.equal(isDeliverableEmail("a@example.com"), true);
+  assert.equal(isDeliverableEmail("temp_123@example.com"), false);
+  assert.equal(isDeliverableEmail(""), false);
+});
+
+test("sendVerificationEmail gửi liên kết có token và đánh dấu nhạy cảm", async (t) => {
+  t.mock.method(UserTokenModel, "deleteMany", async () => ({}));
+  t.mock.method(UserTokenModel, "create", async (doc) => doc);
+  const send = t.mock.method(consoleTransport, "send", async () => ({}));
+
+  await sendVerificationEmail(user);
+
+  const [message] = send.mock.calls[0].arguments;
+  assert.equal(message.sensitive, true);
+  assert.equal(message.to.email, "a@example.com");
+  assert.match(message.text, /\?token=[0-9a-f]+\.[0-9a-f]+/);
+  assert.equal(message.data.link, message.text.match(/http\S+/)[0]);
+});
+
+test("verifyEmailToken chỉ xác thực đúng email đã nhận token", async (t) => {
+  t.mock.method(UserTokenModel, "deleteMany", async () => ({}));
+  const create = t.mock.method(UserTokenModel, "create", async (doc) => doc);
+  const send = t.mock.method(consoleTransport, "send", async () => ({}));
+  await sendVerificationEmail(user);
+  const token = decodeURIComponent(
+    send.mock.calls[0].arguments[0].text.split("?token=")[1]
+  );
+  t.mock.method(
+    UserTokenModel,
+    "findOneAndUpdate",
+    async () => create.mock.calls[0].arguments[0]
+  );
+  const findOneAndUpdate = t.mock.method(UserModel, "findOneAndUpdate", () => ({
+    select: async () => ({ ...user, emailVerified: true }),
+  }));
+
+  const verified = await verifyEmailToken(token);
+
+  assert.equal(verified.emailVerified, true);
+  assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], {
+    _id: "u1",
+    email: "a@example.com",
+  });
+});
+
+test("verifyEmailToken trả về null với token không hợp lệ", async (t) => {
+  const findOneAndUpdate = t.mock.method(UserModel, "findOneAndUpdate");
+
+  assert.equal(await verifyEmailToken("abc.def"), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,164 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcrypt");
+const {
+  isLegacyGoogleAccount,
+  verifyGoogleIdToken,
+  issueLinkToken,
+  readLinkToken,
+  signTestIdToken,
+} = require("../helper/googleAuth");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.GOOGLE_CLIENT_ID = "client-1.apps.googleusercontent.com";
+
+afterEach(() => {
+  delete process.env.GOOGLE_AUTH_TEST_MODE;
+  process.env.GOOGLE_CLIENT_ID = "client-1.apps.googleusercontent.com";
+});
+
+// Khóa ký giả lập khóa của Google, công bố qua JWKS với fetch được thay thế
+const googleKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const GOOGLE_KID = "google-kid-1";
+
+const stubJwks = (t) =>
+  t.mock.method(
+    globalThis,
+    "fetch",
+    async () =>
+      new Response(
+        JSON.stringify({
+          keys: [
+            {
+              ...googleKey.publicKey.export({ format: "jwk" }),
+              kid: GOOGLE_KID,
+              alg: "RS256",
+              use: "sig",
+            },
+          ],
+        }),
+        { headers: { "cache-control": "public, max-age=3600" } }
+      )
+  );
+
+const signGoogleToken = (claims = {}, { kid = GOOGLE_KID } = {}) =>
+  jwt.sign(
+    {
+      sub: "g-1",
+      email: "A@Example.com",
+      email_verified: true,
+      aud: process.env.GOOGLE_CLIENT_ID,
+      iss: "https://accounts.google.com",
+      ...claims,
+    },
+    googleKey.privateKey,
+    { algorithm: "RS256", keyid: kid, expiresIn: "1h" }
+  );
+
+test("verifyGoogleIdToken kiểm tra chữ ký bằng JWKS và giữ khóa trong bộ nhớ", async (t) => {
+  const fetch = stubJwks(t);
+
+  const identity = await verifyGoogleIdToken(signGoogleToken());
+  await verifyGoogleIdToken(signGoogleToken({ sub: "g-2" }));
+
+  assert.equal(identity.subject, "g-1");
+  assert.equal(identity.email, "a@example.com");
+  assert.equal(identity.emailVerified, true);
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test("verifyGoogleIdToken từ chối token sai issuer, audience hoặc khóa ký", async (t) => {
+  const fetch = stubJwks(t);
+  const otherKey = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  await assert.rejects(
+    verifyGoogleIdToken(signGoogleToken({ iss: "https://evil.example" })),
+    /issuer/
+  );
+  await assert.rejects(
+    verifyGoogleIdToken(signGoogleToken({ aud: "client-khac" })),
+    /audience/
+  );
+  await assert.rejects(
+    verifyGoogleIdToken(
+      jwt.sign({ sub: "g-1" }, otherKey.privateKey, {
+        algorithm: "RS256",
+        keyid: GOOGLE_KID,
+        audience: process.env.GOOGLE_CLIENT_ID,
+        issuer: "https://accounts.google.com",
+      })
+    ),
+    /signature/
+  );
+  // kid lạ: tải lại JWKS một lần rồi từ chối
+  const calls = fetch.mock.callCount();
+  await assert.rejects(
+    verifyGoogleIdToken(signGoogleToken({}, { kid: "kid-la" })),
+    /Không tìm thấy khóa ký/
+  );
+  assert.equal(fetch.mock.callCount(), calls + 1);
+});
+
+test("chế độ thử ký và xác thực ID token bằng khóa cục bộ", async (t) => {
+  process.env.GOOGLE_AUTH_TEST_MODE = "true";
+  const fetch = t.mock.method(globalThis, "fetch");
+
+  const idToken = signTestIdToken({ sub: "g-test", email: "t@example.com" });
+  const identity = await verifyGoogleIdToken(idToken);
+
+  assert.equal(identity.subject, "g-test");
+  assert.equal(fetch.mock.callCount(), 0);
+
+  process.env.GOOGLE_CLIENT_ID = "client-khac";
+  await assert.rejects(verifyGoogleIdToken(idToken), /audience/);
+});
+
+test("signTestIdToken bị chặn khi chưa bật chế độ thử", () => {
+  assert.throws(
+    () => signTestIdToken({ sub: "g-test", email: "t@example.com" }),
+    /GOOGLE_AUTH_TEST_MODE/
+  );
+});
+
+test("token liên kết chỉ đọc được với đúng audience", () => {
+  const token = issueLinkToken(
+    { _id: "u1" },
+    { subject: "g-1", email: "a@example.com" }
+  );
+
+  const link = readLinkToken(token);
+  assert.equal(link.id, "u1");
+  assert.equal(link.subject, "g-1");
+  assert.equal(link.email, "a@example.com");
+  assert.equal(
+    readLinkToken(jwt.sign({ id: "u1" }, process.env.JWT_SECRET)),
+    null
+  );
+});
+
+test("isLegacyGoogleAccount chỉ nhận tài khoản temp_ có mật khẩu thô", async () => {
+  const hashed = await bcrypt.hash("MatKhau123", 4);
+
+  assert.equal(
+    isLegacyGoogleAccount({ username: "temp_1", password: "raw-random" }),
+    true
+  );
+  assert.equal(
+    isLegacyGoogleAccount({ username: "temp_1", password: hashed }),
+    false
+  );
+  assert.equal(
+    isLegacyGoogleAccount({
+      username: "temp_1",
+      password: "raw-random",
+      identities: [{ provider: "google" }],
+    }),
+    false
+  );
+  assert.equal(
+    isLegacyGoogleAccount({ username: "an", password: "raw-random" }),
+    false
+  );
+});
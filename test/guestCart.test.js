@@ -0,0 +1,114 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { CartModel } = require("../models/CartModel");
+const { ProductModel } = require("../models/ProductModel");
+const {
+  GUEST_CART_COOKIE,
+  readGuestId,
+  createGuestId,
+  mergeGuestCart,
+} = require("../helper/guestCart");
+
+process.env.GUEST_CART_SECRET = "guest-secret";
+
+// res giả chỉ ghi lại cookie được gửi/xóa
+const fakeRes = () => {
+  const res = { cookies: {}, cleared: [] };
+  res.cookie = (name, value) => (res.cookies[name] = value);
+  res.clearCookie = (name) => res.cleared.push(name);
+  return res;
+};
+
+test("createGuestId gửi cookie đã ký và readGuestId đọc lại được", () => {
+  const res = fakeRes();
+  const guestId = createGuestId(res);
+  const token = res.cookies[GUEST_CART_COOKIE];
+
+  assert.equal(
+    readGuestId({ cookies: { [GUEST_CART_COOKIE]: token } }),
+    guestId
+  );
+});
+
+test("readGuestId từ chối cookie bị sửa hoặc thiếu chữ ký", () => {
+  const res = fakeRes();
+  createGuestId(res);
+  const [, signature] = res.cookies[GUEST_CART_COOKIE].split(".");
+
+  assert.equal(
+    readGuestId({
+      cookies: { [GUEST_CART_COOKIE]: `khach-khac.${signature}` },
+    }),
+    null
+  );
+  assert.equal(readGuestId({ cookies: { [GUEST_CART_COOKIE]: "abc" } }), null);
+  assert.equal(readGuestId({ cookies: {} }), null);
+});
+
+test("mergeGuestCart cộng dồn dòng trùng, giới hạn theo tồn kho và xóa giỏ khách", async (t) => {
+  const res = fakeRes();
+  const guestId = createGuestId(res);
+  const req = {
+    cookies: { [GUEST_CART_COOKIE]: res.cookies[GUEST_CART_COOKIE] },
+  };
+
+  const shirtId = new mongoose.Types.ObjectId();
+  const hatId = new mongoose.Types.ObjectId();
+  const line = (productId, quantity) => ({
+    productId,
+    quantity,
+    price: 100 * quantity,
+    size: "M",
+    color: "Đen",
+    images: ["a.jpg"],
+  });
+  const guestCart = new CartModel({
+    guestId,
+    items: [line(shirtId, 2), line(hatId, 1)],
+    savedForLater: [line(hatId, 1)],
+  });
+  const userCart = new CartModel({
+    userId: new mongoose.Types.ObjectId(),
+    items: [line(shirtId, 2)],
+  });
+
+  t.mock.method(CartModel, "findOne", async (filter) =>
+    filter.guestId ? guestCart : userCart
+  );
+  t.mock.method(ProductModel, "findById", async (id) =>
+    id.equals(shirtId) ? { _id: shirtId, price: 100, productInStock: 3 } : null
+  );
+  const save = t.mock.method(CartModel.prototype, "save", async () => {});
+  const deleteOne = t.mock.method(CartModel, "deleteOne", async () => ({}));
+
+  const adjustments = await mergeGuestCart(req, res, userCart.userId);
+
+  assert.deepEqual(
+    adjustments.map(({ reason, requested, quantity }) => ({
+      reason,
+      requested,
+      quantity,
+    })),
+    [
+      { reason: "stock", requested: 4, quantity: 3 },
+      { reason: "unavailable", requested: undefined, quantity: undefined },
+    ]
+  );
+  assert.equal(userCart.items.length, 1);
+  assert.equal(userCart.items[0].quantity, 3);
+  assert.equal(userCart.totalPrice, 300);
+  assert.equal(userCart.savedForLater.length, 1);
+  assert.equal(save.mock.callCount(), 1);
+  assert.deepEqual(deleteOne.mock.calls[0].arguments[0], {
+    _id: guestCart._id,
+  });
+  assert.deepEqual(res.cleared, [GUEST_CART_COOKIE]);
+});
+
+test("mergeGuestCart bỏ qua khi không có cookie khách hợp lệ", async (t) => {
+  const findOne = t.mock.method(CartModel, "findOne", async () => null);
+
+  assert.equal(await mergeGuestCart({ cookies: {} }, fakeRes(), "u1"), null);
+  assert.equal(findOne.mock.callCount(), 0);
+});
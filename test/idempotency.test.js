@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { IdempotencyKeyModel } = require("../models/IdempotencyKeyModel");
+const idempotency = require("../middlewares/idempotency");
+
+const createRequest = (key, body = { items: [1] }) => ({
+  method: "POST",
+  baseUrl: "/api/order",
+  path: "/create",
+  body,
+  user: { id: "u1" },
+  get: (header) => (header === "Idempotency-Key" ? key : undefined),
+});
+
+// Response giả ghi lại status, header và body
+const createResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const duplicateKeyError = () => Object.assign(new Error("dup"), { code: 11000 });
+
+test("idempotency bỏ qua request không có header", async (t) => {
+  const create = t.mock.method(IdempotencyKeyModel, "create");
+  const next = t.mock.fn();
+
+  await idempotency(createRequest(undefined), createResponse(), next);
+
+  assert.equal(next.mock.callCount(), 1);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("idempotency lưu phản hồi của lần gửi đầu tiên", async (t) => {
+  t.mock.method(IdempotencyKeyModel, "create", async () => ({ _id: "k1" }));
+  const updateOne = t.mock.method(
+    IdempotencyKeyModel,
+    "updateOne",
+    async () => ({})
+  );
+  const res = createResponse();
+  const next = t.mock.fn();
+
+  await idempotency(createRequest("key-1"), res, next);
+  res.status(201).json({ status: true, orderId: "o1" });
+
+  assert.equal(next.mock.callCount(), 1);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: "k1" });
+  assert.equal(update.status, "completed");
+  assert.equal(update.responseStatus, 201);
+  assert.deepEqual(update.responseBody, { status: true, orderId: "o1" });
+});
+
+test("idempotency trả lại đúng phản hồi cũ khi gửi lặp lại", async (t) => {
+  const request = createRequest("key-1");
+  t.mock.method(IdempotencyKeyModel, "create", async () => {
+    throw duplicateKeyError();
+  });
+  t.mock.method(IdempotencyKeyModel, "findOne", async () => ({
+    requestHash: crypto
+      .createHash("sha256")
+      .update(JSON.stringify(request.body))
+      .digest("hex"),
+    status: "completed",
+    responseStatus: 201,
+    responseBody: { status: true, orderId: "o1" },
+  }));
+  const res = createResponse();
+  const next = t.mock.fn();
+
+  await idempotency(request, res, next);
+
+  assert.equal(next.mock.callCount(), 0);
+  assert.equal(res.statusCode, 201);
+  assert.equal(res.headers["Idempotent-Replayed"], "true");
+  assert.deepEqual(res.body, { status: true, orderId: "o1" });
+});
+
+test("idempotency từ chối key đã dùng cho dữ liệu khác", async (t) => {
+  t.mock.method(IdempotencyKeyModel, "create", async () => {
+    throw duplicateKeyError();
+  });
+  t.mock.method(IdempotencyKeyModel, "findOne", async () => ({
+    requestHash: "hash-khac",
+    status: "completed",
+  }));
+  const res = createResponse();
+
+  await idempotency(createRequest("key-1"), res, t.mock.fn());
+
+  assert.equal(res.statusCode, 422);
+});
+
+test("idempotency trả 500 khi không đọc được key đã lưu", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(IdempotencyKeyModel, "create", async () => {
+    throw duplicateKeyError();
+  });
+  t.mock.method(IdempotencyKeyModel, "findOne", async () => {
+    throw new Error("connection lost");
+  });
+  const res = createResponse();
+  const next = t.mock.fn();
+
+  await idempotency(createRequest("key-1"), res, next);
+
+  assert.equal(next.mock.callCount(), 0);
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, {
+    success: false,
+    message: "Lỗi khi kiểm tra Idempotency-Key",
+    type: "error",
+  });
+});
@@ -0,0 +1,112 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getNotificationTransport,
+  checkNotificationConfig,
+} = require("../helper/notifications");
+const consoleTransport = require("../helper/notifications/consoleTransport");
+const fileTransport = require("../helper/notifications/fileTransport");
+
+const ENV_KEYS = [
+  "NODE_ENV",
+  "NOTIFICATION_TRANSPORT",
+  "SMS_TRANSPORT",
+  "NOTIFICATION_FILE",
+];
+const originalEnv = Object.fromEntries(
+  ENV_KEYS.map((key) => [key, process.env[key]])
+);
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (originalEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = originalEnv[key];
+  }
+});
+
+const resetMessage = {
+  type: "password_reset",
+  to: { email: "a@example.com" },
+  subject: "Đặt lại mật khẩu",
+  text: "Đặt lại mật khẩu: https://shop.example/reset?token=bi-mat",
+  data: { link: "https://shop.example/reset?token=bi-mat" },
+  sensitive: true,
+};
+
+test("getNotificationTransport báo lỗi khi chưa cấu hình kênh", () => {
+  delete process.env.NOTIFICATION_TRANSPORT;
+
+  assert.throws(() => getNotificationTransport("email"), /Chưa cấu hình/);
+});
+
+test("getNotificationTransport chọn kênh theo loại tin nhắn", () => {
+  process.env.NOTIFICATION_TRANSPORT = "console";
+  process.env.SMS_TRANSPORT = "file";
+
+  assert.equal(getNotificationTransport("email").name, "console");
+  assert.equal(getNotificationTransport("sms").name, "file");
+});
+
+test("kênh console/file bị từ chối ở production", () => {
+  process.env.NODE_ENV = "production";
+  process.env.NOTIFICATION_TRANSPORT = "console";
+  process.env.SMS_TRANSPORT = "sms";
+
+  assert.throws(() => getNotificationTransport("email"), /production/);
+  assert.throws(() => checkNotificationConfig(), /production/);
+});
+
+test("checkNotificationConfig bỏ qua khi không chạy production", () => {
+  process.env.NODE_ENV = "development";
+  delete process.env.NOTIFICATION_TRANSPORT;
+
+  assert.doesNotThrow(() => checkNotificationConfig());
+});
+
+test("kênh console in liên kết để hoàn tất thao tác khi chạy local", async (t) => {
+  const log = t.mock.method(console, "log", () => {});
+
+  await consoleTransport.send(resetMessage);
+
+  const output = log.mock.calls.map((call) => call.arguments.join(" "));
+  assert.match(output[0], /a@example.com/);
+  assert.doesNotMatch(output[0], /bi-mat/);
+  assert.equal(output[1].trim(), "🔗 https://shop.example/reset?token=bi-mat");
+});
+
+// Ghi thông báo vào file tạm, trả về các dòng đã ghi
+const writeToFile = async (t, message) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifications-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  process.env.NOTIFICATION_FILE = path.join(dir, "notifications.log");
+
+  await fileTransport.send(message);
+
+  return fs
+    .readFileSync(process.env.NOTIFICATION_FILE, "utf8")
+    .trim()
+    .split("\n")
+    .map((row) => JSON.parse(row));
+};
+
+test("kênh file ghi đủ nội dung khi phát triển", async (t) => {
+  process.env.NODE_ENV = "development";
+
+  const [row] = await writeToFile(t, resetMessage);
+
+  assert.equal(row.data.link, "https://shop.example/reset?token=bi-mat");
+  assert.equal(row.sensitive, undefined);
+});
+
+test("kênh file không ghi nội dung nhạy cảm ở production", async (t) => {
+  process.env.NODE_ENV = "production";
+
+  const [redacted] = await writeToFile(t, resetMessage);
+
+  assert.equal(redacted.subject, "Đặt lại mật khẩu");
+  assert.equal(redacted.text, undefined);
+  assert.equal(redacted.data, undefined);
+});
@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { OrderModel } = require("../models/OrderModel");
+const { ProductModel } = require("../models/ProductModel");
+const {
+  VoucherRedemptionModel,
+} = require("../models/VoucherRedemptionModel");
+const { cancelOrder } = require("../helper/orderCancellation");
+
+// Transaction giả: chạy hàm một lần trong cùng session
+const stubTransaction = (t) =>
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {},
+  }));
+
+const order = {
+  _id: "o1",
+  status: "Pending",
+  paymentStatus: "paid",
+  items: [{ productId: "p1", quantity: 2 }],
+};
+
+test("cancelOrder hủy có điều kiện, hoàn kho và chuyển đơn đã thanh toán sang chờ hoàn tiền", async (t) => {
+  stubTransaction(t);
+  const findOne = t.mock.method(OrderModel, "findOne", async () => order);
+  const findOneAndUpdate = t.mock.method(
+    OrderModel,
+    "findOneAndUpdate",
+    async (filter, update) => ({ ...order, ...update.$set })
+  );
+  const restock = t.mock.method(ProductModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  t.mock.method(VoucherRedemptionModel, "find", () => ({
+    session: async () => [],
+  }));
+
+  const cancelled = await cancelOrder(order, {
+    actor: "u1",
+    role: "user",
+    reason: "CHANGED_MIND",
+  });
+
+  assert.deepEqual(findOne.mock.calls[0].arguments[0].status, {
+    $in: ["Pending", "Packed"],
+  });
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: "o1", status: "Pending" });
+  assert.equal(update.$set.status, "Cancelled");
+  assert.equal(update.$push.statusHistory.from, "Pending");
+  assert.equal(cancelled.paymentStatus, "refund_pending");
+  assert.equal(restock.mock.callCount(), 1);
+});
+
+test("cancelOrder không hoàn kho khi đơn đã rời trạng thái có thể hủy", async (t) => {
+  stubTransaction(t);
+  t.mock.method(OrderModel, "findOne", async () => null);
+  const findOneAndUpdate = t.mock.method(OrderModel, "findOneAndUpdate");
+  const restock = t.mock.method(ProductModel, "updateOne");
+
+  const cancelled = await cancelOrder(
+    { ...order, status: "In Transit" },
+    { actor: "u1", role: "user", reason: "CHANGED_MIND" }
+  );
+
+  assert.equal(cancelled, null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(restock.mock.callCount(), 0);
+});
+
+test("cancelOrder không hoàn kho khi yêu cầu khác đã hủy trước", async (t) => {
+  stubTransaction(t);
+  t.mock.method(OrderModel, "findOne", async () => order);
+  t.mock.method(OrderModel, "findOneAndUpdate", async () => null);
+  const restock = t.mock.method(ProductModel, "updateOne");
+
+  const cancelled = await cancelOrder(order, {
+    actor: "admin-1",
+    role: "admin",
+    reason: "OTHER",
+  });
+
+  assert.equal(cancelled, null);
+  assert.equal(restock.mock.callCount(), 0);
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ProductModel } = require("../models/ProductModel");
+const { priceItems, diffClientTotals } = require("../helper/orderPricing");
+
+const product = {
+  _id: "p1",
+  price: 100000,
+  discount: 20,
+  weight: 300,
+  images: [{ url: "https://example.com/a.jpg" }],
+  variants: [{ _id: "v1", size: "M", color: "Trắng", stock: 5 }],
+};
+
+test("priceItems tính giá từ database và bỏ qua giá client gửi lên", async (t) => {
+  t.mock.method(ProductModel, "findById", async (id) =>
+    id === "p1" ? product : null
+  );
+
+  const { items, errors } = await priceItems([
+    { productId: "p1", size: "M", color: "Trắng", quantity: 2, price: 1 },
+    { productId: "p1", size: "S", color: "Trắng", quantity: 1 },
+    { productId: "missing", quantity: 1 },
+  ]);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].unitPrice, 80000);
+  assert.equal(items[0].price, 160000);
+  assert.equal(items[0].weight, 600);
+  assert.equal(items[0].variantId, "v1");
+  assert.deepEqual(
+    errors.map((error) => [error.index, error.message]),
+    [
+      [1, "Biến thể sản phẩm không tồn tại"],
+      [2, "Sản phẩm không tồn tại"],
+    ]
+  );
+});
+
+test("priceItems làm tròn giá sau giảm giá tới đồng", async (t) => {
+  t.mock.method(ProductModel, "findById", async () => ({
+    _id: "p2",
+    price: 10274,
+    discount: 7,
+    images: [],
+  }));
+
+  const { items } = await priceItems([{ productId: "p2", quantity: 7 }]);
+
+  assert.equal(items[0].unitPrice, 9555);
+  assert.equal(items[0].price, 66885);
+});
+
+test("diffClientTotals chấp nhận sai lệch làm tròn", () => {
+  const pricing = {
+    items: [{ price: 160000 }],
+    voucher: null,
+    breakdown: { grandTotal: 190000 },
+  };
+
+  assert.deepEqual(
+    diffClientTotals(
+      { items: [{ price: 160000.4 }], totalPrice: 190001 },
+      pricing
+    ),
+    []
+  );
+});
+
+test("diffClientTotals liệt kê các giá trị client gửi sai", () => {
+  const pricing = {
+    items: [{ price: 160000 }],
+    voucher: { discountType: "percentage", discountValue: 10 },
+    breakdown: { grandTotal: 171000 },
+  };
+
+  const diff = diffClientTotals(
+    {
+      items: [{ price: 100 }],
+      discountPercentage: 50,
+      totalPrice: 1000,
+    },
+    pricing
+  );
+
+  assert.deepEqual(
+    diff.map((entry) => entry.field),
+    ["items[0].price", "discountPercentage", "totalPrice"]
+  );
+  assert.equal(diff[2].server, 171000);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const { SessionModel } = require("../models/SessionModel");
+const { OrderModel } = require("../models/OrderModel");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const orderRoutes = require("../routes/orderRoutes");
+
+const USER_ID = "64b000000000000000000001";
+const ORDER_ID = "64b0000000000000000000aa";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/order", orderRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const authHeaders = (claims = {}) => ({
+  "Content-Type": "application/json",
+  Authorization: `Bearer ${jwt.sign(
+    { id: USER_ID, role: "user", sid: "s1", ...claims },
+    process.env.JWT_SECRET
+  )}`,
+});
+
+// Đơn hàng giả có save() để kiểm tra có được lưu hay không
+const stubOrder = (t, fields = {}) => {
+  const order = {
+    _id: ORDER_ID,
+    userId: USER_ID,
+    status: "Pending",
+    statusHistory: [],
+    address: {},
+    ...fields,
+  };
+  order.save = t.mock.fn(async () => order);
+  order.isModified = () => true;
+  t.mock.method(OrderModel, "findById", async () => order);
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  return order;
+};
+
+const updateOrder = (body, claims) =>
+  fetch(`${baseUrl}/api/order/${ORDER_ID}`, {
+    method: "PUT",
+    headers: authHeaders(claims),
+    body: JSON.stringify(body),
+  });
+
+test("PUT /api/order/:id từ chối địa chỉ có mã hành chính sai cấp", async (t) => {
+  const order = stubOrder(t);
+
+  const response = await updateOrder({
+    address: { provinceCode: "02", districtCode: "001", wardCode: "00001" },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(order.save.mock.callCount(), 0);
+});
+
+test("PUT /api/order/:id lưu địa chỉ hợp lệ với tên chuẩn", async (t) => {
+  const order = stubOrder(t);
+
+  const response = await updateOrder({
+    address: JSON.stringify({
+      provinceCode: "01",
+      districtCode: "001",
+      wardCode: "00001",
+      province: "Tên client gửi",
+      detail: "12 Phúc Xá",
+    }),
+  });
+
+  assert.equal(response.status, 200);
+  assert.equal(order.save.mock.callCount(), 1);
+  assert.equal(order.address.province, "Hà Nội");
+  assert.equal(order.address.ward, "Phúc Xá");
+});
@@ -0,0 +1,45 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getTransitionError,
+  applyStatusChange,
+} = require("../helper/orderStatus");
+
+test("getTransitionError cho phép các bước chuyển hợp lệ theo vai trò", () => {
+  assert.equal(getTransitionError("Pending", "Packed", "admin"), null);
+  assert.equal(getTransitionError("Packed", "Cancelled", "user"), null);
+  assert.equal(getTransitionError("In Transit", "Cancelled", "admin"), null);
+});
+
+test("getTransitionError từ chối trạng thái lạ, bước nhảy và sai vai trò", () => {
+  assert.match(getTransitionError("Pending", "Lost", "admin"), /không hợp lệ/);
+  assert.match(
+    getTransitionError("Pending", "Completed", "admin"),
+    /Không thể chuyển/
+  );
+  assert.match(
+    getTransitionError("In Transit", "Cancelled", "user"),
+    /không có quyền/
+  );
+  assert.match(
+    getTransitionError("Cancelled", "Pending", "admin"),
+    /Không thể chuyển/
+  );
+});
+
+test("applyStatusChange ghi lịch sử với trạng thái trước đó", () => {
+  const order = { status: "Pending", statusHistory: [] };
+
+  applyStatusChange(order, {
+    status: "Packed",
+    actor: "admin-1",
+    role: "admin",
+    note: "Đã đóng gói",
+  });
+
+  assert.equal(order.status, "Packed");
+  assert.equal(order.statusHistory.length, 1);
+  assert.equal(order.statusHistory[0].from, "Pending");
+  assert.equal(order.statusHistory[0].actorRole, "admin");
+  assert.ok(order.statusHistory[0].changedAt instanceof Date);
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcrypt");
+const { UserModel } = require("../models/UserModel");
+const { UserTokenModel } = require("../models/UserTokenModel");
+const { SessionModel } = require("../models/SessionModel");
+const consoleTransport = require("../helper/notifications/consoleTransport");
+const {
+  requestPasswordReset,
+  resetPassword,
+} = require("../helper/passwordReset");
+
+process.env.USER_TOKEN_SECRET = "token-secret";
+process.env.NOTIFICATION_TRANSPORT = "console";
+process.env.SMS_TRANSPORT = "console";
+
+const user = {
+  _id: "u1",
+  username: "an",
+  email: "a@example.com",
+  phone: "0912345678",
+  isActive: true,
+  emailVerified: true,
+};
+
+// Gửi yêu cầu đặt lại mật khẩu, trả về tin nhắn đã gửi và bản ghi token
+const request = async (t, fields, channel) => {
+  t.mock.method(UserModel, "findOne", async () => ({ ...user, ...fields }));
+  t.mock.method(UserTokenModel, "deleteMany", async () => ({}));
+  const create = t.mock.method(UserTokenModel, "create", async (doc) => doc);
+  const send = t.mock.method(consoleTransport, "send", async () => ({}));
+
+  await requestPasswordReset({ account: "a@example.com", channel });
+
+  return {
+    message: send.mock.calls[0] && send.mock.calls[0].arguments[0],
+    record: create.mock.calls[0] && create.mock.calls[0].arguments[0],
+  };
+};
+
+test("requestPasswordReset gửi qua email đã xác thực và đánh dấu nhạy cảm", async (t) => {
+  const { message } = await request(t, {}, "email");
+
+  assert.equal(message.channel, "email");
+  assert.deepEqual(message.to, { userId: "u1", email: "a@example.com" });
+  assert.equal(message.sensitive, true);
+  assert.match(message.text, /\?token=/);
+  assert.ok(message.text.includes(message.data.link));
+});
+
+test("requestPasswordReset chuyển sang SMS khi email chưa xác thực", async (t) => {
+  const { message } = await request(t, { emailVerified: false }, "email");
+
+  assert.equal(message.channel, "sms");
+  assert.deepEqual(message.to, { userId: "u1", phone: "0912345678" });
+});
+
+test("requestPasswordReset không gửi gì cho tài khoản bị khóa", async (t) => {
+  const { message, record } = await request(t, { isActive: false });
+
+  assert.equal(message, undefined);
+  assert.equal(record, undefined);
+});
+
+test("resetPassword đổi mật khẩu và thu hồi mọi phiên đăng nhập", async (t) => {
+  const { message, record } = await request(t, {}, "email");
+  const [, token] = message.text.match(/\?token=([0-9a-f]+\.[0-9a-f]+)/);
+  t.mock.method(UserTokenModel, "findOneAndUpdate", async () => ({
+    ...record,
+    userId: "u1",
+  }));
+  const findOneAndUpdate = t.mock.method(UserModel, "findOneAndUpdate", () => ({
+    select: async () => user,
+  }));
+  const updateMany = t.mock.method(SessionModel, "updateMany", async () => ({
+    modifiedCount: 2,
+  }));
+
+  assert.equal(await resetPassword(token, "MatKhauMoi123"), user);
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: "u1", isActive: true });
+  assert.ok(await bcrypt.compare("MatKhauMoi123", update.$set.password));
+  const [sessionFilter, sessionUpdate] = updateMany.mock.calls[0].arguments;
+  assert.deepEqual(sessionFilter, { userId: "u1", revokedAt: null });
+  assert.equal(sessionUpdate.$set.revokedReason, "password_reset");
+});
+
+test("resetPassword trả về null và giữ phiên khi token không hợp lệ", async (t) => {
+  const findOneAndUpdate = t.mock.method(UserModel, "findOneAndUpdate");
+  const updateMany = t.mock.method(SessionModel, "updateMany");
+
+  assert.equal(await resetPassword("abc.def", "MatKhauMoi123"), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+  assert.equal(updateMany.mock.callCount(), 0);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { OrderModel } = require("../models/OrderModel");
+const { getPaymentProvider } = require("../helper/payments");
+const paymentRoutes = require("../routes/paymentRoutes");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  process.env.PAYMENT_MOCK_ENABLED = "true";
+  process.env.MOCK_PAYMENT_SECRET = "mock-secret";
+  const app = express();
+  app.use(express.json());
+  app.use("/api/payments", paymentRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const order = {
+  _id: "o1",
+  status: "Pending",
+  payment: { provider: "mock", transactionRef: "ref-2", amount: 150000 },
+  paymentAttempts: [
+    { provider: "mock", transactionRef: "ref-1", amount: 150000 },
+    { provider: "mock", transactionRef: "ref-2", amount: 150000 },
+  ],
+};
+
+const sendIpn = async (payload) => {
+  const response = await fetch(`${baseUrl}/api/payments/mock/ipn`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  return response.json();
+};
+
+const signedPayload = (overrides = {}) =>
+  getPaymentProvider("mock").buildIpnPayload({
+    transactionRef: "ref-2",
+    amount: 150000,
+    success: true,
+    ...overrides,
+  });
+
+test("IPN chỉ cập nhật đơn hàng một lần khi được gửi lặp lại", async (t) => {
+  t.mock.method(OrderModel, "findOne", async () => order);
+  let pending = true;
+  const updateOne = t.mock.method(OrderModel, "updateOne", async (filter) => {
+    assert.deepEqual(filter.paymentStatus, { $in: ["pending", "failed"] });
+    const modifiedCount = pending ? 1 : 0;
+    pending = false;
+    return { modifiedCount };
+  });
+
+  const payload = signedPayload();
+  assert.equal((await sendIpn(payload)).outcome, "ok");
+  assert.equal((await sendIpn(payload)).outcome, "already_confirmed");
+  assert.equal(updateOne.mock.callCount(), 2);
+});
+
+test("IPN từ chối chữ ký sai và số tiền không khớp", async (t) => {
+  t.mock.method(OrderModel, "findOne", async () => order);
+  const updateOne = t.mock.method(OrderModel, "updateOne");
+
+  const tampered = { ...signedPayload(), resultCode: "0", amount: "1" };
+  assert.equal((await sendIpn(tampered)).outcome, "invalid_signature");
+
+  const wrongAmount = signedPayload({ amount: 1000 });
+  assert.equal((await sendIpn(wrongAmount)).outcome, "invalid_amount");
+
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("IPN của lần thanh toán trước vẫn được ghi nhận cho đơn hàng", async (t) => {
+  t.mock.method(OrderModel, "findOne", async () => order);
+  const updateOne = t.mock.method(OrderModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const outcome = await sendIpn(signedPayload({ transactionRef: "ref-1" }));
+
+  assert.equal(outcome.outcome, "ok");
+  const [, [stage]] = updateOne.mock.calls[0].arguments;
+  assert.equal(stage.$set["payment.transactionRef"], "ref-1");
+});
+
+test("IPN thất bại của lần thanh toán cũ không ghi đè lần hiện tại", async (t) => {
+  t.mock.method(OrderModel, "findOne", async () => order);
+  const updateOne = t.mock.method(OrderModel, "updateOne", async () => ({
+    modifiedCount: 0,
+  }));
+
+  const outcome = await sendIpn(
+    signedPayload({ transactionRef: "ref-1", success: false })
+  );
+
+  assert.equal(outcome.outcome, "already_confirmed");
+  const [filter] = updateOne.mock.calls[0].arguments;
+  assert.equal(filter["payment.transactionRef"], "ref-1");
+  assert.equal(filter.paymentStatus, "pending");
+});
+
+test("IPN so khớp số tiền lẻ theo đơn vị nhỏ nhất", async (t) => {
+  t.mock.method(OrderModel, "findOne", async () => ({
+    ...order,
+    paymentAttempts: [
+      { provider: "mock", transactionRef: "ref-2", amount: 66883.73999999999 },
+    ],
+  }));
+  t.mock.method(OrderModel, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const outcome = await sendIpn(signedPayload({ amount: 66883.74 }));
+
+  assert.equal(outcome.outcome, "ok");
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { getPaymentProvider } = require("../helper/payments");
+const {
+  buildSortedQuery,
+  hmac,
+  safeCompare,
+} = require("../helper/payments/signing");
+
+beforeEach(() => {
+  process.env.VNPAY_HASH_SECRET = "vnpay-secret";
+  process.env.VNPAY_URL = "https://sandbox.example/pay";
+  process.env.PAYMENT_MOCK_ENABLED = "true";
+  process.env.MOCK_PAYMENT_SECRET = "mock-secret";
+  delete process.env.NODE_ENV;
+});
+
+test("buildSortedQuery sắp xếp khóa và bỏ giá trị rỗng", () => {
+  assert.equal(buildSortedQuery({ b: "x y", a: 1, c: "", d: null }), "a=1&b=x+y");
+});
+
+test("safeCompare chỉ đúng với chữ ký trùng khớp", () => {
+  const signature = hmac("sha256", "secret", "data");
+  assert.equal(safeCompare(signature, signature.toUpperCase()), true);
+  assert.equal(safeCompare(signature, hmac("sha256", "other", "data")), false);
+  assert.equal(safeCompare(undefined, signature), false);
+});
+
+test("vnpay xác thực callback đã ký và từ chối dữ liệu bị sửa", () => {
+  const vnpay = getPaymentProvider("vnpay");
+  const data = {
+    vnp_TxnRef: "ref-1",
+    vnp_Amount: "15000000",
+    vnp_ResponseCode: "00",
+    vnp_TransactionStatus: "00",
+    vnp_TransactionNo: "123",
+  };
+  const signed = {
+    ...data,
+    vnp_SecureHash: hmac("sha512", "vnpay-secret", buildSortedQuery(data)),
+  };
+
+  const result = vnpay.verifyCallback(signed);
+  assert.equal(result.valid, true);
+  assert.equal(result.amount, 150000);
+  assert.equal(result.success, true);
+
+  assert.equal(
+    vnpay.verifyCallback({ ...signed, vnp_Amount: "100" }).valid,
+    false
+  );
+});
+
+test("cổng giả lập chỉ bật khi được cấu hình rõ ràng", () => {
+  assert.ok(getPaymentProvider("mock"));
+
+  process.env.PAYMENT_MOCK_ENABLED = "false";
+  assert.equal(getPaymentProvider("mock"), null);
+
+  process.env.PAYMENT_MOCK_ENABLED = "true";
+  delete process.env.MOCK_PAYMENT_SECRET;
+  assert.equal(getPaymentProvider("mock"), null);
+
+  process.env.MOCK_PAYMENT_SECRET = "mock-secret";
+  process.env.NODE_ENV = "production";
+  assert.equal(getPaymentProvider("mock"), null);
+});
+
+test("cổng giả lập từ chối mọi chữ ký khi thiếu secret", () => {
+  const mock = getPaymentProvider("mock");
+  const payload = mock.buildIpnPayload({
+    transactionRef: "ref-1",
+    amount: 1000,
+    success: true,
+  });
+  assert.equal(mock.verifyCallback(payload).valid, true);
+
+  delete process.env.MOCK_PAYMENT_SECRET;
+  assert.equal(mock.verifyCallback(payload).valid, false);
+  assert.throws(() =>
+    mock.buildIpnPayload({ transactionRef: "ref-1", amount: 1, success: true })
+  );
+});
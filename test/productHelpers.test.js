@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findVariant,
+  hasVariants,
+  getUnitPrice,
+  getAvailableStock,
+} = require("../helper/productHelpers");
+
+const product = {
+  price: 200000,
+  discount: 10,
+  productInStock: 7,
+  variants: [
+    { _id: "64b000000000000000000001", size: "M", color: "Đen", stock: 3 },
+    {
+      _id: "64b000000000000000000002",
+      size: "L",
+      color: "Đen",
+      stock: 4,
+      price: 250000,
+    },
+  ],
+};
+
+test("findVariant tìm theo variantId hoặc theo size + màu", () => {
+  assert.equal(
+    findVariant(product, { variantId: "64b000000000000000000002" }).size,
+    "L"
+  );
+  assert.equal(findVariant(product, { size: "M", color: "Đen" }).stock, 3);
+  assert.equal(findVariant(product, { size: "XL", color: "Đen" }), null);
+  assert.equal(findVariant({ variants: [] }, { size: "M" }), null);
+});
+
+test("hasVariants chỉ đúng khi sản phẩm có biến thể", () => {
+  assert.equal(hasVariants(product), true);
+  assert.equal(hasVariants({ variants: [] }), false);
+  assert.equal(hasVariants({}), false);
+});
+
+test("getUnitPrice ưu tiên giá biến thể và áp dụng giảm giá sản phẩm", () => {
+  assert.equal(getUnitPrice(product, product.variants[0]), 180000);
+  assert.equal(getUnitPrice(product, product.variants[1]), 225000);
+  assert.equal(getUnitPrice({ price: 100000, discount: 0 }), 100000);
+});
+
+test("getAvailableStock lấy tồn kho của biến thể nếu có", () => {
+  assert.equal(getAvailableStock(product, product.variants[1]), 4);
+  assert.equal(getAvailableStock(product, null), 7);
+});
@@ -0,0 +1,33 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ProductModel } = require("../models/ProductModel");
+
+const product = (variants) =>
+  new ProductModel({
+    name: "Áo thun",
+    description: "Áo thun cotton",
+    price: 100000,
+    brand: "Local",
+    category: new mongoose.Types.ObjectId(),
+    sub_category: new mongoose.Types.ObjectId(),
+    productInStock: 0,
+    variants,
+  });
+
+test("ProductModel từ chối SKU trùng trong cùng một sản phẩm", async () => {
+  await assert.rejects(
+    product([
+      { size: "M", color: "Đen", sku: "AT-01", stock: 1 },
+      { size: "L", color: "Đen", sku: "AT-01", stock: 1 },
+    ]).validate(),
+    /SKU "AT-01" bị trùng/
+  );
+});
+
+test("ProductModel chấp nhận các biến thể có SKU khác nhau", async () => {
+  await product([
+    { size: "M", color: "Đen", sku: "AT-01-M", stock: 1 },
+    { size: "L", color: "Đen", sku: "AT-01-L", stock: 1 },
+  ]).validate();
+});
@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PromotionModel } = require("../models/PromotionModel");
+const { ProductModel } = require("../models/ProductModel");
+const { evaluatePromotions } = require("../helper/promotionEngine");
+
+// getRunningPromotions dùng find(...).sort(...)
+const stubPromotions = (t, promotions) =>
+  t.mock.method(PromotionModel, "find", () => ({
+    sort: async () => promotions,
+  }));
+
+const items = [
+  {
+    productId: "p1",
+    brand: "Nike",
+    quantity: 2,
+    unitPrice: 200000,
+    price: 400000,
+  },
+  {
+    productId: "p2",
+    brand: "Puma",
+    quantity: 1,
+    unitPrice: 100000,
+    price: 100000,
+  },
+];
+
+test("evaluatePromotions áp dụng giảm giá theo bậc và đồng giá theo nhóm", async (t) => {
+  stubPromotions(t, [
+    {
+      _id: "tier",
+      name: "Giảm 10% đơn từ 500k",
+      stackable: true,
+      conditions: { minSubtotal: 500000 },
+      action: { type: "percentage", value: 10, maxDiscount: 40000 },
+    },
+    {
+      _id: "bundle",
+      name: "Đồng giá 2 món 300k",
+      stackable: true,
+      conditions: {},
+      action: { type: "bundle_price", value: 300000, bundleQuantity: 2 },
+    },
+  ]);
+
+  const result = await evaluatePromotions(items);
+
+  assert.deepEqual(
+    result.applied.map((entry) => [entry.promotionId, entry.discount]),
+    [
+      ["tier", 40000],
+      ["bundle", 100000],
+    ]
+  );
+  assert.equal(result.discount, 140000);
+});
+
+test("evaluatePromotions dừng ở khuyến mãi không cộng dồn và bỏ qua điều kiện chưa đạt", async (t) => {
+  stubPromotions(t, [
+    {
+      _id: "min-qty",
+      name: "Mua 5 giảm 50k",
+      stackable: false,
+      conditions: { minQuantity: 5 },
+      action: { type: "fixed", value: 50000 },
+    },
+    {
+      _id: "nike",
+      name: "Nike giảm 30k",
+      stackable: false,
+      conditions: { brands: ["nike"] },
+      action: { type: "fixed", value: 30000 },
+    },
+    {
+      _id: "blocked",
+      name: "Giảm thêm 10k",
+      stackable: true,
+      conditions: {},
+      action: { type: "fixed", value: 10000 },
+    },
+  ]);
+
+  const result = await evaluatePromotions(items);
+
+  assert.deepEqual(result.applied.map((entry) => entry.promotionId), ["nike"]);
+  assert.deepEqual(result.applied[0].lines, [0]);
+  assert.equal(result.discount, 30000);
+});
+
+test("evaluatePromotions tặng quà khi còn hàng và bỏ qua khi hết quà", async (t) => {
+  // Sản phẩm quà không có biến thể và không khai báo size/màu
+  const gift = { _id: "p9", productInStock: 1, images: [] };
+  const promotion = {
+    _id: "buy-x-get-y",
+    name: "Mua Nike tặng tất",
+    stackable: false,
+    conditions: { brands: ["Nike"], minQuantity: 2 },
+    action: { type: "free_item", freeProductId: "p9", freeQuantity: 1 },
+  };
+  stubPromotions(t, [promotion]);
+  t.mock.method(ProductModel, "findById", async () => gift);
+
+  const result = await evaluatePromotions(items);
+  assert.equal(result.gifts.length, 1);
+  assert.equal(result.gifts[0].price, 0);
+  assert.equal(result.gifts[0].isGift, true);
+  assert.equal(result.gifts[0].size, undefined);
+  assert.equal(result.gifts[0].color, undefined);
+  assert.equal(result.discount, 0);
+
+  gift.productInStock = 0;
+  assert.deepEqual((await evaluatePromotions(items)).applied, []);
+});
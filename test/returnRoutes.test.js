@@ -0,0 +1,222 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const { SessionModel } = require("../models/SessionModel");
+const { OrderModel } = require("../models/OrderModel");
+const { ReturnRequestModel } = require("../models/ReturnRequestModel");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const returnRoutes = require("../routes/returnRoutes");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/returns", returnRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const listUploads = () => fs.readdirSync("uploads");
+
+const photoForm = (fields = {}) => {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  form.append("photos", new Blob(["fake image"]), "photo.jpg");
+  return form;
+};
+
+// Chờ sự kiện close của response dọn file tạm
+const waitFor = async (check) => {
+  for (let i = 0; i < 50 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+test("POST /api/returns từ chối trước khi nhận ảnh nếu chưa đăng nhập", async () => {
+  const uploadsBefore = listUploads();
+
+  const response = await fetch(`${baseUrl}/api/returns`, {
+    method: "POST",
+    body: photoForm(),
+  });
+
+  assert.equal(response.status, 401);
+  assert.deepEqual(listUploads(), uploadsBefore);
+});
+
+const USER_ID = "64b000000000000000000001";
+const ORDER_ID = "64b0000000000000000000aa";
+const ORDER_ITEM_ID = "64b0000000000000000000bb";
+const RETURN_ID = "64b0000000000000000000cc";
+
+const signToken = (t, role = "user") => {
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  return jwt.sign({ id: USER_ID, role, sid: "s1" }, process.env.JWT_SECRET);
+};
+
+// Transaction giả: chạy hàm một lần, ghi lại việc hủy transaction
+const stubTransaction = (t) => {
+  const session = {
+    withTransaction: async (fn) => fn(),
+    abortTransaction: t.mock.fn(async () => {}),
+    endSession: async () => {},
+  };
+  t.mock.method(mongoose, "startSession", async () => session);
+  return session;
+};
+
+test("POST /api/returns xóa ảnh tạm khi dữ liệu không hợp lệ", async (t) => {
+  const token = signToken(t);
+  const uploadsBefore = listUploads();
+
+  const response = await fetch(`${baseUrl}/api/returns`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: photoForm({ reason: "khong-hop-le" }),
+  });
+
+  assert.equal(response.status, 400);
+  await waitFor(() => listUploads().length === uploadsBefore.length);
+  assert.deepEqual(listUploads(), uploadsBefore);
+});
+
+test("POST /api/returns cộng dồn số lượng khi một dòng được gửi nhiều lần", async (t) => {
+  const token = signToken(t);
+  const orderItem = { _id: ORDER_ITEM_ID, productId: "p1", quantity: 1 };
+  t.mock.method(OrderModel, "findById", async () => ({
+    _id: ORDER_ID,
+    userId: USER_ID,
+    status: "Completed",
+    items: { id: (id) => (id === ORDER_ITEM_ID ? orderItem : null) },
+  }));
+  t.mock.method(ReturnRequestModel, "find", async () => []);
+  const save = t.mock.method(ReturnRequestModel.prototype, "save");
+
+  const form = new FormData();
+  form.append("orderId", ORDER_ID);
+  form.append("reason", "DEFECTIVE");
+  form.append(
+    "items",
+    JSON.stringify([
+      { orderItemId: ORDER_ITEM_ID, quantity: 1 },
+      { orderItemId: ORDER_ITEM_ID, quantity: 1 },
+    ])
+  );
+  const response = await fetch(`${baseUrl}/api/returns`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form,
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+const adminPut = (t, path, body = {}) =>
+  fetch(`${baseUrl}/api/returns/${RETURN_ID}/${path}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${signToken(t, "admin")}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+const returnRequest = (status) =>
+  new ReturnRequestModel({
+    _id: RETURN_ID,
+    orderId: ORDER_ID,
+    userId: USER_ID,
+    reason: "DEFECTIVE",
+    status,
+    items: [
+      {
+        orderItemId: ORDER_ITEM_ID,
+        productId: "64b0000000000000000000dd",
+        quantity: 1,
+        receivedQuantity: 1,
+        unitPrice: 100000,
+      },
+    ],
+  });
+
+test("PUT /api/returns/:id/receive gửi lặp lại không nhập kho lần hai", async (t) => {
+  stubTransaction(t);
+  t.mock.method(ReturnRequestModel, "findById", async () =>
+    returnRequest("Approved")
+  );
+  const findOneAndUpdate = t.mock.method(
+    ReturnRequestModel,
+    "findOneAndUpdate",
+    async () => null // Yêu cầu khác đã chuyển sang Received
+  );
+  const findProduct = t.mock.method(mongoose.model("Product"), "findById");
+
+  const response = await adminPut(t, "receive");
+
+  assert.equal(response.status, 409);
+  assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments[0], {
+    _id: returnRequest("Approved")._id,
+    status: "Approved",
+  });
+  assert.equal(findProduct.mock.callCount(), 0);
+});
+
+test("PUT /api/returns/:id/refund gửi lặp lại không ghi nhận hoàn tiền hai lần", async (t) => {
+  const session = stubTransaction(t);
+  t.mock.method(ReturnRequestModel, "findById", async () =>
+    returnRequest("Received")
+  );
+  t.mock.method(OrderModel, "findById", async () => ({
+    _id: ORDER_ID,
+    totalPrice: 300000,
+    refundedAmount: 0,
+    paymentStatus: "paid",
+  }));
+  t.mock.method(ReturnRequestModel, "findOneAndUpdate", async () => null);
+  const updateOrder = t.mock.method(OrderModel, "findOneAndUpdate");
+
+  const response = await adminPut(t, "refund");
+
+  assert.equal(response.status, 409);
+  assert.equal(updateOrder.mock.callCount(), 0);
+  assert.equal(session.abortTransaction.mock.callCount(), 1);
+});
+
+test("PUT /api/returns/:id/refund cộng tiền hoàn có điều kiện theo số đã hoàn", async (t) => {
+  stubTransaction(t);
+  const request = returnRequest("Received");
+  t.mock.method(ReturnRequestModel, "findById", async () => request);
+  t.mock.method(OrderModel, "findById", async () => ({
+    _id: ORDER_ID,
+    totalPrice: 300000,
+    refundedAmount: 50000,
+    paymentStatus: "paid",
+  }));
+  t.mock.method(ReturnRequestModel, "findOneAndUpdate", async () => request);
+  const updateOrder = t.mock.method(OrderModel, "findOneAndUpdate", async () => ({
+    paymentStatus: "paid",
+    totalPrice: 300000,
+    refundedAmount: 150000,
+  }));
+
+  const response = await adminPut(t, "refund");
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.refundedAmount, 150000);
+  const [filter, update] = updateOrder.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: ORDER_ID, refundedAmount: 50000 });
+  assert.equal(update.$inc.refundedAmount, 100000);
+});
@@ -0,0 +1,136 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { SessionModel } = require("../models/SessionModel");
+const { UserModel } = require("../models/UserModel");
+const { refreshSession } = require("../helper/sessions");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const SESSION_ID = "64b0000000000000000000c1";
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const user = { _id: "u1", username: "an", role: "user", isActive: true };
+
+const makeSession = (fields = {}) => ({
+  _id: SESSION_ID,
+  userId: "u1",
+  tokenHash: sha256("current"),
+  previousTokenHashes: [],
+  twoFactorVerified: false,
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields,
+});
+
+// req/res giả: refresh token gửi qua cookie, res ghi lại cookie được đặt
+const refresh = async (value) => {
+  const res = { cookies: {} };
+  res.cookie = (name, cookieValue) => (res.cookies[name] = cookieValue);
+  const req = {
+    cookies: { refreshToken: `${SESSION_ID}.${value}` },
+    ip: "127.0.0.1",
+  };
+  return { result: await refreshSession(req, res), res };
+};
+
+test("refreshSession xoay vòng refresh token và cấp access token mới", async (t) => {
+  const session = makeSession();
+  t.mock.method(SessionModel, "findById", async () => session);
+  t.mock.method(UserModel, "findById", async () => user);
+  const findOneAndUpdate = t.mock.method(
+    SessionModel,
+    "findOneAndUpdate",
+    async () => session
+  );
+
+  const { result, res } = await refresh("current");
+
+  const claims = jwt.verify(result.accessToken, process.env.JWT_SECRET);
+  assert.equal(claims.sid, SESSION_ID);
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.deepEqual(filter, {
+    _id: SESSION_ID,
+    tokenHash: sha256("current"),
+    revokedAt: null,
+  });
+  assert.equal(update.$set.rotatedFromHash, sha256("current"));
+  const [, nextValue] = res.cookies.refreshToken.split(".");
+  assert.equal(update.$set.tokenHash, sha256(nextValue));
+  assert.notEqual(nextValue, "current");
+});
+
+test("refreshSession thu hồi phiên khi token cũ bị dùng lại", async (t) => {
+  t.mock.method(SessionModel, "findById", async () =>
+    makeSession({
+      previousTokenHashes: [sha256("old")],
+      rotatedFromHash: sha256("old"),
+      rotatedAt: new Date(Date.now() - 10 * 60 * 1000),
+    })
+  );
+  const updateOne = t.mock.method(SessionModel, "updateOne", async () => ({}));
+
+  const { result, res } = await refresh("old");
+
+  assert.deepEqual(result, { error: "reuse_detected" });
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter, { _id: SESSION_ID, revokedAt: null });
+  assert.equal(update.$set.revokedReason, "reuse_detected");
+  assert.deepEqual(res.cookies, {});
+});
+
+test("refreshSession chấp nhận token vừa xoay vòng trong thời gian cho phép", async (t) => {
+  t.mock.method(SessionModel, "findById", async () =>
+    makeSession({
+      previousTokenHashes: [sha256("old")],
+      rotatedFromHash: sha256("old"),
+      rotatedAt: new Date(),
+    })
+  );
+  t.mock.method(UserModel, "findById", async () => user);
+  const updateOne = t.mock.method(SessionModel, "updateOne");
+
+  const { result, res } = await refresh("old");
+
+  assert.ok(result.accessToken);
+  assert.equal(res.cookies.token, result.accessToken);
+  assert.equal(res.cookies.refreshToken, undefined);
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("refreshSession cấp access token cho yêu cầu thua khi xoay vòng đồng thời", async (t) => {
+  const session = makeSession();
+  const rotatedByOther = makeSession({
+    tokenHash: sha256("newer"),
+    rotatedFromHash: sha256("current"),
+    rotatedAt: new Date(),
+  });
+  // Lần đọc đầu thấy token hiện tại, lần đọc lại sau khi cập nhật thất bại
+  // thấy phiên đã được yêu cầu khác xoay vòng
+  const reads = [session, rotatedByOther];
+  t.mock.method(SessionModel, "findById", async () => reads.shift());
+  t.mock.method(UserModel, "findById", async () => user);
+  const findOneAndUpdate = t.mock.method(
+    SessionModel,
+    "findOneAndUpdate",
+    async () => null
+  );
+
+  const { result, res } = await refresh("current");
+
+  assert.equal(findOneAndUpdate.mock.callCount(), 1);
+  assert.ok(result.accessToken);
+  assert.equal(res.cookies.refreshToken, undefined);
+});
+
+test("refreshSession từ chối token lạ và phiên đã thu hồi", async (t) => {
+  t.mock.method(SessionModel, "findById", async () => makeSession());
+  assert.deepEqual((await refresh("unknown")).result, { error: "invalid" });
+
+  t.mock.method(SessionModel, "findById", async () =>
+    makeSession({ revokedAt: new Date() })
+  );
+  assert.deepEqual((await refresh("current")).result, { error: "invalid" });
+});
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ShippingZoneModel } = require("../models/ShippingZoneModel");
+const { quoteShipping } = require("../helper/shippingCalculator");
+
+const zone = {
+  _id: "z1",
+  name: "Nội thành",
+  options: [
+    {
+      code: "express",
+      name: "Hỏa tốc",
+      basis: "weight",
+      tiers: [{ upTo: 1000, fee: 50000 }],
+      freeShippingThreshold: null,
+    },
+    {
+      code: "standard",
+      name: "Tiêu chuẩn",
+      basis: "quantity",
+      tiers: [
+        { upTo: null, fee: 40000 },
+        { upTo: 2, fee: 20000 },
+      ],
+      freeShippingThreshold: 500000,
+    },
+  ],
+};
+
+test("quoteShipping chọn bậc phí theo số lượng / khối lượng và sắp xếp theo phí", async (t) => {
+  t.mock.method(ShippingZoneModel, "findOne", async () => zone);
+
+  const quote = await quoteShipping({
+    items: [{ quantity: 3, weight: 900 }],
+    subtotal: 300000,
+    provinceCode: "01",
+  });
+
+  assert.deepEqual(quote.zone, { id: "z1", name: "Nội thành" });
+  assert.deepEqual(
+    quote.options.map((option) => [option.code, option.fee]),
+    [
+      ["standard", 40000],
+      ["express", 50000],
+    ]
+  );
+});
+
+test("quoteShipping miễn phí theo ngưỡng và ẩn phương thức vượt bậc cao nhất", async (t) => {
+  t.mock.method(ShippingZoneModel, "findOne", async () => zone);
+
+  const quote = await quoteShipping({
+    items: [{ quantity: 1, weight: 2000 }],
+    subtotal: 600000,
+    provinceCode: "01",
+  });
+
+  assert.deepEqual(quote.options, [
+    {
+      code: "standard",
+      name: "Tiêu chuẩn",
+      estimatedDays: undefined,
+      fee: 0,
+      freeShipping: true,
+    },
+  ]);
+});
+
+test("quoteShipping dùng phí cố định khi chưa cấu hình vùng giao hàng", async (t) => {
+  t.mock.method(ShippingZoneModel, "findOne", async () => null);
+  process.env.SHIPPING_FEE = "30000";
+
+  const quote = await quoteShipping({ items: [], subtotal: 0 });
+
+  assert.equal(quote.zone, null);
+  assert.equal(quote.options[0].fee, 30000);
+});
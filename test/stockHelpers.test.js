@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ProductModel } = require("../models/ProductModel");
+const { reserveStock, restoreStock } = require("../helper/stockHelpers");
+
+const session = {};
+
+// Sản phẩm trả về từ findById(...).session(session)
+const stubFindById = (t, products) =>
+  t.mock.method(ProductModel, "findById", (id) => ({
+    session: async () => products[id] || null,
+  }));
+
+const variantProduct = {
+  _id: "p1",
+  name: "Áo thun",
+  productInStock: 5,
+  variants: [{ _id: "v1", size: "M", color: "Đen", stock: 2 }],
+};
+const simpleProduct = { _id: "p2", name: "Mũ", productInStock: 1 };
+
+test("reserveStock trừ tồn kho của biến thể bằng cập nhật có điều kiện", async (t) => {
+  stubFindById(t, { p1: variantProduct });
+  const updateOne = t.mock.method(ProductModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const result = await reserveStock(
+    [{ productId: "p1", size: "M", color: "Đen", quantity: 2 }],
+    session
+  );
+
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.items[0].variantId, "v1");
+  const [filter, update, options] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter.variants.$elemMatch, {
+    _id: "v1",
+    stock: { $gte: 2 },
+  });
+  assert.deepEqual(update.$inc, {
+    "variants.$.stock": -2,
+    productInStock: -2,
+  });
+  assert.equal(options.session, session);
+});
+
+test("reserveStock báo lỗi từng dòng khi không đủ hàng hoặc sai biến thể", async (t) => {
+  stubFindById(t, { p1: variantProduct, p2: simpleProduct });
+  t.mock.method(ProductModel, "updateOne", async () => ({ modifiedCount: 0 }));
+
+  const result = await reserveStock(
+    [
+      { productId: "p1", size: "XL", color: "Đen", quantity: 1 },
+      { productId: "p2", quantity: 3 },
+      { productId: "missing", quantity: 1 },
+    ],
+    session
+  );
+
+  assert.equal(result.items.length, 0);
+  assert.deepEqual(result.errors.map((error) => error.index), [0, 1, 2]);
+  assert.equal(result.errors[0].message, "Biến thể sản phẩm không tồn tại");
+  assert.equal(result.errors[1].requested, 3);
+  assert.equal(result.errors[1].available, 1);
+  assert.equal(result.errors[2].message, "Sản phẩm không tồn tại");
+});
+
+test("restoreStock cộng lại tồn kho theo biến thể hoặc sản phẩm", async (t) => {
+  const updateOne = t.mock.method(ProductModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  await restoreStock(
+    [
+      { productId: "p1", variantId: "v1", quantity: 2 },
+      { productId: "p2", quantity: "1" },
+    ],
+    session
+  );
+
+  const [variantCall, productCall] = updateOne.mock.calls;
+  assert.deepEqual(variantCall.arguments[1].$inc, {
+    "variants.$.stock": 2,
+    productInStock: 2,
+  });
+  assert.deepEqual(productCall.arguments[1].$inc, { productInStock: 1 });
+});
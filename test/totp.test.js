@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateTotpSecret,
+  generateTotp,
+  getCurrentStep,
+  verifyTotp,
+  getTotpUri,
+} = require("../helper/totp");
+
+// Khóa "12345678901234567890" của bộ dữ liệu kiểm thử RFC 6238 (SHA1), dạng base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("generateTotp khớp dữ liệu kiểm thử RFC 6238 (6 chữ số cuối)", () => {
+  const vectors = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1111111111, "050471"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ];
+  for (const [seconds, code] of vectors) {
+    const step = getCurrentStep(seconds * 1000);
+    assert.equal(generateTotp(RFC_SECRET, step), code);
+  }
+});
+
+test("verifyTotp chấp nhận lệch một bước và trả về bước khớp", () => {
+  const now = 1111111109 * 1000;
+  const step = getCurrentStep(now);
+
+  assert.equal(verifyTotp(RFC_SECRET, "081804", { now }), step);
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }),
+    step - 1
+  );
+});
+
+test("verifyTotp từ chối mã sai, mã quá hạn và dữ liệu không phải 6 chữ số", () => {
+  const now = 1111111109 * 1000;
+  const step = getCurrentStep(now);
+
+  assert.equal(verifyTotp(RFC_SECRET, "000000", { now }), null);
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }),
+    null
+  );
+  assert.equal(verifyTotp(RFC_SECRET, "81804", { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 81804, { now }), null);
+});
+
+test("generateTotpSecret tạo khóa base32 160 bit dùng được cho URI otpauth", () => {
+  const secret = generateTotpSecret();
+  const uri = new URL(
+    getTotpUri({ secret, accountName: "a@example.com", issuer: "Shop" })
+  );
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.searchParams.get("secret"), secret);
+  assert.equal(uri.searchParams.get("issuer"), "Shop");
+});
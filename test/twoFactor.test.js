@@ -0,0 +1,159 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { UserModel } = require("../models/UserModel");
+const { generateTotp, getCurrentStep } = require("../helper/totp");
+const {
+  beginEnrollment,
+  completeEnrollment,
+  verifySecondFactor,
+  readChallengeToken,
+  getSignInChallenge,
+} = require("../helper/twoFactor");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+afterEach(() => {
+  delete process.env.ADMIN_2FA_REQUIRED;
+});
+
+// Bắt đầu bật 2FA, trả về khóa gốc và khóa đã mã hóa được lưu
+const enroll = async (t) => {
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    matchedCount: 1,
+    modifiedCount: 1,
+  }));
+  const { secret } = await beginEnrollment({ _id: "u1", username: "an" });
+  const [, update] = updateOne.mock.calls[0].arguments;
+  return { secret, encrypted: update.$set["twoFactor.pendingSecret"] };
+};
+
+// findById(...).select(...) trả về người dùng có các trường bí mật
+const stubUser = (t, twoFactor) =>
+  t.mock.method(UserModel, "findById", () => ({
+    select: async () => ({ _id: "u1", twoFactor }),
+  }));
+
+test("beginEnrollment chỉ lưu khóa đã mã hóa", async (t) => {
+  const { secret, encrypted } = await enroll(t);
+
+  assert.ok(encrypted);
+  assert.ok(!encrypted.includes(secret));
+});
+
+test("completeEnrollment bật 2FA khi mã đúng và trả về mã khôi phục", async (t) => {
+  const { secret, encrypted } = await enroll(t);
+  stubUser(t, { pendingSecret: encrypted });
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  const { outcome, recoveryCodes: codes } = await completeEnrollment(
+    "u1",
+    generateTotp(secret, getCurrentStep())
+  );
+
+  assert.equal(outcome, "enabled");
+  assert.equal(codes.length, 10);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter["twoFactor.enabled"], { $ne: true });
+  assert.equal(update.$set["twoFactor.enabled"], true);
+  assert.equal(update.$set["twoFactor.secret"], encrypted);
+  assert.ok(!update.$set["twoFactor.recoveryCodes"].includes(codes[0]));
+});
+
+test("completeEnrollment từ chối mã sai", async (t) => {
+  const { encrypted } = await enroll(t);
+  stubUser(t, { pendingSecret: encrypted });
+  const updateOne = t.mock.method(UserModel, "updateOne");
+
+  assert.deepEqual(await completeEnrollment("u1", "000000"), {
+    outcome: "invalid_code",
+  });
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("beginEnrollment không tạo khóa mới khi 2FA đã bật", async (t) => {
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    matchedCount: 0,
+    modifiedCount: 0,
+  }));
+
+  assert.equal(await beginEnrollment({ _id: "u1", username: "an" }), null);
+  const [filter] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter["twoFactor.enabled"], { $ne: true });
+});
+
+test("completeEnrollment không ghi đè khóa khi 2FA đã bật", async (t) => {
+  const { secret, encrypted } = await enroll(t);
+  stubUser(t, { enabled: true, secret: encrypted, pendingSecret: encrypted });
+  const updateOne = t.mock.method(UserModel, "updateOne");
+
+  const result = await completeEnrollment(
+    "u1",
+    generateTotp(secret, getCurrentStep())
+  );
+
+  assert.deepEqual(result, { outcome: "already_enabled" });
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test("completeEnrollment báo đã bật khi yêu cầu khác bật 2FA trước", async (t) => {
+  const { secret, encrypted } = await enroll(t);
+  stubUser(t, { pendingSecret: encrypted });
+  t.mock.method(UserModel, "updateOne", async () => ({ modifiedCount: 0 }));
+
+  const result = await completeEnrollment(
+    "u1",
+    generateTotp(secret, getCurrentStep())
+  );
+
+  assert.deepEqual(result, { outcome: "already_enabled" });
+});
+
+test("verifySecondFactor chỉ chấp nhận bước thời gian mới hơn lần dùng trước", async (t) => {
+  const { secret, encrypted } = await enroll(t);
+  stubUser(t, { enabled: true, secret: encrypted });
+  const step = getCurrentStep();
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    modifiedCount: 0, // Mã ở bước này đã được dùng
+  }));
+
+  const verified = await verifySecondFactor("u1", {
+    code: generateTotp(secret, step),
+  });
+
+  assert.equal(verified, false);
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or[1], {
+    "twoFactor.lastUsedStep": { $lt: step },
+  });
+  assert.equal(update.$set["twoFactor.lastUsedStep"], step);
+});
+
+test("verifySecondFactor dùng mã khôi phục một lần", async (t) => {
+  stubUser(t, { enabled: true });
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+
+  assert.equal(
+    await verifySecondFactor("u1", { recoveryCode: "abcd-efgh" }),
+    true
+  );
+  const [filter, update] = updateOne.mock.calls[0].arguments;
+  assert.equal(
+    filter["twoFactor.recoveryCodes"],
+    update.$pull["twoFactor.recoveryCodes"]
+  );
+});
+
+test("getSignInChallenge bắt buộc quản trị viên bật 2FA khi ADMIN_2FA_REQUIRED", () => {
+  process.env.ADMIN_2FA_REQUIRED = "true";
+
+  const challenge = getSignInChallenge({ _id: "u1", role: "admin" });
+
+  assert.equal(challenge.twoFactorSetupRequired, true);
+  assert.equal(readChallengeToken(challenge.challengeToken, "setup"), "u1");
+  assert.equal(readChallengeToken(challenge.challengeToken, "verify"), null);
+  assert.equal(getSignInChallenge({ _id: "u2", role: "user" }), null);
+});
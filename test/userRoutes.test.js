@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcrypt");
+const { SessionModel } = require("../models/SessionModel");
+const { UserModel } = require("../models/UserModel");
+const { OrderModel } = require("../models/OrderModel");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const userRoutes = require("../routes/userRoutes");
+
+const USER_ID = "64b000000000000000000001";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/user", userRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Người dùng tự xóa tài khoản của mình
+const deleteAccount = async (t, path) => {
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  t.mock.method(UserModel, "findById", async () => ({ _id: USER_ID }));
+  t.mock.method(OrderModel, "find", async () => []);
+  const deleteSessions = t.mock.method(SessionModel, "deleteMany", async () => ({
+    deletedCount: 2,
+  }));
+  const deleteUser = t.mock.method(
+    UserModel,
+    "findByIdAndDelete",
+    async () => ({})
+  );
+  const token = jwt.sign(
+    { id: USER_ID, role: "user", sid: "s1" },
+    process.env.JWT_SECRET
+  );
+
+  const response = await fetch(`${baseUrl}/api/user/${path}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { response, deleteSessions, deleteUser };
+};
+
+for (const path of [USER_ID, `delete-user/${USER_ID}`]) {
+  test(`DELETE /api/user/${path} xóa mọi phiên đăng nhập của người dùng`, async (t) => {
+    const { response, deleteSessions, deleteUser } = await deleteAccount(
+      t,
+      path
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(deleteSessions.mock.calls[0].arguments[0], {
+      userId: USER_ID,
+    });
+    assert.equal(deleteUser.mock.callCount(), 1);
+  });
+}
+
+// Bắt đầu bật 2FA với mật khẩu hiện tại "Secret@123"
+const setupTwoFactor = async (t, { enabled = false, body }) => {
+  const password = await bcrypt.hash("Secret@123", 4);
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  t.mock.method(UserModel, "findById", async () => ({
+    _id: USER_ID,
+    username: "an",
+    password,
+    twoFactor: { enabled },
+  }));
+  const updateOne = t.mock.method(UserModel, "updateOne", async () => ({
+    matchedCount: enabled ? 0 : 1,
+  }));
+  const token = jwt.sign(
+    { id: USER_ID, role: "user", sid: "s1" },
+    process.env.JWT_SECRET
+  );
+
+  const response = await fetch(`${baseUrl}/api/user/2fa/setup`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(body),
+  });
+  return { response, updateOne };
+};
+
+test("POST /api/user/2fa/setup yêu cầu mật khẩu hiện tại", async (t) => {
+  const missing = await setupTwoFactor(t, { body: {} });
+  assert.equal(missing.response.status, 400);
+
+  const wrong = await setupTwoFactor(t, { body: { password: "Wrong@123" } });
+  assert.equal(wrong.response.status, 400);
+  assert.equal(wrong.updateOne.mock.callCount(), 0);
+
+  const ok = await setupTwoFactor(t, { body: { password: "Secret@123" } });
+  assert.equal(ok.response.status, 200);
+  assert.ok((await ok.response.json()).otpauthUrl);
+});
+
+test("POST /api/user/2fa/setup trả về 409 khi 2FA đã bật", async (t) => {
+  const { response } = await setupTwoFactor(t, {
+    enabled: true,
+    body: { password: "Secret@123" },
+  });
+
+  assert.equal(response.status, 409);
+});
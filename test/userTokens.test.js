@@ -0,0 +1,72 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { UserTokenModel } = require("../models/UserTokenModel");
+const { issueUserToken, consumeUserToken } = require("../helper/userTokens");
+
+process.env.USER_TOKEN_SECRET = "token-secret";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// Phát hành token với model được thay thế, trả về token và bản ghi đã lưu
+const issue = async (t, purpose = "password_reset") => {
+  t.mock.method(UserTokenModel, "deleteMany", async () => ({}));
+  const create = t.mock.method(UserTokenModel, "create", async (doc) => doc);
+  const token = await issueUserToken({
+    userId: "u1",
+    purpose,
+    email: "a@example.com",
+    ttlMinutes: 30,
+  });
+  return { token, record: create.mock.calls[0].arguments[0] };
+};
+
+test("issueUserToken chỉ lưu hash và hủy token cũ cùng mục đích", async (t) => {
+  const { token, record } = await issue(t);
+  const [value] = token.split(".");
+
+  assert.equal(record.tokenHash, sha256(value));
+  assert.notEqual(record.tokenHash, value);
+  assert.ok(record.expiresAt > new Date());
+  assert.deepEqual(UserTokenModel.deleteMany.mock.calls[0].arguments[0], {
+    userId: "u1",
+    purpose: "password_reset",
+    usedAt: null,
+  });
+});
+
+test("consumeUserToken đánh dấu đã dùng trong cùng câu truy vấn", async (t) => {
+  const { token, record } = await issue(t);
+  const findOneAndUpdate = t.mock.method(
+    UserTokenModel,
+    "findOneAndUpdate",
+    async () => record
+  );
+
+  assert.equal(await consumeUserToken(token, "password_reset"), record);
+
+  const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filter.tokenHash, record.tokenHash);
+  assert.equal(filter.usedAt, null);
+  assert.ok(filter.expiresAt.$gt instanceof Date);
+  assert.ok(update.$set.usedAt instanceof Date);
+});
+
+test("consumeUserToken từ chối token bị sửa hoặc sai mục đích", async (t) => {
+  const { token } = await issue(t);
+  const findOneAndUpdate = t.mock.method(
+    UserTokenModel,
+    "findOneAndUpdate",
+    async () => null
+  );
+  const [value, signature] = token.split(".");
+
+  assert.equal(
+    await consumeUserToken(`${value}0.${signature}`, "password_reset"),
+    null
+  );
+  assert.equal(await consumeUserToken(token, "email_verification"), null);
+  assert.equal(await consumeUserToken(undefined, "password_reset"), null);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
@@ -0,0 +1,53 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { VoucherModel } = require("../models/VoucherModel");
+const { generateVoucherCodes } = require("../helper/voucherHelpers");
+const { toCsvCell, toCsv } = require("../helper/csv");
+
+// Mã đã có trong database, trả về qua find(...).distinct("code")
+const stubExistingCodes = (t, existing) =>
+  t.mock.method(VoucherModel, "find", (filter) => ({
+    distinct: async () =>
+      filter.code.$in.filter((code) => existing.includes(code)),
+  }));
+
+test("generateVoucherCodes sinh đủ mã không trùng theo tiền tố và bộ ký tự", async (t) => {
+  stubExistingCodes(t, []);
+
+  const codes = await generateVoucherCodes({
+    prefix: "TET-",
+    length: 6,
+    alphabet: "ABC234",
+    quantity: 50,
+  });
+
+  assert.equal(codes.length, 50);
+  assert.equal(new Set(codes).size, 50);
+  assert.ok(codes.every((code) => /^TET-[ABC234]{6}$/.test(code)));
+});
+
+test("generateVoucherCodes bỏ mã đã tồn tại và báo lỗi khi không gian mã quá nhỏ", async (t) => {
+  stubExistingCodes(t, ["A", "B"]);
+
+  assert.deepEqual(
+    await generateVoucherCodes({ length: 1, alphabet: "ABC", quantity: 1 }),
+    ["C"]
+  );
+  await assert.rejects(
+    generateVoucherCodes({ length: 1, alphabet: "ABC", quantity: 2 }),
+    /Không sinh đủ mã voucher/
+  );
+});
+
+test("toCsvCell bọc ký tự đặc biệt và chặn công thức", () => {
+  assert.equal(toCsvCell('Giảm "sốc", 50%'), '"Giảm ""sốc"", 50%"');
+  assert.equal(toCsvCell("=HYPERLINK()"), "'=HYPERLINK()");
+  assert.equal(toCsvCell(null), "");
+  assert.equal(
+    toCsv([
+      ["code", "used"],
+      ["SALE", 0],
+    ]),
+    "code,used\r\nSALE,0\r\n"
+  );
+});
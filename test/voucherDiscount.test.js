@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isEligibleLine,
+  calculateDiscount,
+} = require("../helper/voucherHelpers");
+
+const items = [
+  { productId: "p1", category: "c1", brand: "Nike", price: 300000 },
+  { productId: "p2", category: "c2", brand: "adidas", price: 100000 },
+  { productId: "p3", category: "c1", brand: "Puma", price: 0, isGift: true },
+];
+
+test("isEligibleLine xét phạm vi sản phẩm / danh mục / thương hiệu và bỏ quà tặng", () => {
+  const voucher = {
+    applicableCategories: ["c1"],
+    applicableBrands: ["ADIDAS"],
+  };
+
+  assert.equal(isEligibleLine(voucher, items[0]), true);
+  assert.equal(isEligibleLine(voucher, items[1]), true);
+  assert.equal(isEligibleLine(voucher, items[2]), false);
+  assert.equal(isEligibleLine({ applicableProducts: ["p9"] }, items[0]), false);
+  assert.equal(isEligibleLine({}, items[1]), true);
+});
+
+test("calculateDiscount chỉ giảm trên các dòng thuộc phạm vi và phân bổ theo dòng", () => {
+  const { discount, lines } = calculateDiscount(
+    {
+      discountType: "percentage",
+      discountValue: 10,
+      applicableCategories: ["c1"],
+    },
+    { items }
+  );
+
+  assert.equal(discount, 30000);
+  assert.deepEqual(lines, [{ index: 0, productId: "p1", discount: 30000 }]);
+});
+
+test("calculateDiscount giới hạn theo maxDiscountValue và phân bổ đủ tiền giảm", () => {
+  const { discount, lines } = calculateDiscount(
+    { discountType: "percentage", discountValue: 50, maxDiscountValue: 100001 },
+    { items }
+  );
+
+  assert.equal(discount, 100001);
+  // Dòng cuối nhận phần còn lại sau khi làm tròn các dòng trước
+  assert.deepEqual(lines.map((line) => line.discount), [75001, 25000]);
+});
+
+test("calculateDiscount giảm cố định không vượt quá tiền hàng áp dụng", () => {
+  const { discount } = calculateDiscount(
+    {
+      discountType: "fixed",
+      discountValue: 500000,
+      applicableProducts: ["p2"],
+    },
+    { items }
+  );
+
+  assert.equal(discount, 100000);
+});
+
+test("calculateDiscount miễn phí vận chuyển theo phí ship và mức tối đa", () => {
+  assert.equal(
+    calculateDiscount(
+      { discountType: "free_shipping" },
+      { items, shippingFee: 35000 }
+    ).discount,
+    35000
+  );
+  assert.equal(
+    calculateDiscount(
+      { discountType: "free_shipping", maxDiscountValue: 20000 },
+      { items, shippingFee: 35000 }
+    ).discount,
+    20000
+  );
+});
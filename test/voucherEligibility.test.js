@@ -0,0 +1,153 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { VoucherModel } = require("../models/VoucherModel");
+const {
+  VoucherRedemptionModel,
+} = require("../models/VoucherRedemptionModel");
+const { VoucherUsageModel } = require("../models/VoucherUsageModel");
+const { OrderModel } = require("../models/OrderModel");
+const { UserModel } = require("../models/UserModel");
+const {
+  getVoucherError,
+  commitVoucherRedemption,
+} = require("../helper/voucherHelpers");
+const {
+  validateReportRange,
+  validatePagination,
+} = require("../middlewares/validate");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const baseVoucher = {
+  _id: "v1",
+  code: "WELCOME",
+  minOrderValue: 0,
+  expirationDate: new Date(Date.now() + 30 * DAY),
+  usageLimit: 0,
+  usedCount: 0,
+  perUserLimit: 0,
+};
+
+const stubUser = (t, user = {}) =>
+  t.mock.method(UserModel, "findById", () => ({
+    select: async () => ({
+      emailVerified: true,
+      createdAt: new Date(),
+      ...user,
+    }),
+  }));
+
+const check = (voucher) =>
+  getVoucherError(
+    { ...baseVoucher, ...voucher },
+    { orderTotal: 100000, userId: "u1" }
+  );
+
+test("getVoucherError chấp nhận voucher hợp lệ", async (t) => {
+  stubUser(t);
+  assert.equal(await check({}), null);
+});
+
+test("getVoucherError kiểm tra ngày bắt đầu và email đã xác thực", async (t) => {
+  stubUser(t, { emailVerified: false });
+
+  assert.equal(
+    (await check({ startDate: new Date(Date.now() + DAY) })).reason,
+    "NOT_STARTED"
+  );
+  assert.equal((await check({})).reason, "EMAIL_NOT_VERIFIED");
+});
+
+test("getVoucherError áp dụng danh sách người dùng được phép / bị chặn", async (t) => {
+  stubUser(t);
+
+  assert.equal((await check({ deniedUsers: ["u1"] })).reason, "USER_DENIED");
+  assert.equal(
+    (await check({ allowedUsers: ["u2"] })).reason,
+    "USER_NOT_ALLOWED"
+  );
+  assert.equal(await check({ allowedUsers: ["u1"] }), null);
+});
+
+test("getVoucherError giới hạn lượt dùng mỗi người và đơn hàng đầu tiên", async (t) => {
+  stubUser(t, { createdAt: new Date(Date.now() - 40 * DAY) });
+  t.mock.method(VoucherRedemptionModel, "countDocuments", async () => 2);
+  t.mock.method(OrderModel, "exists", async () => ({ _id: "o0" }));
+
+  assert.equal(
+    (await check({ perUserLimit: 2 })).reason,
+    "PER_USER_LIMIT_REACHED"
+  );
+  assert.equal(
+    (await check({ firstOrderOnly: true })).reason,
+    "FIRST_ORDER_ONLY"
+  );
+  assert.equal(
+    (await check({ newCustomerOnly: true, newCustomerDays: 30 })).reason,
+    "NEW_CUSTOMER_ONLY"
+  );
+});
+
+test("commitVoucherRedemption hủy đơn khi người dùng vừa dùng hết lượt trong transaction", async (t) => {
+  const session = {};
+  t.mock.method(VoucherRedemptionModel, "countDocuments", () => ({
+    session: async () => 1,
+  }));
+  const usageUpdate = t.mock.method(
+    VoucherUsageModel,
+    "updateOne",
+    async (filter, update) => ({ modifiedCount: update.$inc ? 0 : 1 })
+  );
+  const increment = t.mock.method(VoucherModel, "updateOne");
+
+  const error = await commitVoucherRedemption(
+    {
+      voucher: { ...baseVoucher, perUserLimit: 1 },
+      userId: "u1",
+      orderId: "o1",
+      discountAmount: 10000,
+    },
+    session
+  );
+
+  assert.equal(error, "Bạn đã sử dụng hết số lần cho phép của voucher này");
+  const [init, limited] = usageUpdate.mock.calls.map((call) => call.arguments);
+  assert.deepEqual(init[1], { $setOnInsert: { count: 1 } });
+  assert.equal(init[2].upsert, true);
+  assert.deepEqual(limited[0].count, { $lt: 1 });
+  assert.equal(limited[2].session, session);
+  assert.equal(increment.mock.callCount(), 0);
+});
+
+// Chạy middleware validate với query, trả về mã lỗi hoặc "next"
+const runValidator = (validator, query) => {
+  let outcome = "next";
+  const res = {
+    status: (code) => ({
+      json: () => {
+        outcome = code;
+      },
+    }),
+  };
+  validator({ query }, res, () => {});
+  return outcome;
+};
+
+test("validateReportRange từ chối ngày không hợp lệ hoặc khoảng ngược", () => {
+  assert.equal(
+    runValidator(validateReportRange, { from: "2024-01-01" }),
+    "next"
+  );
+  assert.equal(runValidator(validateReportRange, { from: "abc" }), 400);
+  assert.equal(
+    runValidator(validateReportRange, { from: "2024-03-01", to: "2024-02-01" }),
+    400
+  );
+  assert.equal(runValidator(validateReportRange, { groupBy: "year" }), 400);
+});
+
+test("validatePagination giới hạn perPage", () => {
+  assert.equal(runValidator(validatePagination, { perPage: "100" }), "next");
+  assert.equal(runValidator(validatePagination, { perPage: "1000" }), 400);
+  assert.equal(runValidator(validatePagination, { page: "0" }), 400);
+});
@@ -0,0 +1,96 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { VoucherModel } = require("../models/VoucherModel");
+const {
+  VoucherRedemptionModel,
+} = require("../models/VoucherRedemptionModel");
+const { VoucherUsageModel } = require("../models/VoucherUsageModel");
+const {
+  commitVoucherRedemption,
+  reverseVoucherRedemption,
+} = require("../helper/voucherHelpers");
+
+const session = {};
+const voucher = { _id: "v1", code: "SALE10", perUserLimit: 0 };
+
+// Số lượt đã dùng của người dùng, đọc trong session của transaction
+const stubUserRedemptions = (t, count) =>
+  t.mock.method(VoucherRedemptionModel, "countDocuments", () => ({
+    session: async () => count,
+  }));
+
+test("commitVoucherRedemption tăng lượt dùng có điều kiện và ghi sổ", async (t) => {
+  stubUserRedemptions(t, 0);
+  t.mock.method(VoucherUsageModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const increment = t.mock.method(VoucherModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const create = t.mock.method(VoucherRedemptionModel, "create", async () => []);
+
+  const error = await commitVoucherRedemption(
+    { voucher, userId: "u1", orderId: "o1", discountAmount: 20000 },
+    session
+  );
+
+  assert.equal(error, null);
+  const [filter, update, options] = increment.mock.calls[0].arguments;
+  assert.deepEqual(filter.$or[1], {
+    $expr: { $lt: ["$usedCount", "$usageLimit"] },
+  });
+  assert.deepEqual(update, { $inc: { usedCount: 1 } });
+  assert.equal(options.session, session);
+  const [[redemption]] = create.mock.calls[0].arguments;
+  assert.equal(redemption.orderId, "o1");
+  assert.equal(redemption.discountAmount, 20000);
+});
+
+test("commitVoucherRedemption báo lỗi khi voucher vừa hết lượt", async (t) => {
+  stubUserRedemptions(t, 0);
+  t.mock.method(VoucherUsageModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  t.mock.method(VoucherModel, "updateOne", async () => ({ modifiedCount: 0 }));
+  const create = t.mock.method(VoucherRedemptionModel, "create");
+
+  const error = await commitVoucherRedemption(
+    { voucher, userId: "u1", orderId: "o1", discountAmount: 20000 },
+    session
+  );
+
+  assert.equal(error, "Voucher đã đạt đến giới hạn sử dụng");
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("reverseVoucherRedemption đánh dấu hoàn lại và trả lượt dùng", async (t) => {
+  const redemption = {
+    voucherId: "v1",
+    userId: "u1",
+    status: "committed",
+    save: t.mock.fn(async () => {}),
+  };
+  t.mock.method(VoucherRedemptionModel, "find", () => ({
+    session: async () => [redemption],
+  }));
+  const voucherUpdate = t.mock.method(VoucherModel, "updateOne", async () => ({
+    modifiedCount: 1,
+  }));
+  const usageUpdate = t.mock.method(
+    VoucherUsageModel,
+    "updateOne",
+    async () => ({ modifiedCount: 1 })
+  );
+
+  await reverseVoucherRedemption({ _id: "o1" }, "CHANGED_MIND", session);
+
+  assert.equal(redemption.status, "reversed");
+  assert.equal(redemption.reversalReason, "CHANGED_MIND");
+  assert.equal(redemption.save.mock.callCount(), 1);
+  assert.deepEqual(voucherUpdate.mock.calls[0].arguments[1], {
+    $inc: { usedCount: -1 },
+  });
+  assert.deepEqual(usageUpdate.mock.calls[0].arguments[1], {
+    $inc: { count: -1 },
+  });
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+const { SessionModel } = require("../models/SessionModel");
+const { UserModel } = require("../models/UserModel");
+const { ProductModel } = require("../models/ProductModel");
+const { PromotionModel } = require("../models/PromotionModel");
+const { ShippingZoneModel } = require("../models/ShippingZoneModel");
+const { VoucherModel } = require("../models/VoucherModel");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.SHIPPING_FEE = "30000";
+const voucherRoutes = require("../routes/voucherRoutes");
+
+const USER_ID = "64b000000000000000000001";
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use("/api/vouchers", voucherRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Giỏ hàng 200.000đ, không có khuyến mãi, phí vận chuyển cố định 30.000đ
+const stubPricing = (t, voucher) => {
+  t.mock.method(SessionModel, "exists", async () => ({ _id: "s1" }));
+  t.mock.method(ProductModel, "findById", async () => ({
+    _id: "p1",
+    price: 100000,
+    discount: 0,
+    images: [],
+  }));
+  t.mock.method(PromotionModel, "find", () => ({ sort: async () => [] }));
+  t.mock.method(ShippingZoneModel, "findOne", async () => null);
+  t.mock.method(UserModel, "findById", () => ({
+    select: async () => ({ emailVerified: true, createdAt: new Date() }),
+  }));
+  t.mock.method(VoucherModel, "findOne", async () => ({
+    code: "SALE",
+    active: true,
+    minOrderValue: 0,
+    usageLimit: 0,
+    usedCount: 0,
+    expirationDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...voucher,
+  }));
+};
+
+const apply = async () => {
+  const token = jwt.sign(
+    { id: USER_ID, role: "user", sid: "s1" },
+    process.env.JWT_SECRET
+  );
+  const response = await fetch(`${baseUrl}/api/vouchers/apply`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({
+      code: "SALE",
+      items: [{ productId: "p1", size: "M", color: "Đen", quantity: 2 }],
+    }),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test("POST /api/vouchers/apply không trừ giảm phí ship vào tiền hàng", async (t) => {
+  stubPricing(t, { discountType: "free_shipping" });
+
+  const { status, body } = await apply();
+
+  assert.equal(status, 200, body.message);
+  assert.equal(body.shippingDiscount, "30000.00");
+  assert.equal(body.finalPrice, "200000.00");
+  assert.equal(body.priceBreakdown.grandTotal, 200000);
+});
+
+test("POST /api/vouchers/apply trừ giảm giá tiền hàng vào giá cuối", async (t) => {
+  stubPricing(t, { discountType: "percentage", discountValue: 10 });
+
+  const { status, body } = await apply();
+
+  assert.equal(status, 200, body.message);
+  assert.equal(body.shippingDiscount, "0.00");
+  assert.equal(body.finalPrice, "180000.00");
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  pickVoucherRules,
+  getVoucherRulesError,
+} = require("../helper/voucherHelpers");
+
+const validRules = {
+  discountType: "percentage",
+  discountValue: 10,
+  minOrderValue: 0,
+  expirationDate: "2030-01-01",
+  usageLimit: 100,
+};
+
+test("pickVoucherRules chỉ lấy các trường quy tắc được gửi lên", () => {
+  assert.deepEqual(
+    pickVoucherRules({ usageLimit: 5, code: "SALE", usedCount: 99 }),
+    { usageLimit: 5 }
+  );
+});
+
+test("getVoucherRulesError chấp nhận quy tắc hợp lệ, kể cả miễn phí vận chuyển", () => {
+  assert.equal(getVoucherRulesError(validRules), null);
+  assert.equal(
+    getVoucherRulesError({
+      ...validRules,
+      discountType: "free_shipping",
+      discountValue: undefined,
+    }),
+    null
+  );
+});
+
+test("getVoucherRulesError từ chối quy tắc sai sau khi gộp cập nhật", () => {
+  assert.match(
+    getVoucherRulesError({ ...validRules, discountType: "bogus" }),
+    /Giá trị hợp lệ/
+  );
+  assert.match(
+    getVoucherRulesError({ ...validRules, usageLimit: 0 }),
+    /Số lượng sử dụng/
+  );
+  assert.equal(
+    getVoucherRulesError({ ...validRules, startDate: "2031-01-01" }),
+    "Ngày bắt đầu phải trước ngày hết hạn"
+  );
+  assert.equal(
+    getVoucherRulesError({ ...validRules, allowedUsers: ["not-an-id"] }),
+    "Danh sách ID không hợp lệ"
+  );
+  assert.equal(
+    getVoucherRulesError({ ...validRules, expirationDate: "khong-phai-ngay" }),
+    "Ngày hết hạn không hợp lệ"
+  );
+});